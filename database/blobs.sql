@@ -0,0 +1,25 @@
+-- Create blobs table (one row per stored object, shared by every record that points at it)
+CREATE TABLE IF NOT EXISTS blobs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    stored_name TEXT NOT NULL UNIQUE,
+    dedup_key TEXT,
+    file_hash TEXT NOT NULL,
+    size BIGINT NOT NULL,
+    encrypted BOOLEAN DEFAULT TRUE,
+    encryption_metadata JSONB,
+    ref_count INTEGER NOT NULL DEFAULT 1 CHECK (ref_count > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one deduplication target per user and content
+CREATE UNIQUE INDEX IF NOT EXISTS blobs_user_dedup_key_idx ON blobs(user_id, dedup_key) WHERE dedup_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_blobs_user_id ON blobs(user_id);
+
+-- Enable Row Level Security; blobs are only managed through the API with the service role
+ALTER TABLE blobs ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN blobs.dedup_key IS 'plain:<sha256> or envelope:<sha256> for content that identical uploads may share, NULL for password-encrypted blobs';
+COMMENT ON COLUMN blobs.ref_count IS 'Number of files and file_versions rows whose stored_name is this blob';
+COMMENT ON COLUMN blobs.encryption_metadata IS 'Encryption metadata copied to records that reuse this blob';
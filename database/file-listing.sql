@@ -0,0 +1,5 @@
+-- Keyset pagination of GET /files: one index per sort, ending in id so every row has a fixed place
+CREATE INDEX IF NOT EXISTS idx_files_list_created_at ON files(user_id, created_at, id) WHERE deleted = FALSE;
+CREATE INDEX IF NOT EXISTS idx_files_list_name ON files(user_id, original_name, id) WHERE deleted = FALSE;
+CREATE INDEX IF NOT EXISTS idx_files_list_size ON files(user_id, size, id) WHERE deleted = FALSE;
+CREATE INDEX IF NOT EXISTS idx_files_list_mime_type ON files(user_id, mime_type, id) WHERE deleted = FALSE;
@@ -0,0 +1,10 @@
+-- User-defined tags and key/value metadata on files
+ALTER TABLE files ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE files ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- GET /files filters with array and jsonb containment (tags @> ..., metadata @> ...)
+CREATE INDEX IF NOT EXISTS idx_files_tags ON files USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_files_metadata ON files USING GIN (metadata jsonb_path_ops);
+
+COMMENT ON COLUMN files.tags IS 'Lowercased tags with whitespace collapsed, at most 50 per file';
+COMMENT ON COLUMN files.metadata IS 'Flat object of string values, at most 50 keys per file';
@@ -0,0 +1,34 @@
+-- Track the current version on the files row
+ALTER TABLE files
+ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1,
+ADD COLUMN IF NOT EXISTS uploaded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS version_created_at TIMESTAMP WITH TIME ZONE;
+
+-- Create file_versions table (prior versions; the files row always holds the current one)
+CREATE TABLE IF NOT EXISTS file_versions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    file_id UUID NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    stored_name TEXT NOT NULL,
+    size BIGINT NOT NULL,
+    mime_type TEXT NOT NULL,
+    file_hash TEXT,
+    encrypted BOOLEAN DEFAULT TRUE,
+    encryption_metadata JSONB,
+    uploaded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    archived_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(file_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_versions_file_id ON file_versions(file_id);
+
+-- Enable Row Level Security
+ALTER TABLE file_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own file versions" ON file_versions
+    FOR SELECT USING (auth.uid() = user_id);
+
+COMMENT ON COLUMN file_versions.created_at IS 'When this version was originally uploaded';
+COMMENT ON COLUMN file_versions.archived_at IS 'When this version was superseded';
@@ -0,0 +1,24 @@
+-- Link files to folders (folders table is created in user_mfa_table.sql)
+ALTER TABLE files
+ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES folders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_files_folder_id ON files(folder_id);
+
+-- Sibling folders must have distinct names
+CREATE UNIQUE INDEX IF NOT EXISTS folders_unique_sibling_name_idx
+    ON folders(user_id, COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid), lower(name));
+
+-- Allow share links to point at a folder instead of a single file
+ALTER TABLE share_links
+ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES folders(id) ON DELETE CASCADE;
+
+ALTER TABLE share_links ALTER COLUMN file_id DROP NOT NULL;
+
+ALTER TABLE share_links DROP CONSTRAINT IF EXISTS share_links_target_check;
+ALTER TABLE share_links
+ADD CONSTRAINT share_links_target_check CHECK ((file_id IS NULL) <> (folder_id IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_share_links_folder_id ON share_links(folder_id);
+
+COMMENT ON COLUMN files.folder_id IS 'Containing folder, NULL for the vault root';
+COMMENT ON COLUMN share_links.folder_id IS 'Shared folder; recipients can browse and download its whole subtree';
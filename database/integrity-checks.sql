@@ -0,0 +1,18 @@
+-- Outcome of the last integrity check of the stored object behind each file and file version
+ALTER TABLE files ADD COLUMN IF NOT EXISTS integrity_status TEXT CHECK (integrity_status IN ('ok', 'corrupt', 'missing'));
+ALTER TABLE files ADD COLUMN IF NOT EXISTS integrity_error TEXT;
+ALTER TABLE files ADD COLUMN IF NOT EXISTS integrity_checked_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS integrity_status TEXT CHECK (integrity_status IN ('ok', 'corrupt', 'missing'));
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS integrity_error TEXT;
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS integrity_checked_at TIMESTAMP WITH TIME ZONE;
+
+-- The audit job works through the rows checked least recently; results are saved per stored object
+CREATE INDEX IF NOT EXISTS idx_files_integrity_checked_at ON files(integrity_checked_at NULLS FIRST);
+CREATE INDEX IF NOT EXISTS idx_file_versions_integrity_checked_at ON file_versions(integrity_checked_at NULLS FIRST);
+CREATE INDEX IF NOT EXISTS idx_files_stored_name ON files(stored_name);
+CREATE INDEX IF NOT EXISTS idx_file_versions_stored_name ON file_versions(stored_name);
+
+COMMENT ON COLUMN files.integrity_status IS 'ok when every GCM tag authenticated and the plaintext matched file_hash; NULL until checked';
+COMMENT ON COLUMN files.integrity_checked_at IS 'Set on every row sharing the stored object when it is checked';
+COMMENT ON COLUMN file_versions.integrity_status IS 'Same as files.integrity_status, for the version''s stored object';
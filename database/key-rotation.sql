@@ -0,0 +1,32 @@
+-- Version user keys so a rotation can add a new key alongside the old one
+ALTER TABLE user_keys
+ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1,
+ADD COLUMN IF NOT EXISTS master_key_version INTEGER DEFAULT 1;
+
+ALTER TABLE user_keys DROP CONSTRAINT IF EXISTS user_keys_user_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_keys_user_version ON user_keys(user_id, version);
+
+-- Create key_rotation_jobs table (progress of master key rotations, resumable from cursor_user_id)
+CREATE TABLE IF NOT EXISTS key_rotation_jobs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    status TEXT NOT NULL CHECK (status IN ('running', 'completed', 'failed')),
+    target_master_key_version INTEGER NOT NULL,
+    cursor_user_id UUID,
+    users_total INTEGER DEFAULT 0,
+    users_processed INTEGER DEFAULT 0,
+    records_rewrapped INTEGER DEFAULT 0,
+    failures INTEGER DEFAULT 0,
+    last_error TEXT,
+    started_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_key_rotation_jobs_status ON key_rotation_jobs(status);
+
+-- Enable Row Level Security with no policies: only the service role manages rotations
+ALTER TABLE key_rotation_jobs ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN user_keys.master_key_version IS 'Version of the master key (ENCRYPTION_KEY / ENCRYPTION_KEYS) that wraps this key';
+COMMENT ON COLUMN key_rotation_jobs.cursor_user_id IS 'Last user fully processed; a resumed job continues after it';
@@ -0,0 +1,16 @@
+-- Malware scan state of files and file versions
+ALTER TABLE files ADD COLUMN IF NOT EXISTS scan_status TEXT CHECK (scan_status IN ('pending', 'clean', 'infected', 'skipped'));
+ALTER TABLE files ADD COLUMN IF NOT EXISTS scan_result JSONB;
+ALTER TABLE files ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS scan_status TEXT CHECK (scan_status IN ('pending', 'clean', 'infected', 'skipped'));
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS scan_result JSONB;
+ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMP WITH TIME ZONE;
+
+-- The retry job looks for pending scans
+CREATE INDEX IF NOT EXISTS idx_files_scan_pending ON files(id) WHERE scan_status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_file_versions_scan_pending ON file_versions(id) WHERE scan_status = 'pending';
+
+COMMENT ON COLUMN files.scan_status IS 'pending and infected content is quarantined; NULL for files uploaded before scanning, skipped without a scanner';
+COMMENT ON COLUMN files.scan_result IS 'Last scan as { threats, scanner, error }';
+COMMENT ON COLUMN file_versions.scan_status IS 'Scan status carried over from the file when this version was archived';
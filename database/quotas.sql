@@ -0,0 +1,28 @@
+-- Create user_quotas table (plan assignment and per-user limit overrides)
+CREATE TABLE IF NOT EXISTS user_quotas (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    plan TEXT,
+    max_bytes BIGINT CHECK (max_bytes >= 0),
+    max_files INTEGER CHECK (max_files >= 0),
+    max_file_size BIGINT CHECK (max_file_size >= 0),
+    note TEXT,
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Quota usage sums sizes per user
+CREATE INDEX IF NOT EXISTS idx_files_user_id_size ON files(user_id) INCLUDE (size);
+CREATE INDEX IF NOT EXISTS idx_file_versions_user_id_size ON file_versions(user_id) INCLUDE (size);
+
+-- Enable Row Level Security
+ALTER TABLE user_quotas ENABLE ROW LEVEL SECURITY;
+
+-- Users can see their own quota; changes go through the admin API with the service role
+CREATE POLICY "Users can view own quota" ON user_quotas
+    FOR SELECT USING (auth.uid() = user_id);
+
+COMMENT ON COLUMN user_quotas.plan IS 'Plan name (free, pro, business or one defined in QUOTA_PLANS), NULL for QUOTA_DEFAULT_PLAN';
+COMMENT ON COLUMN user_quotas.max_bytes IS 'Override of the plan''s total storage in bytes, NULL to use the plan limit';
+COMMENT ON COLUMN user_quotas.max_files IS 'Override of the plan''s file count, NULL to use the plan limit';
+COMMENT ON COLUMN user_quotas.max_file_size IS 'Override of the plan''s largest file in bytes, NULL to use the plan limit';
@@ -0,0 +1,44 @@
+-- Encrypted full-text search over document contents
+
+-- One search key per user, wrapped with their user key like a file data key
+CREATE TABLE IF NOT EXISTS user_search_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+    encryption_metadata JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Extracted text of each indexed file, encrypted with a key derived from the owner's search key
+CREATE TABLE IF NOT EXISTS file_search_index (
+    file_id UUID PRIMARY KEY REFERENCES files(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    search_key_id UUID NOT NULL REFERENCES user_search_keys(id) ON DELETE CASCADE,
+    encrypted_text TEXT NOT NULL,
+    token_count INTEGER NOT NULL DEFAULT 0,
+    indexed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The distinct terms of each indexed file, blinded with the owner's search key
+CREATE TABLE IF NOT EXISTS file_search_tokens (
+    file_id UUID NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL,
+    PRIMARY KEY (file_id, token)
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_search_index_user_id ON file_search_index(user_id);
+CREATE INDEX IF NOT EXISTS idx_file_search_tokens_user_token ON file_search_tokens(user_id, token);
+
+-- When each file was last indexed or found to have nothing to index; the backfill job picks up the rest
+ALTER TABLE files ADD COLUMN IF NOT EXISTS search_indexed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_files_search_pending ON files(created_at) WHERE search_indexed_at IS NULL;
+
+-- Enable Row Level Security; the index is only accessed through the API with the service role
+ALTER TABLE user_search_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE file_search_index ENABLE ROW LEVEL SECURITY;
+ALTER TABLE file_search_tokens ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN user_search_keys.encryption_metadata IS 'Search key wrapped with the owner''s user key; re-wrapped by key rotation, never replaced';
+COMMENT ON COLUMN file_search_index.encrypted_text IS 'Deflated extracted text, AES-256-GCM (base64 iv | tag | ciphertext)';
+COMMENT ON COLUMN file_search_tokens.token IS 'HMAC-SHA256 of a normalized term under the owner''s search key, base64url, first 22 characters';
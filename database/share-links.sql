@@ -0,0 +1,32 @@
+-- Create share_links table (one row per share link, many links per file)
+CREATE TABLE IF NOT EXISTS share_links (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    file_id UUID NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    password_hash TEXT,
+    password_salt TEXT,
+    allow_download BOOLEAN DEFAULT TRUE,
+    allow_preview BOOLEAN DEFAULT TRUE,
+    max_downloads INTEGER CHECK (max_downloads IS NULL OR max_downloads > 0),
+    download_count INTEGER DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked BOOLEAN DEFAULT FALSE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_accessed TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for token resolution and per-file listing
+CREATE INDEX IF NOT EXISTS idx_share_links_file_id ON share_links(file_id);
+CREATE INDEX IF NOT EXISTS idx_share_links_user_id ON share_links(user_id);
+
+-- Enable Row Level Security
+ALTER TABLE share_links ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own share links" ON share_links
+    FOR ALL USING (auth.uid() = user_id);
+
+COMMENT ON COLUMN share_links.password_hash IS 'PBKDF2 hash of the optional recipient password';
+COMMENT ON COLUMN share_links.max_downloads IS 'Download cap for the link, NULL for unlimited';
@@ -0,0 +1,20 @@
+-- Create upload_policy table (the deployment's upload validation policy, a single row)
+CREATE TABLE IF NOT EXISTS upload_policy (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    allowed_mime_types TEXT[],
+    blocked_extensions TEXT[],
+    max_file_size BIGINT CHECK (max_file_size > 0),
+    block_executables BOOLEAN,
+    require_content_match BOOLEAN,
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security; the policy is only managed through the admin API with the service role
+ALTER TABLE upload_policy ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE upload_policy IS 'Admin overrides of the built-in upload policy in utils/file-validator.js; NULL columns use the default';
+COMMENT ON COLUMN upload_policy.allowed_mime_types IS 'Declared MIME types accepted for upload; content must also match the declared type';
+COMMENT ON COLUMN upload_policy.blocked_extensions IS 'File name extensions rejected whatever their type, e.g. .exe';
+COMMENT ON COLUMN upload_policy.block_executables IS 'Reject executables and scripts detected from their magic bytes';
+COMMENT ON COLUMN upload_policy.require_content_match IS 'Reject files whose detected content does not match the declared MIME type';
@@ -0,0 +1,27 @@
+-- Create upload_sessions table (resumable uploads in progress)
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    original_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size BIGINT NOT NULL CHECK (size >= 0),
+    file_hash TEXT NOT NULL,
+    upload_offset BIGINT NOT NULL DEFAULT 0,
+    parts JSONB NOT NULL DEFAULT '[]',
+    options JSONB NOT NULL DEFAULT '{}',
+    encryption_metadata JSONB NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (upload_offset >= 0 AND upload_offset <= size)
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at);
+
+-- Enable Row Level Security; sessions are only accessed through the API with the service role
+ALTER TABLE upload_sessions ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN upload_sessions.file_hash IS 'SHA-256 of the complete file, checked when the upload is finalized';
+COMMENT ON COLUMN upload_sessions.parts IS 'Staged chunks in upload order as [{ key, size }], each encrypted with the session data key';
+COMMENT ON COLUMN upload_sessions.encryption_metadata IS 'Session data key wrapped with the owner''s user key';
@@ -0,0 +1,14 @@
+-- Create user_keys table (per-user key for envelope encryption, wrapped with the server master key)
+CREATE TABLE IF NOT EXISTS user_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+    wrapped_key TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security with no policies: only the service role reads wrapped keys
+ALTER TABLE user_keys ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN user_keys.wrapped_key IS 'User key wrapped with ENCRYPTION_KEY (base64 iv | tag | key)';
+COMMENT ON COLUMN files.encryption_metadata IS 'Ciphertext format details; envelope-encrypted files also hold userKeyId and the wrapped data key';
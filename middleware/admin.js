@@ -0,0 +1,29 @@
+const auditLogger = require("../utils/audit-logger")
+
+/**
+ * Middleware restricting a route to administrators.
+ * The role is read from Supabase app_metadata, which only the service role can change.
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    if (req.user?.app_metadata?.role === "admin") {
+      return next()
+    }
+
+    await auditLogger.log({
+      userId: req.user?.id || null,
+      action: "admin_access_denied",
+      resource: req.originalUrl,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: false,
+    })
+
+    res.status(403).json({ error: "Administrator access required" })
+  } catch (error) {
+    console.error(`[${req.requestId}] Admin check error:`, error)
+    res.status(500).json({ error: "Admin check failed" })
+  }
+}
+
+module.exports = { requireAdmin }
@@ -39,6 +39,12 @@ const errorHandler = async (err, req, res, next) => {
   } else if (err.code === "LIMIT_FILE_SIZE") {
     statusCode = 413
     message = "File too large"
+  } else if (err.code === "INVALID_FILE") {
+    statusCode = 415
+    message = err.message
+  } else if (err.code === "INFECTED_FILE") {
+    statusCode = 422
+    message = err.message
   }
 
   // Send error response
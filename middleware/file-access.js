@@ -0,0 +1,64 @@
+const accessControl = require("../utils/access-control")
+const auditLogger = require("../utils/audit-logger")
+
+/**
+ * Middleware to enforce access control rules on a file-scoped route
+ * @param {string} action - The action being performed on the file
+ * @returns {Function} - Express middleware function
+ */
+function enforceFileAccess(action) {
+  return async (req, res, next) => {
+    try {
+      const supabase = req.app.locals.supabase
+      const userId = req.user.id
+      const fileId = req.params.id
+
+      const { data: file } = await supabase
+        .from("files")
+        .select("*")
+        .eq("id", fileId)
+        .eq("user_id", userId)
+        .single()
+
+      // Let the route handler produce its own 404
+      if (!file) {
+        return next()
+      }
+
+      const result = await accessControl.checkAccess(file, req)
+
+      if (!result.allowed) {
+        await auditLogger.log({
+          userId,
+          action: "access_denied",
+          resource: `/files/${fileId}`,
+          ipAddress: req.clientIP,
+          userAgent: req.get("User-Agent"),
+          success: false,
+          details: {
+            filename: file.original_name,
+            requestedAction: action,
+            reason: result.reason,
+          },
+        })
+
+        return res.status(403).json({
+          error: "Access denied",
+          reason: result.reason,
+          action,
+          fileId,
+        })
+      }
+
+      req.fileRecord = file
+      next()
+    } catch (error) {
+      console.error(`[${req.requestId}] File access middleware error:`, error)
+      res.status(500).json({ error: "Access control service error" })
+    }
+  }
+}
+
+module.exports = {
+  enforceFileAccess,
+}
@@ -1,4 +1,10 @@
-const { isMFARequired, verifyMFAToken, verifyBackupCode } = require("../utils/mfa")
+const {
+  isMFARequired,
+  verifyMFAToken,
+  verifyBackupCode,
+  issueStepUpToken,
+  verifyStepUpToken
+} = require("../utils/mfa")
 
 /**
  * Middleware to check if MFA is required for an action
@@ -23,8 +29,14 @@ function mfaCheck(action) {
         return next()
       }
 
+      // A recent step-up token for this action skips the prompt. Header only: query strings end up in logs
+      const stepUpToken = req.get("X-MFA-Step-Up")
+      if (stepUpToken && verifyStepUpToken(stepUpToken, userId, action)) {
+        return next()
+      }
+
       // MFA is required, check for token or backup code
-      const { mfaToken, backupCode } = req.body
+      const { mfaToken, backupCode } = req.body || {}
 
       if (!mfaToken && !backupCode) {
         return res.status(403).json({
@@ -77,7 +89,11 @@ function mfaCheck(action) {
         })
       }
 
-      // MFA verification successful, proceed
+      // MFA verification successful, hand out a step-up token for follow-up requests
+      const stepUp = issueStepUpToken(userId, action)
+      res.setHeader("X-MFA-Step-Up", stepUp.token)
+      res.setHeader("X-MFA-Step-Up-Expires", stepUp.expiresAt)
+
       next()
     } catch (error) {
       console.error(`[${req.requestId}] MFA middleware error:`, error)
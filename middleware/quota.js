@@ -0,0 +1,35 @@
+const quotas = require("../utils/quotas")
+
+/**
+ * Middleware rejecting uploads the user's quota has no room for before any file bytes are read.
+ * The request body size is an upper bound on what the upload adds, so it is checked against the
+ * remaining space; streamed files are then limited to quotas.maxUploadSize(req.quota).
+ * @param {Object} options - files: how many new files the request may create (0 for new versions)
+ * @returns {Function} - Express middleware function
+ */
+function quotaCheck({ files = 1 } = {}) {
+  return async (req, res, next) => {
+    try {
+      const status = await quotas.getStatus(req.user.id)
+      const contentLength = parseInt(req.get("Content-Length") || "0", 10)
+
+      const exceeded =
+        quotas.checkUpload(status, { size: 0, files }) ||
+        (status.remaining.bytes !== null && contentLength > status.remaining.bytes
+          ? { error: "Storage quota exceeded", code: "STORAGE" }
+          : null)
+
+      if (exceeded) {
+        return res.status(413).json({ ...exceeded, quota: quotas.format(status) })
+      }
+
+      req.quota = status
+      next()
+    } catch (error) {
+      console.error(`[${req.requestId}] Quota check error:`, error)
+      res.status(500).json({ error: "Quota check failed" })
+    }
+  }
+}
+
+module.exports = { quotaCheck }
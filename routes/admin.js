@@ -0,0 +1,279 @@
+const express = require("express")
+const auditLogger = require("../utils/audit-logger")
+const keyRotation = require("../utils/key-rotation")
+const quotas = require("../utils/quotas")
+const fileValidator = require("../utils/file-validator")
+const { requireAdmin } = require("../middleware/admin")
+const { mfaCheck } = require("../middleware/mfa")
+
+const router = express.Router()
+
+router.use(requireAdmin)
+
+// List recent key rotation jobs
+router.get("/key-rotation", async (req, res) => {
+  try {
+    const jobs = await keyRotation.listJobs()
+
+    res.json({ data: jobs.map((job) => keyRotation.format(job)) })
+  } catch (error) {
+    console.error(`[${req.requestId}] List key rotation jobs error:`, error)
+    res.status(500).json({ error: "Failed to fetch key rotation jobs" })
+  }
+})
+
+// Start re-wrapping every user and file key under the current master key
+router.post("/key-rotation", mfaCheck("key_rotation"), async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    const active = await keyRotation.findActiveJob()
+    if (active) {
+      return res.status(409).json({ error: "A key rotation is already running", job: keyRotation.format(active) })
+    }
+
+    const job = await keyRotation.start(userId)
+
+    await auditLogger.log({
+      userId,
+      action: "key_rotation_start",
+      resource: `/admin/key-rotation/${job.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { targetMasterKeyVersion: job.target_master_key_version, usersTotal: job.users_total },
+    })
+
+    res.status(202).json({ success: true, job: keyRotation.format(job) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Start key rotation error:`, error)
+    res.status(500).json({ error: "Failed to start key rotation" })
+  }
+})
+
+// Key rotation progress
+router.get("/key-rotation/:id", async (req, res) => {
+  try {
+    const job = await keyRotation.getJob(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: "Key rotation job not found" })
+    }
+
+    res.json({ data: keyRotation.format(job) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Get key rotation job error:`, error)
+    res.status(500).json({ error: "Failed to fetch key rotation job" })
+  }
+})
+
+// Resume an interrupted or failed rotation
+router.post("/key-rotation/:id/resume", mfaCheck("key_rotation"), async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    const job = await keyRotation.getJob(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: "Key rotation job not found" })
+    }
+
+    if (job.status === "completed") {
+      return res.status(400).json({ error: "Key rotation job already completed" })
+    }
+
+    const active = await keyRotation.findActiveJob()
+    if ((active && active.id !== job.id) || keyRotation.activeJobId) {
+      return res.status(409).json({ error: "A key rotation is already running" })
+    }
+
+    const resumed = await keyRotation.resume(job)
+
+    await auditLogger.log({
+      userId,
+      action: "key_rotation_resume",
+      resource: `/admin/key-rotation/${job.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { cursor: resumed.cursor_user_id, usersProcessed: resumed.users_processed },
+    })
+
+    res.status(202).json({ success: true, job: keyRotation.format(resumed) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Resume key rotation error:`, error)
+    res.status(500).json({ error: "Failed to resume key rotation" })
+  }
+})
+
+const QUOTA_LIMITS = ["maxBytes", "maxFiles", "maxFileSize"]
+
+// A user's quota status, including any overrides
+router.get("/quotas/:userId", async (req, res) => {
+  try {
+    const [status, override] = await Promise.all([
+      quotas.getStatus(req.params.userId),
+      quotas.getOverride(req.params.userId),
+    ])
+
+    res.json({ data: { ...quotas.format(status), note: override?.note || null } })
+  } catch (error) {
+    console.error(`[${req.requestId}] Get quota error:`, error)
+    res.status(500).json({ error: "Failed to fetch quota" })
+  }
+})
+
+// Move a user to another plan and/or override its limits; a null limit falls back to the plan
+router.put("/quotas/:userId", async (req, res) => {
+  try {
+    const changes = req.body || {}
+
+    if (changes.plan !== undefined && changes.plan !== null && !quotas.getPlan(changes.plan)) {
+      return res.status(400).json({ error: `Unknown plan, expected one of: ${Object.keys(quotas.plans).join(", ")}` })
+    }
+
+    const invalid = QUOTA_LIMITS.filter(
+      (field) =>
+        changes[field] !== undefined &&
+        changes[field] !== null &&
+        !(Number.isSafeInteger(changes[field]) && changes[field] >= 0),
+    )
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `${invalid.join(", ")} must be non-negative integers or null` })
+    }
+
+    const override = await quotas.setOverride(req.params.userId, changes, req.user.id)
+    const status = await quotas.getStatus(req.params.userId)
+
+    await auditLogger.log({
+      userId: req.user.id,
+      action: "quota_override",
+      resource: `/admin/quotas/${req.params.userId}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: {
+        targetUserId: req.params.userId,
+        plan: override.plan,
+        maxBytes: override.max_bytes,
+        maxFiles: override.max_files,
+        maxFileSize: override.max_file_size,
+      },
+    })
+
+    res.json({ success: true, data: { ...quotas.format(status), note: override.note || null } })
+  } catch (error) {
+    console.error(`[${req.requestId}] Update quota error:`, error)
+    res.status(500).json({ error: "Failed to update quota" })
+  }
+})
+
+// Drop a user's plan assignment and overrides, returning them to the default plan
+router.delete("/quotas/:userId", async (req, res) => {
+  try {
+    await quotas.removeOverride(req.params.userId)
+
+    await auditLogger.log({
+      userId: req.user.id,
+      action: "quota_override_remove",
+      resource: `/admin/quotas/${req.params.userId}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { targetUserId: req.params.userId },
+    })
+
+    res.status(204).end()
+  } catch (error) {
+    console.error(`[${req.requestId}] Remove quota override error:`, error)
+    res.status(500).json({ error: "Failed to remove quota override" })
+  }
+})
+
+// Upload validation policy in effect for this deployment
+router.get("/upload-policy", async (req, res) => {
+  try {
+    const policy = await fileValidator.loadPolicy()
+
+    res.json({ data: { ...policy, sizeLimit: fileValidator.sizeLimit } })
+  } catch (error) {
+    console.error(`[${req.requestId}] Get upload policy error:`, error)
+    res.status(500).json({ error: "Failed to fetch upload policy" })
+  }
+})
+
+// Change the upload policy; fields set to null go back to their defaults
+router.put("/upload-policy", async (req, res) => {
+  try {
+    const changes = req.body || {}
+    const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === "string")
+
+    for (const field of ["allowedMimeTypes", "blockedExtensions"]) {
+      if (changes[field] !== undefined && changes[field] !== null && !isStringList(changes[field])) {
+        return res.status(400).json({ error: `${field} must be an array of strings or null` })
+      }
+    }
+
+    for (const field of ["blockExecutables", "requireContentMatch"]) {
+      if (changes[field] !== undefined && changes[field] !== null && typeof changes[field] !== "boolean") {
+        return res.status(400).json({ error: `${field} must be a boolean or null` })
+      }
+    }
+
+    const { maxFileSize } = changes
+    if (
+      maxFileSize !== undefined &&
+      maxFileSize !== null &&
+      !(Number.isSafeInteger(maxFileSize) && maxFileSize > 0 && maxFileSize <= fileValidator.sizeLimit)
+    ) {
+      return res.status(400).json({ error: `maxFileSize must be a positive integer up to ${fileValidator.sizeLimit}` })
+    }
+
+    const policy = await fileValidator.setPolicy(
+      {
+        ...changes,
+        allowedMimeTypes: changes.allowedMimeTypes?.map((type) => fileValidator.normalizeMimeType(type)),
+        blockedExtensions: changes.blockedExtensions?.map((extension) =>
+          `.${extension.replace(/^\./, "")}`.toLowerCase(),
+        ),
+      },
+      req.user.id,
+    )
+
+    await auditLogger.log({
+      userId: req.user.id,
+      action: "upload_policy_update",
+      resource: "/admin/upload-policy",
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { changes },
+    })
+
+    res.json({ success: true, data: { ...policy, sizeLimit: fileValidator.sizeLimit } })
+  } catch (error) {
+    console.error(`[${req.requestId}] Update upload policy error:`, error)
+    res.status(500).json({ error: "Failed to update upload policy" })
+  }
+})
+
+// Go back to the built-in upload policy
+router.delete("/upload-policy", async (req, res) => {
+  try {
+    const policy = await fileValidator.resetPolicy()
+
+    await auditLogger.log({
+      userId: req.user.id,
+      action: "upload_policy_reset",
+      resource: "/admin/upload-policy",
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+    })
+
+    res.json({ success: true, data: { ...policy, sizeLimit: fileValidator.sizeLimit } })
+  } catch (error) {
+    console.error(`[${req.requestId}] Reset upload policy error:`, error)
+    res.status(500).json({ error: "Failed to reset upload policy" })
+  }
+})
+
+module.exports = router
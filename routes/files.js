@@ -1,14 +1,27 @@
 const express = require("express")
 const multer = require("multer")
 const path = require("path")
-const fs = require("fs").promises
+const archiver = require("archiver")
 const crypto = require("crypto")
-const { 
-  encryptFileBuffer, 
-  decryptFileBuffer, 
-  generateFileHash, 
-  generateSecureToken 
-} = require("../utils/crypto")
+const { once } = require("events")
+const { Readable, pipeline } = require("stream")
+const auditLogger = require("../utils/audit-logger")
+const accessControl = require("../utils/access-control")
+const shareLinks = require("../utils/share-links")
+const { enforceFileAccess } = require("../middleware/file-access")
+const { mfaCheck } = require("../middleware/mfa")
+const { quotaCheck } = require("../middleware/quota")
+const folders = require("../utils/folders")
+const trash = require("../utils/trash")
+const encryptedStorage = require("../utils/encrypted-storage")
+const uploadSessions = require("../utils/upload-sessions")
+const fileValidator = require("../utils/file-validator")
+const malwareScanner = require("../utils/malware-scanner")
+const integrityChecker = require("../utils/integrity-checker")
+const fileListing = require("../utils/file-listing")
+const fileTags = require("../utils/file-tags")
+const searchIndex = require("../utils/search-index")
+const quotas = require("../utils/quotas")
 
 const router = express.Router()
 
@@ -22,56 +35,71 @@ router.get("/test", async (req, res) => {
   })
 })
 
-// Simplified file validator for debugging
-const fileValidator = {
-  validateFile: (file) => {
-    console.log("Validating file:", file.originalname, file.mimetype, file.size)
-
-    // Check file size (100MB limit)
-    if (file.size > 100 * 1024 * 1024) {
-      return { valid: false, error: "File too large" }
-    }
+/**
+ * Largest file the upload policy and the user's remaining quota allow
+ */
+function getMaxUploadSize(req) {
+  const quotaLimit = req.quota ? quotas.maxUploadSize(req.quota) : null
+  return Math.min(fileValidator.policy.maxFileSize, quotaLimit ?? Infinity)
+}
 
-    return { valid: true }
-  },
+/**
+ * Password for a file encrypted with a custom password, from the X-File-Password header or the
+ * body but never the query string, which ends up in logs. Files encrypted before envelope keys
+ * used the owner's email, so that remains the fallback on the owner's own routes.
+ */
+function getDecryptionPassword(req) {
+  return req.get("X-File-Password") || req.body?.password || req.user.email
+}
 
-  calculateHash: async (filePath) => {
-    try {
-      const fileBuffer = await fs.readFile(filePath)
-      return generateFileHash(fileBuffer)
-    } catch (error) {
-      console.error("Hash calculation error:", error)
-      throw error
-    }
-  },
+/**
+ * Parse a JSON multipart field, null when it is malformed
+ */
+function parseJsonField(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback
+  } catch (error) {
+    return null
+  }
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, "../uploads")
-    console.log("Upload directory:", uploadDir)
+/**
+ * Read upload settings from the multipart fields that precede the file part
+ * @returns {Object} - The settings, or { error } when options is not a JSON object
+ */
+function getUploadSettings(req, file) {
+  const uploadOptions = parseJsonField(req.body.options, {})
+  if (!uploadOptions || typeof uploadOptions !== "object" || Array.isArray(uploadOptions)) {
+    return { error: "options must be a JSON object" }
+  }
 
-    try {
-      await fs.mkdir(uploadDir, { recursive: true })
-      console.log("Upload directory created/verified")
-      cb(null, uploadDir)
-    } catch (error) {
-      console.error("Failed to create upload directory:", error)
-      cb(error)
-    }
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = crypto.randomUUID() + path.extname(file.originalname)
-    console.log("Generated filename:", uniqueName)
-    cb(null, uniqueName)
-  },
+  const encrypt = uploadOptions.encryption !== false
+  const password = req.body.encryptionPassword || null
+
+  return {
+    options: uploadOptions,
+    encrypt,
+    password, // Without a password the file gets an envelope data key
+    customPassword: Boolean(password),
+    maxSize: getMaxUploadSize(req),
+    // Keep the plaintext of documents for the search index
+    keepPlaintext: searchIndex.getCaptureLimit(file?.mimetype, encrypt && password),
+  }
+}
+
+// Configure multer to stream uploads through the cipher straight into storage
+const storage = encryptedStorage.multerStorage((req, file) => {
+  const settings = getUploadSettings(req, file)
+  if (settings.error) {
+    throw Object.assign(new Error(settings.error), { code: "INVALID_UPLOAD_OPTIONS" })
+  }
+  return settings
 })
 
 const upload = multer({
   storage,
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB
+    fileSize: fileValidator.sizeLimit, // 100MB
     files: 10,
   },
   fileFilter: (req, file, cb) => {
@@ -80,109 +108,419 @@ const upload = multer({
     if (result.valid) {
       cb(null, true)
     } else {
-      cb(new Error(result.error))
+      cb(fileValidator.createError(result.error, file))
     }
   },
 })
 
-// Get all files for user
+// Response status for uploads refused because of their content, by error code
+const REJECTED_UPLOAD_STATUS = { INVALID_FILE: 415, INFECTED_FILE: 422 }
+
+/**
+ * Audit an upload the upload policy or the malware scanner turned away
+ */
+async function auditRejectedUpload(req, error, details = {}) {
+  const infected = error.code === "INFECTED_FILE"
+
+  await auditLogger.log({
+    userId: req.user.id,
+    action: infected ? "malware_detected" : "file_upload_rejected",
+    resource: req.originalUrl,
+    ipAddress: req.clientIP,
+    userAgent: req.get("User-Agent"),
+    success: false,
+    details: {
+      filename: error.filename,
+      reason: error.message,
+      ...(infected && { threats: error.threats }),
+      ...details,
+    },
+  })
+}
+
+function sendRejectedUpload(res, error) {
+  res.status(REJECTED_UPLOAD_STATUS[error.code]).json({ error: error.message, threats: error.threats })
+}
+
+/**
+ * Run the single-file multer middleware, answering 400 for malformed options, 415 for files the
+ * upload policy rejects and 422 for infected ones
+ */
+function receiveFile(req, res, next) {
+  upload.single("file")(req, res, (error) => {
+    // Multer stops reading the body when it fails; discard the rest so the connection stays usable
+    if (error) {
+      req.resume()
+    }
+
+    if (error?.code === "INVALID_UPLOAD_OPTIONS") {
+      return res.status(400).json({ error: error.message })
+    }
+
+    if (!REJECTED_UPLOAD_STATUS[error?.code]) {
+      return next(error)
+    }
+
+    auditRejectedUpload(req, error)
+      .catch((auditError) => console.error(`[${req.requestId}] Audit error:`, auditError))
+      .then(() => sendRejectedUpload(res, error))
+  })
+}
+
+/**
+ * Whether options or encryptionPassword arrived after the file part, in which case
+ * the stored upload was written with default settings and has to be discarded
+ */
+function uploadFieldsArrivedLate(req, settings) {
+  return settings.encrypt !== req.file.encrypted || settings.customPassword !== req.file.customPassword
+}
+
+/**
+ * Audit usage thresholds an accepted upload crossed and return the user's current quota warnings
+ * @param {Object} status - Quota status the upload was checked against
+ * @param {Object} added - { bytes, files } the upload added
+ */
+async function reportQuotaWarnings(req, status, added) {
+  const crossed = quotas.getCrossedWarnings(status, added)
+
+  if (crossed.length > 0) {
+    await auditLogger.log({
+      userId: req.user.id,
+      action: "quota_warning",
+      resource: "/user/quota",
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { warnings: crossed, plan: status.limits.plan },
+    })
+  }
+
+  return quotas.getWarnings(status, added)
+}
+
+/**
+ * Answer 423 for a file or version quarantined by a pending or positive malware scan
+ * @returns {boolean} - Whether a response was sent
+ */
+function rejectQuarantined(res, record) {
+  if (!malwareScanner.isQuarantined(record)) {
+    return false
+  }
+
+  res.status(423).json({
+    error:
+      record.scan_status === "infected"
+        ? "File is quarantined because malware was detected"
+        : "File is quarantined until its malware scan completes",
+    scan: malwareScanner.format(record),
+  })
+  return true
+}
+
+/**
+ * Whether an If-Range validator still matches, so its Range header applies. If-Range needs a
+ * strong comparison, so a weak ETag never matches and the whole content is sent.
+ */
+function ifRangeMatches(req, etag, lastModified) {
+  const ifRange = req.get("If-Range")
+  if (!ifRange) {
+    return true
+  }
+
+  if (ifRange.startsWith("W/")) {
+    return false
+  }
+
+  if (ifRange.startsWith('"')) {
+    return ifRange === etag
+  }
+
+  return Date.parse(ifRange) === Math.floor(lastModified.getTime() / 1000) * 1000
+}
+
+/**
+ * Set the validators for a stored file or version record's contents and decide what to send.
+ * The ETag is the plaintext SHA-256, so it survives re-encryption and key rotation.
+ * @returns {Object} - { notModified }, { unsatisfiable }, or { ranges } (null for the whole content)
+ */
+function planContentResponse(req, res, record) {
+  const lastModified = new Date(record.version_created_at || record.created_at)
+  const etag = record.file_hash ? `"${record.file_hash}"` : null
+
+  res.setHeader("Accept-Ranges", "bytes")
+  res.setHeader("Last-Modified", lastModified.toUTCString())
+  if (etag) {
+    res.setHeader("ETag", etag)
+  }
+  // Always revalidate private contents; no-transform keeps compression off byte ranges
+  res.setHeader("Cache-Control", "private, no-cache, no-transform")
+
+  if (req.fresh) {
+    return { notModified: true }
+  }
+
+  if (!req.get("Range") || record.size === null || record.size === undefined) {
+    return { ranges: null }
+  }
+
+  if (!ifRangeMatches(req, etag, lastModified)) {
+    return { ranges: null }
+  }
+
+  const ranges = req.range(record.size, { combine: true })
+  if (ranges === -1) {
+    return { unsatisfiable: true }
+  }
+
+  // Malformed or non-byte ranges are ignored and the whole content is sent
+  if (ranges === -2 || ranges.type !== "bytes") {
+    return { ranges: null }
+  }
+
+  return { ranges: Array.from(ranges) }
+}
+
+/**
+ * Answer 304 or 416 for a plan that needs no body
+ * @returns {boolean} - Whether a response was sent
+ */
+function endWithoutBody(res, plan, record) {
+  if (plan.notModified) {
+    res.status(304).end()
+    return true
+  }
+
+  if (plan.unsatisfiable) {
+    res.setHeader("Content-Range", `bytes */${record.size}`)
+    res.status(416).end()
+    return true
+  }
+
+  return false
+}
+
+/**
+ * Open the plaintext for a plan's ranges: the whole record, a single byte range, or several
+ * ranges as multipart/byteranges. Rejects before anything is sent if decryption fails.
+ * @returns {Promise<Object>} - { status, stream, length, contentRange, contentType }
+ */
+async function openResponseBody(record, password, ranges) {
+  if (!ranges) {
+    return { status: 200, stream: await encryptedStorage.openPlaintextStream(record, password), length: record.size }
+  }
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges
+    return {
+      status: 206,
+      stream: await encryptedStorage.openPlaintextRange(record, password, start, end),
+      length: end - start + 1,
+      contentRange: `bytes ${start}-${end}/${record.size}`,
+    }
+  }
+
+  const boundary = crypto.randomBytes(16).toString("hex")
+  const partHeader = ({ start, end }) =>
+    Buffer.from(
+      `\r\n--${boundary}\r\nContent-Type: ${record.mime_type}\r\n` +
+        `Content-Range: bytes ${start}-${end}/${record.size}\r\n\r\n`,
+    )
+  const closing = Buffer.from(`\r\n--${boundary}--\r\n`)
+
+  // Later ranges are only opened once the previous one has been sent
+  const first = await encryptedStorage.openPlaintextRange(record, password, ranges[0].start, ranges[0].end)
+  async function* parts() {
+    for (const [index, range] of ranges.entries()) {
+      yield partHeader(range)
+      yield* index === 0 ? first : await encryptedStorage.openPlaintextRange(record, password, range.start, range.end)
+    }
+    yield closing
+  }
+
+  const length = ranges.reduce(
+    (total, range) => total + partHeader(range).length + range.end - range.start + 1,
+    closing.length,
+  )
+
+  return {
+    status: 206,
+    stream: Readable.from(parts()),
+    length,
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+  }
+}
+
+/**
+ * Pipe a body opened with openResponseBody to the response
+ */
+function sendResponseBody(req, res, body, contentType) {
+  res.status(body.status)
+  res.setHeader("Content-Type", body.contentType || contentType)
+
+  if (body.contentRange) {
+    res.setHeader("Content-Range", body.contentRange)
+  }
+
+  if (body.length !== null && body.length !== undefined) {
+    res.setHeader("Content-Length", body.length)
+  }
+
+  pipeline(body.stream, res, (error) => {
+    if (error) {
+      console.error(`[${req.requestId}] Stream error:`, error)
+    }
+  })
+}
+
+/**
+ * Describe a ranged request for audit details
+ */
+function describeRanges(plan) {
+  return plan.ranges ? plan.ranges.map((range) => `${range.start}-${range.end}`).join(",") : null
+}
+
+/**
+ * Create the files row for an upload stored with encryptedStorage.store
+ */
+async function insertFileRecord(supabase, userId, stored, { originalName, mimeType, accessControl, folderId }) {
+  const { data: fileRecord, error } = await supabase
+    .from("files")
+    .insert({
+      user_id: userId,
+      original_name: originalName,
+      stored_name: stored.storedName,
+      size: stored.size,
+      mime_type: mimeType,
+      encrypted: stored.encrypted,
+      encryption_metadata: stored.encryptionMetadata,
+      file_hash: stored.fileHash,
+      shared: false,
+      access_control: accessControl || null,
+      folder_id: folderId,
+      version: 1,
+      uploaded_by: userId,
+      ...malwareScanner.toColumns(stored.scan),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return fileRecord
+}
+
+/**
+ * Bring a file's search index entry up to date with its content
+ * @param {Buffer} plaintext - Content kept from the upload, otherwise it is read back from storage
+ */
+async function updateSearchIndex(req, file, plaintext = null) {
+  // The file is saved either way; a file that failed to index is only missing from search results
+  try {
+    await searchIndex.update(file, plaintext)
+  } catch (error) {
+    console.error(`[${req.requestId}] Search indexing error for file ${file.id}:`, error)
+  }
+}
+
+/**
+ * Copy the current content of a file row into file_versions
+ */
+async function archiveCurrentVersion(supabase, file) {
+  const { error } = await supabase.from("file_versions").insert({
+    file_id: file.id,
+    user_id: file.user_id,
+    version_number: file.version || 1,
+    stored_name: file.stored_name,
+    size: file.size,
+    mime_type: file.mime_type,
+    file_hash: file.file_hash,
+    encrypted: file.encrypted,
+    encryption_metadata: file.encryption_metadata,
+    uploaded_by: file.uploaded_by || file.user_id,
+    scan_status: file.scan_status,
+    scan_result: file.scan_result,
+    scanned_at: file.scanned_at,
+    integrity_status: file.integrity_status,
+    integrity_error: file.integrity_error,
+    integrity_checked_at: file.integrity_checked_at,
+    created_at: file.version_created_at || file.created_at,
+    archived_at: new Date().toISOString(),
+  })
+
+  if (error) throw error
+}
+
+function formatVersion(version, current = false) {
+  return {
+    id: version.id,
+    version: version.version_number,
+    size: version.size,
+    type: version.mime_type,
+    fileHash: version.file_hash,
+    encrypted: version.encrypted,
+    uploadedBy: version.uploaded_by,
+    uploadedAt: version.created_at,
+    current,
+  }
+}
+
+// List the user's files a page at a time, filtered and sorted by query parameters
 router.get("/", async (req, res) => {
   try {
     const supabase = req.app.locals.supabase
     const userId = req.user.id
-    const searchQuery = req.query.search
-    console.log(`[${req.requestId}] Getting files for user:`, userId, "search:", searchQuery)
+    console.log(`[${req.requestId}] Getting files for user:`, userId, "query:", JSON.stringify(req.query))
 
-    // Build the query
-    let query = supabase
-      .from("files")
-      .select("*")
-      .eq("user_id", userId)
-      .eq("deleted", false)
+    const params = fileListing.parseParams(req.query)
+    if (params.error) {
+      return res.status(400).json({ error: params.error })
+    }
 
-    // Apply search filter if provided
-    if (searchQuery && searchQuery.trim()) {
-      console.log(`[${req.requestId}] Applying search filter:`, searchQuery)
-      
-      // Parse search query if it's JSON (from frontend filters)
-      let searchFilters = {}
-      try {
-        if (searchQuery.startsWith('{')) {
-          searchFilters = JSON.parse(searchQuery)
-        } else {
-          // Simple text search
-          searchFilters = { query: searchQuery }
-        }
-      } catch (e) {
-        // If JSON parsing fails, treat as simple text search
-        searchFilters = { query: searchQuery }
+    // Scope to a folder ("root" lists files outside any folder)
+    const folderId = req.query.folderId
+    let folderScope = (query) => query
+    if (folderId === "root") {
+      folderScope = (query) => query.is("folder_id", null)
+    } else if (folderId) {
+      const folder = await folders.getFolder(folderId, userId)
+      if (!folder) {
+        return res.status(404).json({ error: "Folder not found" })
       }
 
-      // Apply text search on file name
-      if (searchFilters.query) {
-        query = query.ilike("original_name", `%${searchFilters.query}%`)
+      if (req.query.recursive === "true") {
+        const folderIds = await folders.getDescendantIds(folder.id, userId)
+        folderScope = (query) => query.in("folder_id", folderIds)
+      } else {
+        folderScope = (query) => query.eq("folder_id", folder.id)
       }
+    }
 
-      // Apply file type filter
-      if (searchFilters.type && searchFilters.type !== "all") {
-        const mimeTypeMap = {
-          image: "image/",
-          document: ["application/pdf", "application/msword", "application/vnd.openxmlformats-officedocument.wordprocessingml.document", "text/"],
-          video: "video/",
-          audio: "audio/",
-          archive: ["application/zip", "application/x-rar-compressed", "application/x-7z-compressed"]
-        }
+    const listQuery = (columns, options) =>
+      fileListing.applyFilters(
+        folderScope(supabase.from("files").select(columns, options).eq("user_id", userId).eq("deleted", false)),
+        params.filters,
+      )
 
-        const typeFilter = mimeTypeMap[searchFilters.type]
-        if (typeFilter) {
-          if (Array.isArray(typeFilter)) {
-            // Multiple MIME types for this category
-            const orConditions = typeFilter.map(type => `mime_type.ilike.${type}%`).join(',')
-            query = query.or(orConditions)
-          } else {
-            // Single MIME type prefix
-            query = query.ilike("mime_type", `${typeFilter}%`)
-          }
-        }
-      }
+    // The total covers every matching file, not just those after the cursor
+    const { count: total, error: countError } = await listQuery("id", { count: "exact", head: true })
 
-      // Apply sorting
-      if (searchFilters.sortBy) {
-        const sortOrder = searchFilters.sortOrder === "desc" ? { ascending: false } : { ascending: true }
-        
-        switch (searchFilters.sortBy) {
-          case "name":
-            query = query.order("original_name", sortOrder)
-            break
-          case "size":
-            query = query.order("size", sortOrder)
-            break
-          case "date":
-            query = query.order("created_at", sortOrder)
-            break
-          case "type":
-            query = query.order("mime_type", sortOrder)
-            break
-          default:
-            query = query.order("created_at", { ascending: false })
-        }
-      } else {
-        // Default sorting by creation date
-        query = query.order("created_at", { ascending: false })
-      }
-    } else {
-      // No search - default sorting by creation date
-      query = query.order("created_at", { ascending: false })
+    if (countError) {
+      console.error(`[${req.requestId}] Supabase error:`, countError)
+      throw countError
     }
 
-    const { data: files, error } = await query
+    const query = fileListing.applyPage(listQuery("*"), params.sort, params.cursor, params.limit)
+    const { data: rows, error } = await query
 
     if (error) {
       console.error(`[${req.requestId}] Supabase error:`, error)
       throw error
     }
 
-    console.log(`[${req.requestId}] Found ${files.length} files for user`)
+    const { rows: files, hasMore, nextCursor } = fileListing.getPage(rows, params.sort, params.limit)
+
+    console.log(`[${req.requestId}] Found ${files.length} of ${total} files for user`)
 
     // Transform file data for frontend
     const transformedFiles = files.map((file) => ({
@@ -196,6 +534,10 @@ router.get("/", async (req, res) => {
       accessControl: file.access_control,
       downloadCount: file.download_count,
       lastAccessed: file.last_accessed,
+      folderId: file.folder_id,
+      scanStatus: file.scan_status,
+      tags: file.tags || [],
+      metadata: file.metadata || {},
     }))
 
     // Log audit
@@ -208,18 +550,174 @@ router.get("/", async (req, res) => {
       success: true,
       details: { 
         count: files.length,
-        searchQuery: searchQuery || null
+        total,
+        filters: params.filters,
+        sort: params.sort,
+        paged: Boolean(params.cursor),
+        folderId: folderId || null
       },
       created_at: new Date().toISOString(),
     })
 
-    res.json({ data: transformedFiles })
+    res.json({
+      data: transformedFiles,
+      pagination: { total, limit: params.limit, hasMore, nextCursor },
+    })
   } catch (error) {
     console.error(`[${req.requestId}] Failed to fetch files:`, error)
     res.status(500).json({ error: "Failed to fetch files" })
   }
 })
 
+// Search the contents of the user's documents, with a snippet of text around the first match in each.
+// The query is never logged: it may be as sensitive as the documents themselves.
+router.get("/search", async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const query = typeof req.query.q === "string" ? req.query.q : ""
+
+    if (!query.trim() || query.length > 500) {
+      return res.status(400).json({ error: "q must be 1 to 500 characters" })
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be between 1 and 100" })
+    }
+
+    const { terms, files } = await searchIndex.search(userId, query)
+    if (terms.length === 0) {
+      return res.status(400).json({ error: "q must contain a word of at least two letters or digits" })
+    }
+
+    // Snippets are file content, so leave out files whose content the user couldn't open right now
+    const matches = []
+    let hasMore = false
+    for (const file of files) {
+      if (malwareScanner.isQuarantined(file) || !(await accessControl.checkAccess(file, req)).allowed) {
+        continue
+      }
+
+      if (matches.length === limit) {
+        hasMore = true
+        break
+      }
+      matches.push(file)
+    }
+
+    const snippets = await searchIndex.getSnippets(userId, matches.map((file) => file.id), terms)
+
+    await auditLogger.log({
+      userId,
+      action: "files_search",
+      resource: "/files/search",
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { terms: terms.length, count: matches.length },
+    })
+
+    res.json({
+      data: matches.map((file) => ({
+        id: file.id,
+        name: file.original_name,
+        size: file.size,
+        type: file.mime_type,
+        uploadedAt: file.created_at,
+        encrypted: file.encrypted,
+        folderId: file.folder_id,
+        tags: file.tags || [],
+        snippet: snippets.get(file.id) || null,
+      })),
+      hasMore,
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] File search error:`, error)
+    res.status(500).json({ error: "Search failed" })
+  }
+})
+
+// List files in the trash
+router.get("/trash", async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const retentionDays = trash.getRetentionDays(req.userProfile)
+
+    const { data: files, error } = await supabase
+      .from("files")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("deleted", true)
+      .order("deleted_at", { ascending: false })
+
+    if (error) throw error
+
+    res.json({
+      data: files.map((file) => ({
+        id: file.id,
+        name: file.original_name,
+        size: file.size,
+        type: file.mime_type,
+        encrypted: file.encrypted,
+        folderId: file.folder_id,
+        deletedAt: file.deleted_at,
+        purgeAt: trash.getPurgeDate(file, retentionDays).toISOString(),
+      })),
+      retentionDays,
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Failed to fetch trash:`, error)
+    res.status(500).json({ error: "Failed to fetch trash" })
+  }
+})
+
+// Empty the trash, permanently deleting every trashed file
+router.delete("/trash", mfaCheck("file_delete"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+
+    console.log(`[${req.requestId}] Empty trash request for user:`, userId)
+
+    const { data: files, error } = await supabase
+      .from("files")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("deleted", true)
+
+    if (error) throw error
+
+    let purged = 0
+    const failures = []
+    for (const file of files) {
+      try {
+        await trash.purgeFile(file, "trash_emptied")
+        purged++
+      } catch (purgeError) {
+        console.error(`[${req.requestId}] Failed to purge file ${file.id}:`, purgeError)
+        failures.push(file.id)
+      }
+    }
+
+    await auditLogger.log({
+      userId,
+      action: "trash_empty",
+      resource: "/files/trash",
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: failures.length === 0,
+      details: { purged, failed: failures.length },
+    })
+
+    res.json({ success: failures.length === 0, purged, failed: failures })
+  } catch (error) {
+    console.error(`[${req.requestId}] Empty trash error:`, error)
+    res.status(500).json({ error: "Failed to empty trash" })
+  }
+})
+
 // Upload file with encryption
 router.post(
   "/upload",
@@ -227,7 +725,10 @@ router.post(
     console.log(`[${req.requestId}] Upload endpoint hit - before multer`)
     next()
   },
-  upload.single("file"),
+  // Runs before multer, so uploads must present a step-up token rather than a body mfaToken
+  mfaCheck("file_upload"),
+  quotaCheck(),
+  receiveFile,
   async (req, res) => {
     console.log(`[${req.requestId}] Upload request received - after multer`)
 
@@ -239,86 +740,55 @@ router.post(
 
       console.log(`[${req.requestId}] File received:`, {
         originalname: req.file.originalname,
-        filename: req.file.filename,
+        storedName: req.file.storedName,
         size: req.file.size,
         mimetype: req.file.mimetype,
-        path: req.file.path,
+        encrypted: req.file.encrypted,
       })
 
       const supabase = req.app.locals.supabase
       const userId = req.user.id
-      const uploadOptions = JSON.parse(req.body.options || "{}")
-      const encryptionPassword = req.body.encryptionPassword || req.user.email // Use email as default password
+      const settings = getUploadSettings(req)
+      const uploadOptions = settings.options
+      const stored = req.file
+      const encryptionMetadata = stored.encryptionMetadata
 
       console.log(`[${req.requestId}] Upload options:`, uploadOptions)
 
-      // Read the uploaded file
-      const fileBuffer = await fs.readFile(req.file.path)
-      
-      // Calculate file hash
-      console.log(`[${req.requestId}] Calculating file hash...`)
-      const fileHash = generateFileHash(fileBuffer)
-      console.log(`[${req.requestId}] File hash:`, fileHash)
-
-      let encryptedBuffer = fileBuffer
-      let encryptionMetadata = null
-
-      // Encrypt file if encryption is enabled
-      if (uploadOptions.encryption !== false) {
-        console.log(`[${req.requestId}] Encrypting file...`)
-        const encryptionResult = await encryptFileBuffer(fileBuffer, encryptionPassword)
-        encryptedBuffer = encryptionResult.encryptedData
-        encryptionMetadata = {
-          salt: encryptionResult.salt,
-          iv: encryptionResult.iv,
-          tag: encryptionResult.tag,
-          algorithm: "aes-256-gcm"
-        }
-        console.log(`[${req.requestId}] File encrypted successfully`)
+      // A malformed options field that arrived after the file part
+      if (settings.error) {
+        await encryptedStorage.remove(stored.storedName)
+        return res.status(400).json({ error: settings.error })
       }
 
-      // Upload encrypted file to Supabase Storage
-      const fileExt = path.extname(req.file.originalname)
-      const fileName = `${userId}/${generateSecureToken()}${fileExt}`
-
-      const { data: storageData, error: storageError } = await supabase.storage
-        .from("secure-files")
-        .upload(fileName, encryptedBuffer, {
-          contentType: req.file.mimetype,
-          cacheControl: "3600",
-        })
+      if (uploadFieldsArrivedLate(req, settings)) {
+        await encryptedStorage.remove(stored.storedName)
+        return res.status(400).json({ error: "Send options and encryptionPassword before the file field" })
+      }
 
-      if (storageError) {
-        console.error(`[${req.requestId}] Storage error:`, storageError)
-        throw storageError
+      const folderId = uploadOptions.folderId || req.body.folderId || null
+      if (folderId && !(await folders.getFolder(folderId, userId))) {
+        await encryptedStorage.remove(stored.storedName)
+        return res.status(404).json({ error: "Folder not found" })
       }
 
-      console.log(`[${req.requestId}] File uploaded to storage:`, storageData.path)
+      // Other uploads may have used up the quota while this one streamed in
+      const quota = await quotas.getStatus(userId)
+      const exceeded = quotas.checkUpload(quota, { size: stored.size })
+      if (exceeded) {
+        await encryptedStorage.remove(stored.storedName)
+        return res.status(413).json({ ...exceeded, quota: quotas.format(quota) })
+      }
 
       // Create file record in database
-      const { data: fileRecord, error: dbError } = await supabase
-        .from("files")
-        .insert({
-          user_id: userId,
-          original_name: req.file.originalname,
-          stored_name: fileName,
-          size: req.file.size,
-          mime_type: req.file.mimetype,
-          encrypted: uploadOptions.encryption !== false,
-          encryption_metadata: encryptionMetadata,
-          file_hash: fileHash,
-          shared: false,
-          access_control: uploadOptions.accessControl || null,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-        })
-        .select()
-        .single()
+      const fileRecord = await insertFileRecord(supabase, userId, stored, {
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        accessControl: uploadOptions.accessControl,
+        folderId,
+      })
 
-      if (dbError) {
-        console.error(`[${req.requestId}] Database error:`, dbError)
-        throw dbError
-      }
+      await updateSearchIndex(req, fileRecord, stored.plaintext)
 
       console.log(`[${req.requestId}] File record created:`, {
         id: fileRecord.id,
@@ -327,72 +797,1495 @@ router.post(
         encrypted: fileRecord.encrypted,
       })
 
-      // Log audit
-      await supabase.from("audit_logs").insert({
-        user_id: userId,
-        action: "file_upload",
-        resource: `/files/${fileRecord.id}`,
-        ip_address: req.clientIP,
-        user_agent: req.get("User-Agent"),
+      // Log audit
+      await supabase.from("audit_logs").insert({
+        user_id: userId,
+        action: "file_upload",
+        resource: `/files/${fileRecord.id}`,
+        ip_address: req.clientIP,
+        user_agent: req.get("User-Agent"),
+        success: true,
+        details: {
+          filename: req.file.originalname,
+          size: req.file.size,
+          encrypted: fileRecord.encrypted,
+          encryptionAlgorithm: encryptionMetadata?.algorithm || "none",
+          deduplicated: stored.deduplicated,
+          detectedType: stored.detectedType,
+          folderId,
+        },
+        created_at: new Date().toISOString(),
+      })
+
+      console.log(`[${req.requestId}] Upload successful`)
+
+      const quotaWarnings = await reportQuotaWarnings(req, quota, { bytes: fileRecord.size, files: 1 })
+
+      res.json({
+        success: true,
+        file: {
+          id: fileRecord.id,
+          name: fileRecord.original_name,
+          size: fileRecord.size,
+          type: fileRecord.mime_type,
+          encrypted: fileRecord.encrypted,
+          folderId: fileRecord.folder_id,
+          scanStatus: fileRecord.scan_status,
+        },
+        quotaWarnings,
+      })
+    } catch (error) {
+      console.error(`[${req.requestId}] Upload error:`, error)
+      console.error(`[${req.requestId}] Error stack:`, error.stack)
+
+      // Clean up the stored object on error
+      if (req.file) {
+        try {
+          await encryptedStorage.remove(req.file.storedName)
+          console.log(`[${req.requestId}] Cleaned up file:`, req.file.storedName)
+        } catch (cleanupError) {
+          console.error(`[${req.requestId}] Cleanup error:`, cleanupError)
+        }
+      }
+
+      res.status(500).json({
+        error: "Upload failed: " + error.message,
+        requestId: req.requestId,
+      })
+    }
+  },
+)
+
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_UPLOAD_MAX_FILES || "100", 10)
+const ARCHIVE_MAX_FILES = parseInt(process.env.ARCHIVE_MAX_FILES || "1000", 10)
+const BATCH_FIELDS = ["manifest", "options", "encryptionPassword", "folderId"]
+
+/**
+ * Split a manifest path like "photos/2024/beach.jpg" into its folder names and file name
+ */
+function parseRelativePath(relativePath) {
+  const segments = String(relativePath).split(/[\/\\]/).filter(Boolean)
+
+  if (segments.length === 0 || segments.some((segment) => segment === "." || segment === "..")) {
+    throw new Error("Invalid path")
+  }
+
+  return { folderNames: segments.slice(0, -1), name: segments[segments.length - 1] }
+}
+
+/**
+ * Read the batch fields as they stood when the first file arrived.
+ * The manifest lists { path, options } per file, in the same order as the file parts.
+ * Malformed manifest or options come back as null and are rejected once multer is done.
+ */
+function getBatchFields(req) {
+  if (!req.batchFields) {
+    const manifest = parseJsonField(req.body.manifest, [])
+    const options = parseJsonField(req.body.options, {})
+
+    req.batchFields = {
+      raw: Object.fromEntries(BATCH_FIELDS.map((field) => [field, req.body[field]])),
+      manifest: Array.isArray(manifest) ? manifest : null,
+      options: options && typeof options === "object" && !Array.isArray(options) ? options : null,
+      fileCount: 0,
+    }
+  }
+
+  return req.batchFields
+}
+
+function getBatchUploadSettings(req, file) {
+  const batch = getBatchFields(req)
+  const index = batch.fileCount++
+
+  if (!batch.manifest || !batch.options) {
+    throw new Error("Invalid manifest or options")
+  }
+
+  const entry = batch.manifest[index] || {}
+  parseRelativePath(entry.path || file.originalname)
+
+  if (req.quota.remaining.files !== null && index >= req.quota.remaining.files) {
+    throw new Error("File count quota exceeded")
+  }
+
+  const result = fileValidator.validateFile(file)
+  if (!result.valid) {
+    throw fileValidator.createError(result.error, file)
+  }
+
+  const options = { ...batch.options, ...entry.options }
+
+  return {
+    encrypt: options.encryption !== false,
+    password: req.body.encryptionPassword || null,
+    customPassword: Boolean(req.body.encryptionPassword),
+    maxSize: getMaxUploadSize(req),
+  }
+}
+
+const batchUpload = multer({
+  storage: encryptedStorage.multerStorage(getBatchUploadSettings, { collectErrors: true }),
+  limits: { files: BATCH_MAX_FILES },
+}).array("files", BATCH_MAX_FILES)
+
+/**
+ * Run the batch multer middleware, answering 400 for request-level limits such as too many files
+ */
+function receiveBatch(req, res, next) {
+  batchUpload(req, res, (error) => {
+    if (error) {
+      req.resume()
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message, code: error.code })
+    }
+    next(error)
+  })
+}
+
+// Upload many files at once, optionally recreating a dropped folder's structure
+router.post("/upload/batch", mfaCheck("file_upload"), quotaCheck(), receiveBatch, async (req, res) => {
+  const files = req.files || []
+  const pending = new Set(files.filter((file) => file.storedName))
+
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: "No files uploaded" })
+    }
+
+    const batch = getBatchFields(req)
+    if (BATCH_FIELDS.some((field) => req.body[field] !== batch.raw[field])) {
+      return res.status(400).json({ error: "Send manifest, options, encryptionPassword and folderId before the files" })
+    }
+
+    if (!batch.manifest || !batch.options) {
+      return res
+        .status(400)
+        .json({ error: "manifest must be a JSON array of { path, options } and options a JSON object" })
+    }
+
+    const baseFolderId = req.body.folderId || batch.options.folderId || null
+    if (baseFolderId && !(await folders.getFolder(baseFolderId, userId))) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    console.log(`[${req.requestId}] Batch upload of ${files.length} files for user:`, userId)
+
+    const folderCache = new Map()
+    const results = []
+    const quota = await quotas.getStatus(userId)
+    const added = { bytes: 0, files: 0 }
+
+    for (const [index, file] of files.entries()) {
+      const entry = batch.manifest[index] || {}
+      const relativePath = entry.path || file.originalname
+
+      if (file.error) {
+        if (REJECTED_UPLOAD_STATUS[file.error.code]) {
+          await auditRejectedUpload(req, file.error, { batch: true })
+        }
+        results.push({ index, path: relativePath, success: false, error: file.error.message })
+        continue
+      }
+
+      try {
+        // Files are checked against what the batch has already added, in upload order
+        const exceeded = quotas.checkUpload(quotas.withUsage(quota, added), { size: file.size })
+        if (exceeded) {
+          throw Object.assign(new Error(exceeded.error), { quotaCode: exceeded.code })
+        }
+
+        const { folderNames, name } = parseRelativePath(relativePath)
+        const options = { ...batch.options, ...entry.options }
+        const folderId = await folders.ensurePath(userId, baseFolderId, folderNames, folderCache)
+
+        const fileRecord = await insertFileRecord(supabase, userId, file, {
+          originalName: name,
+          mimeType: file.mimetype,
+          accessControl: options.accessControl,
+          folderId,
+        })
+        pending.delete(file)
+        added.bytes += fileRecord.size
+        added.files++
+
+        // Read back from storage: keeping the plaintext of a whole batch in memory could add up to gigabytes
+        await updateSearchIndex(req, fileRecord)
+
+        await auditLogger.log({
+          userId,
+          action: "file_upload",
+          resource: `/files/${fileRecord.id}`,
+          ipAddress: req.clientIP,
+          userAgent: req.get("User-Agent"),
+          success: true,
+          details: {
+            filename: fileRecord.original_name,
+            size: fileRecord.size,
+            encrypted: fileRecord.encrypted,
+            encryptionAlgorithm: file.encryptionMetadata?.algorithm || "none",
+            deduplicated: file.deduplicated,
+            detectedType: file.detectedType,
+            folderId,
+            batch: true,
+          },
+        })
+
+        results.push({
+          index,
+          path: relativePath,
+          success: true,
+          file: {
+            id: fileRecord.id,
+            name: fileRecord.original_name,
+            size: fileRecord.size,
+            type: fileRecord.mime_type,
+            encrypted: fileRecord.encrypted,
+            folderId: fileRecord.folder_id,
+            scanStatus: fileRecord.scan_status,
+          },
+        })
+      } catch (fileError) {
+        if (!fileError.quotaCode) {
+          console.error(`[${req.requestId}] Batch upload failed for ${relativePath}:`, fileError)
+        }
+        await encryptedStorage.remove(file.storedName).catch(() => {})
+        pending.delete(file)
+        results.push({ index, path: relativePath, success: false, error: fileError.message, code: fileError.quotaCode })
+      }
+    }
+
+    const uploaded = results.filter((result) => result.success).length
+    const quotaWarnings = await reportQuotaWarnings(req, quota, added)
+
+    res.json({
+      success: uploaded === results.length,
+      uploaded,
+      failed: results.length - uploaded,
+      results,
+      quotaWarnings,
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Batch upload error:`, error)
+    res.status(500).json({ error: "Batch upload failed", requestId: req.requestId })
+  } finally {
+    // Anything stored but never recorded (early returns, unexpected errors) is discarded
+    for (const file of pending) {
+      await encryptedStorage.remove(file.storedName).catch(() => {})
+    }
+  }
+})
+
+const parseChunk = express.raw({ type: "application/offset+octet-stream", limit: uploadSessions.maxChunkSize })
+
+/**
+ * Read a resumable upload chunk into req.body, answering 413 for chunks over the limit
+ */
+function readChunk(req, res, next) {
+  parseChunk(req, res, (error) => {
+    if (error) {
+      return res
+        .status(error.type === "entity.too.large" ? 413 : 400)
+        .json({ error: error.type === "entity.too.large" ? "Chunk too large" : "Invalid chunk" })
+    }
+    next()
+  })
+}
+
+function setUploadHeaders(res, session) {
+  res.setHeader("Upload-Offset", session.upload_offset)
+  res.setHeader("Upload-Length", session.size)
+  res.setHeader("Upload-Expires", new Date(session.expires_at).toUTCString())
+  res.setHeader("Cache-Control", "no-store")
+}
+
+// Start a resumable upload: the client declares the file up front, then PATCHes chunks
+router.post("/uploads", mfaCheck("file_upload"), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { name, size, mimeType, fileHash, options = {} } = req.body
+
+    if (!name || !Number.isInteger(size) || size < 0) {
+      return res.status(400).json({ error: "name and a non-negative integer size are required" })
+    }
+
+    if (!/^[0-9a-f]{64}$/i.test(fileHash || "")) {
+      return res.status(400).json({ error: "fileHash must be the SHA-256 of the file in hex" })
+    }
+
+    const validation = fileValidator.validateFile({ originalname: name, mimetype: mimeType, size })
+    if (!validation.valid) {
+      return res.status(415).json({ error: validation.error })
+    }
+
+    if (options.folderId && !(await folders.getFolder(options.folderId, userId))) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    // The declared size stays reserved against the quota until the session finishes or expires
+    const quota = await quotas.getStatus(userId)
+    const exceeded = quotas.checkUpload(quota, { size })
+    if (exceeded) {
+      return res.status(413).json({ ...exceeded, quota: quotas.format(quota) })
+    }
+
+    const session = await uploadSessions.create(userId, {
+      originalName: name,
+      mimeType: mimeType || "application/octet-stream",
+      size,
+      fileHash: fileHash.toLowerCase(),
+      options,
+    })
+
+    console.log(`[${req.requestId}] Upload session created:`, session.id)
+
+    setUploadHeaders(res, session)
+    res.setHeader("Location", `${req.baseUrl}/uploads/${session.id}`)
+    res.status(201).json({ session: uploadSessions.format(session) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Create upload session error:`, error)
+    res.status(500).json({ error: "Failed to create upload session" })
+  }
+})
+
+// Current offset of a resumable upload, used to resume after an interruption
+router.head("/uploads/:sessionId", async (req, res) => {
+  try {
+    const session = await uploadSessions.get(req.params.sessionId, req.user.id)
+    if (!session) {
+      return res.status(404).end()
+    }
+
+    setUploadHeaders(res, session)
+    res.status(204).end()
+  } catch (error) {
+    console.error(`[${req.requestId}] Get upload session error:`, error)
+    res.status(500).end()
+  }
+})
+
+// Append a chunk at Upload-Offset, which must match the session's current offset
+router.patch("/uploads/:sessionId", readChunk, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: "Chunks must be sent as application/offset+octet-stream" })
+    }
+
+    const session = await uploadSessions.get(req.params.sessionId, req.user.id)
+    if (!session) {
+      return res.status(404).json({ error: "Upload session not found" })
+    }
+
+    const offset = parseInt(req.get("Upload-Offset"), 10)
+    if (offset !== session.upload_offset) {
+      setUploadHeaders(res, session)
+      return res
+        .status(409)
+        .json({ error: "Upload-Offset does not match the current offset", offset: session.upload_offset })
+    }
+
+    if (session.upload_offset + req.body.length > session.size) {
+      return res.status(413).json({ error: "Chunk exceeds the declared upload size" })
+    }
+
+    if (req.body.length === 0) {
+      setUploadHeaders(res, session)
+      return res.status(204).end()
+    }
+
+    const updated = await uploadSessions.appendChunk(session, req.body)
+    if (!updated) {
+      return res.status(409).json({ error: "Upload offset changed, check the current offset and retry" })
+    }
+
+    setUploadHeaders(res, updated)
+    res.status(204).end()
+  } catch (error) {
+    console.error(`[${req.requestId}] Upload chunk error:`, error)
+    res.status(500).json({ error: "Failed to store chunk" })
+  }
+})
+
+// Complete a resumable upload: verify the declared hash, encrypt, and create the file
+router.post("/uploads/:sessionId/finalize", async (req, res) => {
+  let stored = null
+
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+
+    const session = await uploadSessions.get(req.params.sessionId, userId)
+    if (!session) {
+      return res.status(404).json({ error: "Upload session not found" })
+    }
+
+    if (session.upload_offset !== session.size) {
+      return res.status(409).json({ error: "Upload is incomplete", offset: session.upload_offset, size: session.size })
+    }
+
+    const uploadOptions = session.options || {}
+    const folderId = uploadOptions.folderId || null
+    if (folderId && !(await folders.getFolder(folderId, userId))) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    // Check again in case the limits were lowered since the session started; the session is kept
+    const quota = await quotas.getStatus(userId)
+    const exceeded = quotas.checkUpload(quota, { size: session.size }, { reserved: session.size })
+    if (exceeded) {
+      return res.status(413).json({ ...exceeded, quota: quotas.format(quota) })
+    }
+
+    try {
+      stored = await encryptedStorage.store(await uploadSessions.openAssembledStream(session), {
+        userId,
+        originalName: session.original_name,
+        mimeType: session.mime_type,
+        encrypt: uploadOptions.encryption !== false,
+        password: req.body.encryptionPassword || null,
+        checkContent: true,
+        scan: true,
+        keepPlaintext: searchIndex.getCaptureLimit(
+          session.mime_type,
+          uploadOptions.encryption !== false && req.body.encryptionPassword,
+        ),
+      })
+    } catch (storeError) {
+      if (!REJECTED_UPLOAD_STATUS[storeError.code]) throw storeError
+
+      // The content won't change, so the upload can't be retried
+      await uploadSessions.remove(session)
+      await auditRejectedUpload(req, storeError, { resumable: true })
+      return sendRejectedUpload(res, storeError)
+    }
+
+    if (stored.fileHash !== session.file_hash) {
+      await encryptedStorage.remove(stored.storedName)
+      stored = null
+      await uploadSessions.remove(session)
+
+      await auditLogger.log({
+        userId,
+        action: "file_upload",
+        resource: `/files/uploads/${session.id}`,
+        ipAddress: req.clientIP,
+        userAgent: req.get("User-Agent"),
+        success: false,
+        details: { filename: session.original_name, resumable: true, reason: "hash_mismatch" },
+      })
+
+      return res.status(422).json({ error: "Uploaded data does not match fileHash, start a new upload" })
+    }
+
+    const fileRecord = await insertFileRecord(supabase, userId, stored, {
+      originalName: session.original_name,
+      mimeType: session.mime_type,
+      accessControl: uploadOptions.accessControl,
+      folderId,
+    })
+
+    await updateSearchIndex(req, fileRecord, stored.plaintext)
+
+    try {
+      await uploadSessions.remove(session)
+    } catch (cleanupError) {
+      // The file exists now; the expired session is swept up later
+      console.error(`[${req.requestId}] Upload session cleanup error:`, cleanupError)
+    }
+
+    await auditLogger.log({
+      userId,
+      action: "file_upload",
+      resource: `/files/${fileRecord.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: {
+        filename: fileRecord.original_name,
+        size: fileRecord.size,
+        encrypted: fileRecord.encrypted,
+        encryptionAlgorithm: stored.encryptionMetadata?.algorithm || "none",
+        deduplicated: stored.deduplicated,
+        detectedType: stored.detectedType,
+        folderId,
+        resumable: true,
+      },
+    })
+
+    const quotaWarnings = await reportQuotaWarnings(req, quota, { bytes: fileRecord.size, files: 1 })
+
+    res.json({
+      success: true,
+      file: {
+        id: fileRecord.id,
+        name: fileRecord.original_name,
+        size: fileRecord.size,
+        type: fileRecord.mime_type,
+        encrypted: fileRecord.encrypted,
+        folderId: fileRecord.folder_id,
+        scanStatus: fileRecord.scan_status,
+      },
+      quotaWarnings,
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Finalize upload error:`, error)
+
+    if (stored) {
+      await encryptedStorage.remove(stored.storedName).catch(() => {})
+    }
+
+    res.status(500).json({ error: "Failed to finalize upload" })
+  }
+})
+
+// Abandon a resumable upload and discard its chunks
+router.delete("/uploads/:sessionId", async (req, res) => {
+  try {
+    const session = await uploadSessions.get(req.params.sessionId, req.user.id)
+    if (!session) {
+      return res.status(404).json({ error: "Upload session not found" })
+    }
+
+    await uploadSessions.remove(session)
+    res.status(204).end()
+  } catch (error) {
+    console.error(`[${req.requestId}] Cancel upload error:`, error)
+    res.status(500).json({ error: "Failed to cancel upload" })
+  }
+})
+
+// Download endpoint with decryption
+router.get("/:id/download", enforceFileAccess("file_download"), mfaCheck("file_download"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const fileId = req.params.id
+    const decryptionPassword = getDecryptionPassword(req)
+
+    console.log(`[${req.requestId}] Download request for file:`, fileId)
+
+    // Get file metadata from database
+    const { data: file, error: dbError } = await supabase
+      .from("files")
+      .select("*")
+      .eq("id", fileId)
+      .eq("user_id", userId)
+      .eq("deleted", false)
+      .single()
+
+    if (dbError || !file) {
+      console.log(`[${req.requestId}] File not found:`, fileId)
+      return res.status(404).json({ error: "File not found" })
+    }
+
+    console.log(`[${req.requestId}] Found file:`, file.original_name)
+
+    if (rejectQuarantined(res, file)) {
+      return
+    }
+
+    const plan = planContentResponse(req, res, file)
+    if (endWithoutBody(res, plan, file)) {
+      return
+    }
+
+    // Open the stored file (or the requested ranges), decrypting segment by segment as it streams
+    let body
+    try {
+      body = await openResponseBody(file, decryptionPassword, plan.ranges)
+    } catch (decryptError) {
+      console.error(`[${req.requestId}] Decryption error:`, decryptError)
+      return res.status(400).json({ 
+        error: "Failed to decrypt file. Please check your password.",
+        details: "The file is encrypted and the provided password is incorrect."
+      })
+    }
+
+    // Update download count and last accessed; resumed or seeking range requests aren't new downloads
+    if (!plan.ranges || plan.ranges[0].start === 0) {
+      await supabase
+        .from("files")
+        .update({
+          download_count: (file.download_count || 0) + 1,
+          last_accessed: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", fileId)
+    }
+
+    // Log audit
+    await supabase.from("audit_logs").insert({
+      user_id: userId,
+      action: "file_download",
+      resource: `/files/${fileId}`,
+      ip_address: req.clientIP,
+      user_agent: req.get("User-Agent"),
+      success: true,
+      details: { 
+        filename: file.original_name,
+        encrypted: file.encrypted,
+        decryptionSuccess: true,
+        range: describeRanges(plan),
+      },
+      created_at: new Date().toISOString(),
+    })
+
+    // Stream decrypted file
+    res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(file.original_name)}"`)
+    sendResponseBody(req, res, body, file.mime_type)
+
+    console.log(`[${req.requestId}] Download successful:`, file.original_name)
+  } catch (error) {
+    console.error(`[${req.requestId}] Download error:`, error)
+    res.status(500).json({ error: "Download failed" })
+  }
+})
+
+/**
+ * Give each archive entry a unique path, numbering repeats like "report (1).pdf"
+ */
+function uniqueEntryName(name, usedNames) {
+  const extension = path.extname(name)
+  const base = name.slice(0, name.length - extension.length)
+  let candidate = name
+
+  for (let n = 1; usedNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${extension}`
+  }
+
+  usedNames.add(candidate.toLowerCase())
+  return candidate
+}
+
+// Download several files, or a whole folder, as one zip decrypted on the fly.
+// Files whose access rules deny the request, or that are quarantined, are left out of the archive.
+router.post("/archive", mfaCheck("file_download"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const { fileIds, folderId } = req.body
+    const decryptionPassword = getDecryptionPassword(req)
+
+    if (!folderId && (!Array.isArray(fileIds) || fileIds.length === 0)) {
+      return res.status(400).json({ error: "Provide fileIds or folderId" })
+    }
+
+    if (fileIds && fileIds.length > ARCHIVE_MAX_FILES) {
+      return res.status(400).json({ error: `At most ${ARCHIVE_MAX_FILES} files can be archived at once` })
+    }
+
+    let archiveName = "files.zip"
+    let folderPaths = null
+    let query = supabase.from("files").select("*").eq("user_id", userId).eq("deleted", false)
+
+    if (folderId) {
+      const folder = await folders.getFolder(folderId, userId)
+      if (!folder) {
+        return res.status(404).json({ error: "Folder not found" })
+      }
+
+      archiveName = `${folder.name}.zip`
+      folderPaths = await folders.getSubtreePaths(folder.id, userId)
+      query = query.in("folder_id", [...folderPaths.keys()])
+    } else {
+      query = query.in("id", fileIds)
+    }
+
+    const { data: files, error } = await query.order("original_name", { ascending: true })
+    if (error) throw error
+
+    if (!folderId && files.length !== new Set(fileIds).size) {
+      const found = new Set(files.map((file) => file.id))
+      return res.status(404).json({ error: "File not found", missing: fileIds.filter((id) => !found.has(id)) })
+    }
+
+    if (files.length > ARCHIVE_MAX_FILES) {
+      return res.status(400).json({ error: `At most ${ARCHIVE_MAX_FILES} files can be archived at once` })
+    }
+
+    const allowed = []
+    for (const file of files) {
+      const result = malwareScanner.isQuarantined(file)
+        ? { allowed: false, reason: `Quarantined, malware scan ${file.scan_status}` }
+        : await accessControl.checkAccess(file, req)
+
+      if (result.allowed) {
+        allowed.push(file)
+        continue
+      }
+
+      await auditLogger.log({
+        userId,
+        action: "access_denied",
+        resource: `/files/${file.id}`,
+        ipAddress: req.clientIP,
+        userAgent: req.get("User-Agent"),
+        success: false,
+        details: { filename: file.original_name, requestedAction: "file_archive", reason: result.reason },
+      })
+    }
+
+    if (files.length > 0 && allowed.length === 0) {
+      return res.status(403).json({ error: "Access denied" })
+    }
+
+    console.log(`[${req.requestId}] Archive request for ${allowed.length} files`)
+
+    const archive = archiver("zip", { zlib: { level: 6 } })
+    const usedNames = new Set()
+    let aborted = false
+
+    archive.on("warning", (warning) => console.error(`[${req.requestId}] Archive warning:`, warning))
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        aborted = true
+        archive.abort()
+      }
+    })
+
+    res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(archiveName)}"`)
+    res.setHeader("Content-Type", "application/zip")
+
+    pipeline(archive, res, (streamError) => {
+      if (streamError) {
+        console.error(`[${req.requestId}] Archive stream error:`, streamError)
+      }
+    })
+
+    // One entry at a time, so only one stored file is open and decrypting at any moment
+    for (const file of allowed) {
+      if (aborted) break
+
+      const folderPath = folderPaths?.get(file.folder_id)
+      const name = uniqueEntryName(folderPath ? `${folderPath}/${file.original_name}` : file.original_name, usedNames)
+
+      let contents
+      try {
+        contents = await encryptedStorage.openPlaintextStream(file, decryptionPassword)
+      } catch (decryptError) {
+        console.error(`[${req.requestId}] Archive decryption error for ${file.id}:`, decryptError)
+        await auditLogger.log({
+          userId,
+          action: "file_download",
+          resource: `/files/${file.id}`,
+          ipAddress: req.clientIP,
+          userAgent: req.get("User-Agent"),
+          success: false,
+          details: {
+            filename: file.original_name,
+            encrypted: file.encrypted,
+            archive: true,
+            decryptionSuccess: false,
+          },
+        })
+        continue
+      }
+
+      const entryWritten = once(archive, "entry")
+      archive.append(contents, { name, date: new Date(file.created_at) })
+      await entryWritten
+
+      await supabase
+        .from("files")
+        .update({
+          download_count: (file.download_count || 0) + 1,
+          last_accessed: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", file.id)
+
+      await auditLogger.log({
+        userId,
+        action: "file_download",
+        resource: `/files/${file.id}`,
+        ipAddress: req.clientIP,
+        userAgent: req.get("User-Agent"),
+        success: true,
+        details: { filename: file.original_name, encrypted: file.encrypted, archive: true, entry: name },
+      })
+    }
+
+    if (!aborted) {
+      await archive.finalize()
+    }
+  } catch (error) {
+    console.error(`[${req.requestId}] Archive error:`, error)
+
+    if (res.headersSent) {
+      res.destroy(error)
+    } else {
+      res.status(500).json({ error: "Archive download failed" })
+    }
+  }
+})
+
+/**
+ * Load the files a bulk tag or metadata change names, answering the request itself when it can't go ahead.
+ * Files whose access control rules deny the change are audited and returned as failures.
+ * @returns {Promise<Object|null>} - { files, failed }, or null once a response was sent
+ */
+async function loadBulkFiles(req, res, action) {
+  const supabase = req.app.locals.supabase
+  const userId = req.user.id
+  const { fileIds } = req.body
+
+  if (!Array.isArray(fileIds) || fileIds.length === 0) {
+    res.status(400).json({ error: "Provide fileIds" })
+    return null
+  }
+
+  if (fileIds.length > fileTags.maxBulkFiles) {
+    res.status(400).json({ error: `At most ${fileTags.maxBulkFiles} files can be changed at once` })
+    return null
+  }
+
+  const { data: files, error } = await supabase
+    .from("files")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("deleted", false)
+    .in("id", fileIds)
+
+  if (error) throw error
+
+  if (files.length !== new Set(fileIds).size) {
+    const found = new Set(files.map((file) => file.id))
+    res.status(404).json({ error: "File not found", missing: fileIds.filter((id) => !found.has(id)) })
+    return null
+  }
+
+  const allowed = []
+  const failed = []
+  for (const file of files) {
+    const result = await accessControl.checkAccess(file, req)
+
+    if (result.allowed) {
+      allowed.push(file)
+      continue
+    }
+
+    failed.push({ id: file.id, name: file.original_name, error: "Access denied" })
+
+    await auditLogger.log({
+      userId,
+      action: "access_denied",
+      resource: `/files/${file.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: false,
+      details: { filename: file.original_name, requestedAction: action, reason: result.reason },
+    })
+  }
+
+  return { files: allowed, failed }
+}
+
+// Tags in use with how many files carry each, for autocomplete
+router.get("/tags", async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be between 1 and 100" })
+    }
+
+    const tags = await fileTags.getTagCounts(req.user.id, { prefix: req.query.prefix || "", limit })
+
+    res.json({ data: tags })
+  } catch (error) {
+    console.error(`[${req.requestId}] Tag list error:`, error)
+    res.status(500).json({ error: "Failed to fetch tags" })
+  }
+})
+
+// Add and remove tags on several files at once
+router.post("/tags", async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+
+    const add = fileTags.parseTags(req.body.add || [], "add")
+    const remove = fileTags.parseTags(req.body.remove || [], "remove")
+    const invalid = add.error || remove.error
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    if (add.tags.length === 0 && remove.tags.length === 0) {
+      return res.status(400).json({ error: "Provide tags to add or remove" })
+    }
+
+    const bulk = await loadBulkFiles(req, res, "file_tags_update")
+    if (!bulk) return
+
+    const updated = []
+    const failed = [...bulk.failed]
+
+    for (const file of bulk.files) {
+      const change = fileTags.changeTags(file, { add: add.tags, remove: remove.tags })
+
+      if (change.error) {
+        failed.push({ id: file.id, name: file.original_name, error: change.error })
+        continue
+      }
+
+      if (change.added.length > 0 || change.removed.length > 0) {
+        const { error: updateError } = await supabase
+          .from("files")
+          .update({ tags: change.tags, updated_at: new Date().toISOString() })
+          .eq("id", file.id)
+
+        if (updateError) throw updateError
+
+        await auditLogger.log({
+          userId,
+          action: "file_tags_update",
+          resource: `/files/${file.id}`,
+          ipAddress: req.clientIP,
+          userAgent: req.get("User-Agent"),
+          success: true,
+          details: { filename: file.original_name, added: change.added, removed: change.removed },
+        })
+      }
+
+      updated.push({ id: file.id, name: file.original_name, tags: change.tags })
+    }
+
+    res.json({ success: failed.length === 0, updated, failed })
+  } catch (error) {
+    console.error(`[${req.requestId}] Tag update error:`, error)
+    res.status(500).json({ error: "Tag update failed" })
+  }
+})
+
+// Set and remove metadata keys on several files at once
+router.post("/metadata", async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+
+    const set = fileTags.parseMetadata(req.body.set || {}, "set")
+    const remove = fileTags.parseMetadataKeys(req.body.remove || [], "remove")
+    const invalid = set.error || remove.error
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    if (Object.keys(set.metadata).length === 0 && remove.keys.length === 0) {
+      return res.status(400).json({ error: "Provide metadata to set or remove" })
+    }
+
+    const bulk = await loadBulkFiles(req, res, "file_metadata_update")
+    if (!bulk) return
+
+    const updated = []
+    const failed = [...bulk.failed]
+
+    for (const file of bulk.files) {
+      const change = fileTags.changeMetadata(file, { set: set.metadata, remove: remove.keys })
+
+      if (change.error) {
+        failed.push({ id: file.id, name: file.original_name, error: change.error })
+        continue
+      }
+
+      if (change.changed.length > 0 || change.removed.length > 0) {
+        const { error: updateError } = await supabase
+          .from("files")
+          .update({ metadata: change.metadata, updated_at: new Date().toISOString() })
+          .eq("id", file.id)
+
+        if (updateError) throw updateError
+
+        // Keys only; values may hold client details that don't belong in the audit log
+        await auditLogger.log({
+          userId,
+          action: "file_metadata_update",
+          resource: `/files/${file.id}`,
+          ipAddress: req.clientIP,
+          userAgent: req.get("User-Agent"),
+          success: true,
+          details: { filename: file.original_name, changedKeys: change.changed, removedKeys: change.removed },
+        })
+      }
+
+      updated.push({ id: file.id, name: file.original_name, metadata: change.metadata })
+    }
+
+    res.json({ success: failed.length === 0, updated, failed })
+  } catch (error) {
+    console.error(`[${req.requestId}] Metadata update error:`, error)
+    res.status(500).json({ error: "Metadata update failed" })
+  }
+})
+
+// Delete file
+router.delete("/:id", enforceFileAccess("file_delete"), mfaCheck("file_delete"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const fileId = req.params.id
+
+    console.log(`[${req.requestId}] Delete request for file:`, fileId)
+
+    // Get file metadata
+    const { data: file, error: dbError } = await supabase
+      .from("files")
+      .select("*")
+      .eq("id", fileId)
+      .eq("user_id", userId)
+      .eq("deleted", false)
+      .single()
+
+    if (dbError || !file) {
+      console.log(`[${req.requestId}] File not found for deletion:`, fileId)
+      return res.status(404).json({ error: "File not found" })
+    }
+
+    console.log(`[${req.requestId}] Deleting file:`, file.original_name)
+
+    // Soft delete in database
+    await supabase
+      .from("files")
+      .update({
+        deleted: true,
+        deleted_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", fileId)
+
+    // Log audit
+    await supabase.from("audit_logs").insert({
+      user_id: userId,
+      action: "file_delete",
+      resource: `/files/${fileId}`,
+      ip_address: req.clientIP,
+      user_agent: req.get("User-Agent"),
+      success: true,
+      details: { filename: file.original_name },
+      created_at: new Date().toISOString(),
+    })
+
+    console.log(`[${req.requestId}] File deleted successfully:`, file.original_name)
+    res.json({ success: true, message: "File deleted successfully" })
+  } catch (error) {
+    console.error(`[${req.requestId}] Delete error:`, error)
+    res.status(500).json({ error: "Delete failed" })
+  }
+})
+
+// Restore a file from the trash
+router.post("/:id/restore", enforceFileAccess("file_restore"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const fileId = req.params.id
+
+    const { data: file, error: dbError } = await supabase
+      .from("files")
+      .select("*")
+      .eq("id", fileId)
+      .eq("user_id", userId)
+      .eq("deleted", true)
+      .single()
+
+    if (dbError || !file) {
+      return res.status(404).json({ error: "File not found in trash" })
+    }
+
+    // The containing folder may have been deleted meanwhile (folder_id is then NULL), restoring to the root
+    await supabase
+      .from("files")
+      .update({
+        deleted: false,
+        deleted_at: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", fileId)
+
+    await auditLogger.log({
+      userId,
+      action: "file_restore",
+      resource: `/files/${fileId}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { filename: file.original_name, deletedAt: file.deleted_at },
+    })
+
+    res.json({
+      success: true,
+      file: { id: file.id, name: file.original_name, folderId: file.folder_id },
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Restore error:`, error)
+    res.status(500).json({ error: "Restore failed" })
+  }
+})
+
+// Upload a new version of an existing file
+router.post(
+  "/:id/versions",
+  enforceFileAccess("file_upload"),
+  mfaCheck("file_upload"),
+  quotaCheck({ files: 0 }),
+  receiveFile,
+  async (req, res) => {
+    try {
+      const supabase = req.app.locals.supabase
+      const userId = req.user.id
+      const fileId = req.params.id
+
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" })
+      }
+
+      const { data: file, error: dbError } = await supabase
+        .from("files")
+        .select("*")
+        .eq("id", fileId)
+        .eq("user_id", userId)
+        .eq("deleted", false)
+        .single()
+
+      if (dbError || !file) {
+        await encryptedStorage.remove(req.file.storedName)
+        return res.status(404).json({ error: "File not found" })
+      }
+
+      const settings = getUploadSettings(req)
+      if (settings.error) {
+        await encryptedStorage.remove(req.file.storedName)
+        return res.status(400).json({ error: settings.error })
+      }
+
+      if (uploadFieldsArrivedLate(req, settings)) {
+        await encryptedStorage.remove(req.file.storedName)
+        return res.status(400).json({ error: "Send options and encryptionPassword before the file field" })
+      }
+
+      // The previous content is kept as a version, so the new content adds to the quota
+      const quota = await quotas.getStatus(userId)
+      const exceeded = quotas.checkUpload(quota, { size: req.file.size, files: 0 })
+      if (exceeded) {
+        await encryptedStorage.remove(req.file.storedName)
+        return res.status(413).json({ ...exceeded, quota: quotas.format(quota) })
+      }
+
+      console.log(`[${req.requestId}] New version upload for file:`, fileId)
+
+      const stored = req.file
+
+      await archiveCurrentVersion(supabase, file)
+
+      const newVersion = (file.version || 1) + 1
+      const { data: updated, error: updateError } = await supabase
+        .from("files")
+        .update({
+          stored_name: stored.storedName,
+          size: req.file.size,
+          mime_type: req.file.mimetype,
+          encrypted: stored.encrypted,
+          encryption_metadata: stored.encryptionMetadata,
+          file_hash: stored.fileHash,
+          ...malwareScanner.toColumns(stored.scan),
+          // New content has not been verified yet
+          integrity_status: null,
+          integrity_error: null,
+          integrity_checked_at: null,
+          version: newVersion,
+          uploaded_by: userId,
+          version_created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", fileId)
+        .select()
+        .single()
+
+      if (updateError) throw updateError
+
+      await updateSearchIndex(req, updated, stored.plaintext)
+
+      await auditLogger.log({
+        userId,
+        action: "file_version_upload",
+        resource: `/files/${fileId}`,
+        ipAddress: req.clientIP,
+        userAgent: req.get("User-Agent"),
+        success: true,
+        details: {
+          filename: file.original_name,
+          version: newVersion,
+          previousHash: file.file_hash,
+          fileHash: stored.fileHash,
+          size: req.file.size,
+          detectedType: stored.detectedType,
+        },
+      })
+
+      const quotaWarnings = await reportQuotaWarnings(req, quota, { bytes: req.file.size, files: 0 })
+
+      res.json({
+        success: true,
+        file: {
+          id: updated.id,
+          name: updated.original_name,
+          size: updated.size,
+          type: updated.mime_type,
+          encrypted: updated.encrypted,
+          version: updated.version,
+          scanStatus: updated.scan_status,
+        },
+        quotaWarnings,
+      })
+    } catch (error) {
+      console.error(`[${req.requestId}] Version upload error:`, error)
+
+      if (req.file) {
+        try {
+          await encryptedStorage.remove(req.file.storedName)
+        } catch (cleanupError) {
+          console.error(`[${req.requestId}] Cleanup error:`, cleanupError)
+        }
+      }
+
+      res.status(500).json({ error: "Version upload failed" })
+    }
+  },
+)
+
+// List versions of a file, newest first
+router.get("/:id/versions", enforceFileAccess("file_versions"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const fileId = req.params.id
+
+    const { data: file, error: dbError } = await supabase
+      .from("files")
+      .select("*")
+      .eq("id", fileId)
+      .eq("user_id", userId)
+      .eq("deleted", false)
+      .single()
+
+    if (dbError || !file) {
+      return res.status(404).json({ error: "File not found" })
+    }
+
+    const { data: versions, error } = await supabase
+      .from("file_versions")
+      .select("*")
+      .eq("file_id", fileId)
+      .eq("user_id", userId)
+      .order("version_number", { ascending: false })
+
+    if (error) throw error
+
+    const current = {
+      id: null,
+      version_number: file.version || 1,
+      size: file.size,
+      mime_type: file.mime_type,
+      file_hash: file.file_hash,
+      encrypted: file.encrypted,
+      uploaded_by: file.uploaded_by || file.user_id,
+      created_at: file.version_created_at || file.created_at,
+    }
+
+    res.json({
+      data: [formatVersion(current, true), ...(versions || []).map((version) => formatVersion(version))],
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] List versions error:`, error)
+    res.status(500).json({ error: "Failed to fetch versions" })
+  }
+})
+
+// Download a specific prior version
+router.get(
+  "/:id/versions/:versionId/download",
+  enforceFileAccess("file_download"),
+  mfaCheck("file_download"),
+  async (req, res) => {
+    try {
+      const supabase = req.app.locals.supabase
+      const userId = req.user.id
+      const fileId = req.params.id
+      const decryptionPassword = getDecryptionPassword(req)
+
+      const { data: file, error: dbError } = await supabase
+        .from("files")
+        .select("*")
+        .eq("id", fileId)
+        .eq("user_id", userId)
+        .eq("deleted", false)
+        .single()
+
+      if (dbError || !file) {
+        return res.status(404).json({ error: "File not found" })
+      }
+
+      const { data: version } = await supabase
+        .from("file_versions")
+        .select("*")
+        .eq("id", req.params.versionId)
+        .eq("file_id", fileId)
+        .single()
+
+      if (!version) {
+        return res.status(404).json({ error: "Version not found" })
+      }
+
+      if (rejectQuarantined(res, version)) {
+        return
+      }
+
+      const plan = planContentResponse(req, res, version)
+      if (endWithoutBody(res, plan, version)) {
+        return
+      }
+
+      let body
+      try {
+        body = await openResponseBody(version, decryptionPassword, plan.ranges)
+      } catch (decryptError) {
+        console.error(`[${req.requestId}] Version decryption error:`, decryptError)
+        return res.status(400).json({ error: "Failed to decrypt file. Please check your password." })
+      }
+
+      await auditLogger.log({
+        userId,
+        action: "file_download",
+        resource: `/files/${fileId}/versions/${version.id}`,
+        ipAddress: req.clientIP,
+        userAgent: req.get("User-Agent"),
+        success: true,
+        details: { filename: file.original_name, version: version.version_number, range: describeRanges(plan) },
+      })
+
+      res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(file.original_name)}"`)
+      sendResponseBody(req, res, body, version.mime_type)
+    } catch (error) {
+      console.error(`[${req.requestId}] Version download error:`, error)
+      res.status(500).json({ error: "Download failed" })
+    }
+  },
+)
+
+// Restore a prior version as the current content
+router.post(
+  "/:id/versions/:versionId/restore",
+  enforceFileAccess("file_version_restore"),
+  mfaCheck("file_upload"),
+  async (req, res) => {
+    try {
+      const supabase = req.app.locals.supabase
+      const userId = req.user.id
+      const fileId = req.params.id
+
+      const { data: file, error: dbError } = await supabase
+        .from("files")
+        .select("*")
+        .eq("id", fileId)
+        .eq("user_id", userId)
+        .eq("deleted", false)
+        .single()
+
+      if (dbError || !file) {
+        return res.status(404).json({ error: "File not found" })
+      }
+
+      const { data: version } = await supabase
+        .from("file_versions")
+        .select("*")
+        .eq("id", req.params.versionId)
+        .eq("file_id", fileId)
+        .single()
+
+      if (!version) {
+        return res.status(404).json({ error: "Version not found" })
+      }
+
+      // The restored content becomes a new version on top; its storage object moves
+      // from the version row to the file row so each object keeps exactly one owner
+      await archiveCurrentVersion(supabase, file)
+
+      const newVersion = (file.version || 1) + 1
+      const { data: updated, error: updateError } = await supabase
+        .from("files")
+        .update({
+          stored_name: version.stored_name,
+          size: version.size,
+          mime_type: version.mime_type,
+          encrypted: version.encrypted,
+          encryption_metadata: version.encryption_metadata,
+          file_hash: version.file_hash,
+          scan_status: version.scan_status,
+          scan_result: version.scan_result,
+          scanned_at: version.scanned_at,
+          integrity_status: version.integrity_status,
+          integrity_error: version.integrity_error,
+          integrity_checked_at: version.integrity_checked_at,
+          version: newVersion,
+          uploaded_by: userId,
+          version_created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", fileId)
+        .select()
+        .single()
+
+      if (updateError) throw updateError
+
+      await supabase.from("file_versions").delete().eq("id", version.id)
+      await updateSearchIndex(req, updated)
+
+      await auditLogger.log({
+        userId,
+        action: "file_version_restore",
+        resource: `/files/${fileId}`,
+        ipAddress: req.clientIP,
+        userAgent: req.get("User-Agent"),
         success: true,
         details: {
-          filename: req.file.originalname,
-          size: req.file.size,
-          encrypted: fileRecord.encrypted,
-          encryptionAlgorithm: encryptionMetadata?.algorithm || "none",
+          filename: file.original_name,
+          restoredFrom: version.version_number,
+          version: newVersion,
+          fileHash: version.file_hash,
         },
-        created_at: new Date().toISOString(),
       })
 
-      // Clean up local file
-      await fs.unlink(req.file.path)
-      console.log(`[${req.requestId}] Local file deleted:`, req.file.path)
-
-      console.log(`[${req.requestId}] Upload successful`)
-
       res.json({
         success: true,
         file: {
-          id: fileRecord.id,
-          name: fileRecord.original_name,
-          size: fileRecord.size,
-          type: fileRecord.mime_type,
-          encrypted: fileRecord.encrypted,
+          id: updated.id,
+          name: updated.original_name,
+          size: updated.size,
+          version: updated.version,
+          scanStatus: updated.scan_status,
+          restoredFrom: version.version_number,
         },
       })
     } catch (error) {
-      console.error(`[${req.requestId}] Upload error:`, error)
-      console.error(`[${req.requestId}] Error stack:`, error.stack)
-
-      // Clean up files on error
-      if (req.file) {
-        try {
-          await fs.unlink(req.file.path)
-          console.log(`[${req.requestId}] Cleaned up file:`, req.file.path)
-        } catch (cleanupError) {
-          console.error(`[${req.requestId}] Cleanup error:`, cleanupError)
-        }
-      }
-
-      res.status(500).json({
-        error: "Upload failed: " + error.message,
-        requestId: req.requestId,
-      })
+      console.error(`[${req.requestId}] Version restore error:`, error)
+      res.status(500).json({ error: "Failed to restore version" })
     }
   },
 )
 
-// Download endpoint with decryption
-router.get("/:id/download", async (req, res) => {
+// Move file into a folder (null moves it to the root)
+router.post("/:id/move", enforceFileAccess("file_move"), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase
     const userId = req.user.id
     const fileId = req.params.id
-    const decryptionPassword = req.query.password || req.user.email // Use email as default password
-
-    console.log(`[${req.requestId}] Download request for file:`, fileId)
+    const folderId = req.body.folderId || null
 
-    // Get file metadata from database
     const { data: file, error: dbError } = await supabase
       .from("files")
       .select("*")
@@ -402,88 +2295,52 @@ router.get("/:id/download", async (req, res) => {
       .single()
 
     if (dbError || !file) {
-      console.log(`[${req.requestId}] File not found:`, fileId)
       return res.status(404).json({ error: "File not found" })
     }
 
-    console.log(`[${req.requestId}] Found file:`, file.original_name)
-
-    // Download encrypted file from storage
-    const { data: encryptedData, error: storageError } = await supabase.storage
-      .from("secure-files")
-      .download(file.stored_name)
-
-    if (storageError) {
-      console.error(`[${req.requestId}] Storage error:`, storageError)
-      throw storageError
-    }
-
-    let decryptedBuffer = encryptedData
-
-    // Decrypt file if it's encrypted
-    if (file.encrypted) {
-      console.log(`[${req.requestId}] Decrypting file...`)
-      try {
-        const encryptedBuffer = Buffer.from(await encryptedData.arrayBuffer())
-        decryptedBuffer = await decryptFileBuffer(encryptedBuffer, decryptionPassword)
-        console.log(`[${req.requestId}] File decrypted successfully`)
-      } catch (decryptError) {
-        console.error(`[${req.requestId}] Decryption error:`, decryptError)
-        return res.status(400).json({ 
-          error: "Failed to decrypt file. Please check your password.",
-          details: "The file is encrypted and the provided password is incorrect."
-        })
-      }
+    if (folderId && !(await folders.getFolder(folderId, userId))) {
+      return res.status(404).json({ error: "Folder not found" })
     }
 
-    // Update download count and last accessed
     await supabase
       .from("files")
-      .update({
-        download_count: (file.download_count || 0) + 1,
-        last_accessed: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      })
+      .update({ folder_id: folderId, updated_at: new Date().toISOString() })
       .eq("id", fileId)
 
-    // Log audit
-    await supabase.from("audit_logs").insert({
-      user_id: userId,
-      action: "file_download",
+    await auditLogger.log({
+      userId,
+      action: "file_move",
       resource: `/files/${fileId}`,
-      ip_address: req.clientIP,
-      user_agent: req.get("User-Agent"),
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
       success: true,
-      details: { 
-        filename: file.original_name,
-        encrypted: file.encrypted,
-        decryptionSuccess: true
-      },
-      created_at: new Date().toISOString(),
+      details: { filename: file.original_name, fromFolderId: file.folder_id, toFolderId: folderId },
     })
 
-    // Set response headers
-    res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(file.original_name)}"`)
-    res.setHeader("Content-Type", file.mime_type)
-
-    // Send decrypted file
-    res.send(decryptedBuffer)
-
-    console.log(`[${req.requestId}] Download successful:`, file.original_name)
+    res.json({ success: true, file: { id: file.id, name: file.original_name, folderId } })
   } catch (error) {
-    console.error(`[${req.requestId}] Download error:`, error)
-    res.status(500).json({ error: "Download failed" })
+    console.error(`[${req.requestId}] Move error:`, error)
+    res.status(500).json({ error: "Move failed" })
   }
 })
 
-// Delete file
-router.delete("/:id", async (req, res) => {
+// Share file
+router.post("/:id/share", enforceFileAccess("file_share"), mfaCheck("file_share"), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase
     const userId = req.user.id
     const fileId = req.params.id
+    const { expirationDate, password, maxDownloads, allowDownload, allowPreview } = req.body
 
-    console.log(`[${req.requestId}] Delete request for file:`, fileId)
+    console.log(`[${req.requestId}] Share request for file:`, fileId)
+
+    if (maxDownloads !== undefined && maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      return res.status(400).json({ error: "maxDownloads must be a positive integer" })
+    }
+
+    if (expirationDate && isNaN(new Date(expirationDate).getTime())) {
+      return res.status(400).json({ error: "Invalid expiration date" })
+    }
 
     // Get file metadata
     const { data: file, error: dbError } = await supabase
@@ -495,55 +2352,58 @@ router.delete("/:id", async (req, res) => {
       .single()
 
     if (dbError || !file) {
-      console.log(`[${req.requestId}] File not found for deletion:`, fileId)
       return res.status(404).json({ error: "File not found" })
     }
 
-    console.log(`[${req.requestId}] Deleting file:`, file.original_name)
+    const link = await shareLinks.create(file, {
+      expirationDate,
+      password,
+      maxDownloads,
+      allowDownload,
+      allowPreview,
+    })
 
-    // Soft delete in database
-    await supabase
-      .from("files")
-      .update({
-        deleted: true,
-        deleted_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", fileId)
+    console.log(`[${req.requestId}] File shared:`, file.original_name)
 
-    // Log audit
-    await supabase.from("audit_logs").insert({
-      user_id: userId,
-      action: "file_delete",
+    await auditLogger.log({
+      userId,
+      action: "file_share",
       resource: `/files/${fileId}`,
-      ip_address: req.clientIP,
-      user_agent: req.get("User-Agent"),
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
       success: true,
-      details: { filename: file.original_name },
-      created_at: new Date().toISOString(),
+      details: {
+        filename: file.original_name,
+        shareLinkId: link.id,
+        expirationDate: link.expires_at,
+        maxDownloads: link.max_downloads,
+        passwordProtected: Boolean(link.password_hash),
+      },
     })
 
-    console.log(`[${req.requestId}] File deleted successfully:`, file.original_name)
-    res.json({ success: true, message: "File deleted successfully" })
+    res.json({
+      success: true,
+      shareUrl: `${process.env.FRONTEND_URL}/shared/${link.token}`,
+      shareToken: link.token,
+      expiresAt: link.expires_at,
+      link: shareLinks.format(link),
+    })
   } catch (error) {
-    console.error(`[${req.requestId}] Delete error:`, error)
-    res.status(500).json({ error: "Delete failed" })
+    console.error(`[${req.requestId}] Share error:`, error)
+    res.status(500).json({ error: "Share failed" })
   }
 })
 
-// Share file
-router.post("/:id/share", async (req, res) => {
+// List share links for a file
+router.get("/:id/shares", enforceFileAccess("file_share_list"), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase
     const userId = req.user.id
     const fileId = req.params.id
 
-    console.log(`[${req.requestId}] Share request for file:`, fileId)
-
-    // Get file metadata
     const { data: file, error: dbError } = await supabase
       .from("files")
-      .select("*")
+      .select("id")
       .eq("id", fileId)
       .eq("user_id", userId)
       .eq("deleted", false)
@@ -553,62 +2413,55 @@ router.post("/:id/share", async (req, res) => {
       return res.status(404).json({ error: "File not found" })
     }
 
-    // Generate share token
-    const shareToken = crypto.randomBytes(32).toString("hex")
-    const shareUrl = `${process.env.FRONTEND_URL}/shared/${shareToken}`
+    const links = await shareLinks.listForFile(fileId, userId)
 
-    // Update file with share info
-    await supabase
-      .from("files")
-      .update({
-        shared: true,
-        share_token: shareToken,
-        share_expires_at: req.body.expirationDate ? new Date(req.body.expirationDate).toISOString() : null,
-        access_control: {
-          ...file.access_control,
-          shareOptions: req.body,
-        },
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", fileId)
+    res.json({ data: links.map((link) => shareLinks.format(link)) })
+  } catch (error) {
+    console.error(`[${req.requestId}] List shares error:`, error)
+    res.status(500).json({ error: "Failed to fetch share links" })
+  }
+})
 
-    console.log(`[${req.requestId}] File shared:`, file.original_name)
+// Revoke a share link
+router.delete("/:id/shares/:shareId", enforceFileAccess("file_share_revoke"), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const fileId = req.params.id
+    const shareId = req.params.shareId
 
-    // Log audit
-    await supabase.from("audit_logs").insert({
-      user_id: userId,
-      action: "file_share",
-      resource: `/files/${fileId}`,
-      ip_address: req.clientIP,
-      user_agent: req.get("User-Agent"),
-      success: true,
-      details: {
-        filename: file.original_name,
-        shareToken: shareToken,
-        expirationDate: req.body.expirationDate || null,
-      },
-      created_at: new Date().toISOString(),
-    })
+    console.log(`[${req.requestId}] Revoke share link:`, shareId)
 
-    res.json({
+    let link
+    try {
+      link = await shareLinks.revoke(shareId, userId, { fileId })
+    } catch (revokeError) {
+      return res.status(404).json({ error: "Share link not found" })
+    }
+
+    await auditLogger.log({
+      userId,
+      action: "file_share_revoke",
+      resource: `/files/${fileId}/shares/${shareId}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
       success: true,
-      shareUrl,
-      shareToken,
-      expiresAt: req.body.expirationDate || null,
+      details: { shareLinkId: link.id, downloadCount: link.download_count },
     })
+
+    res.json({ success: true, link: shareLinks.format(link) })
   } catch (error) {
-    console.error(`[${req.requestId}] Share error:`, error)
-    res.status(500).json({ error: "Share failed" })
+    console.error(`[${req.requestId}] Revoke share error:`, error)
+    res.status(500).json({ error: "Failed to revoke share link" })
   }
 })
 
 // Preview endpoint with decryption support
-router.get("/:id/preview", async (req, res) => {
+router.get("/:id/preview", enforceFileAccess("file_preview"), mfaCheck("file_download"), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase
     const userId = req.user.id
     const fileId = req.params.id
-    const decryptionPassword = req.query.password || req.user.email
+    const decryptionPassword = getDecryptionPassword(req)
 
     console.log(`[${req.requestId}] Preview request for file:`, fileId)
 
@@ -633,39 +2486,28 @@ router.get("/:id/preview", async (req, res) => {
       return res.status(400).json({ error: "File type not supported for preview" })
     }
 
-    // Download encrypted file from storage
-    const { data: encryptedData, error: storageError } = await supabase.storage
-      .from("secure-files")
-      .download(file.stored_name)
-
-    if (storageError) {
-      console.error(`[${req.requestId}] Storage error:`, storageError)
-      throw storageError
+    if (rejectQuarantined(res, file)) {
+      return
     }
 
-    let decryptedBuffer = encryptedData
-
-    // Decrypt file if it's encrypted
-    if (file.encrypted) {
-      console.log(`[${req.requestId}] Decrypting file for preview...`)
-      try {
-        const encryptedBuffer = Buffer.from(await encryptedData.arrayBuffer())
-        decryptedBuffer = await decryptFileBuffer(encryptedBuffer, decryptionPassword)
-        console.log(`[${req.requestId}] File decrypted for preview`)
-      } catch (decryptError) {
-        console.error(`[${req.requestId}] Preview decryption error:`, decryptError)
-        return res.status(400).json({ 
-          error: "Failed to decrypt file for preview. Please check your password.",
-          details: "The file is encrypted and the provided password is incorrect."
-        })
-      }
+    const plan = planContentResponse(req, res, file)
+    if (endWithoutBody(res, plan, file)) {
+      return
     }
 
-    // Set response headers
-    res.setHeader("Content-Type", file.mime_type)
+    let body
+    try {
+      body = await openResponseBody(file, decryptionPassword, plan.ranges)
+    } catch (decryptError) {
+      console.error(`[${req.requestId}] Preview decryption error:`, decryptError)
+      return res.status(400).json({ 
+        error: "Failed to decrypt file for preview. Please check your password.",
+        details: "The file is encrypted and the provided password is incorrect."
+      })
+    }
 
-    // Send decrypted file for preview
-    res.send(decryptedBuffer)
+    // Stream decrypted file for preview
+    sendResponseBody(req, res, body, file.mime_type)
 
     console.log(`[${req.requestId}] Preview successful:`, file.original_name)
   } catch (error) {
@@ -675,12 +2517,12 @@ router.get("/:id/preview", async (req, res) => {
 })
 
 // Encrypt existing file
-router.post("/:id/encrypt", async (req, res) => {
+router.post("/:id/encrypt", enforceFileAccess("file_encrypt"), mfaCheck("file_encrypt"), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase
     const userId = req.user.id
     const fileId = req.params.id
-    const encryptionPassword = req.body.password || req.user.email
+    const encryptionPassword = req.body.password || null
 
     console.log(`[${req.requestId}] Encrypt request for file:`, fileId)
 
@@ -701,52 +2543,40 @@ router.post("/:id/encrypt", async (req, res) => {
       return res.status(400).json({ error: "File is already encrypted" })
     }
 
-    // Download unencrypted file from storage
-    const { data: fileData, error: storageError } = await supabase.storage
-      .from("secure-files")
-      .download(file.stored_name)
-
-    if (storageError) {
-      console.error(`[${req.requestId}] Storage error:`, storageError)
-      throw storageError
-    }
-
-    // Encrypt the file
+    // Stream the file through the cipher into a new object, keeping the original until the row moves over
     console.log(`[${req.requestId}] Encrypting file...`)
-    const fileBuffer = Buffer.from(await fileData.arrayBuffer())
-    const encryptionResult = await encryptFileBuffer(fileBuffer, encryptionPassword)
-    
-    const encryptionMetadata = {
-      salt: encryptionResult.salt,
-      iv: encryptionResult.iv,
-      tag: encryptionResult.tag,
-      algorithm: "aes-256-gcm"
-    }
-
-    // Upload encrypted file back to storage
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from("secure-files")
-      .upload(file.stored_name, encryptionResult.encryptedData, {
-        contentType: file.mime_type,
-        cacheControl: "3600",
-        upsert: true
-      })
-
-    if (uploadError) {
-      console.error(`[${req.requestId}] Upload error:`, uploadError)
-      throw uploadError
-    }
+    const source = await encryptedStorage.openPlaintextStream(file)
+    const stored = await encryptedStorage.store(source, {
+      userId: file.user_id,
+      originalName: file.original_name,
+      mimeType: file.mime_type,
+      encrypt: true,
+      password: encryptionPassword,
+    })
 
     // Update file record
-    await supabase
+    const { error: updateError } = await supabase
       .from("files")
       .update({
+        stored_name: stored.storedName,
         encrypted: true,
-        encryption_metadata: encryptionMetadata,
+        encryption_metadata: stored.encryptionMetadata,
         updated_at: new Date().toISOString(),
       })
       .eq("id", fileId)
 
+    if (updateError) {
+      await encryptedStorage.remove(stored.storedName)
+      throw updateError
+    }
+
+    await encryptedStorage.remove(file.stored_name)
+
+    // Content behind a custom password has to leave the search index
+    if (encryptionPassword) {
+      await updateSearchIndex(req, { ...file, encrypted: true, encryption_metadata: stored.encryptionMetadata })
+    }
+
     // Log audit
     await supabase.from("audit_logs").insert({
       user_id: userId,
@@ -779,12 +2609,12 @@ router.post("/:id/encrypt", async (req, res) => {
 })
 
 // Decrypt existing file
-router.post("/:id/decrypt", async (req, res) => {
+router.post("/:id/decrypt", enforceFileAccess("file_decrypt"), mfaCheck("file_decrypt"), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase
     const userId = req.user.id
     const fileId = req.params.id
-    const decryptionPassword = req.body.password || req.user.email
+    const decryptionPassword = getDecryptionPassword(req)
 
     console.log(`[${req.requestId}] Decrypt request for file:`, fileId)
 
@@ -805,46 +2635,42 @@ router.post("/:id/decrypt", async (req, res) => {
       return res.status(400).json({ error: "File is not encrypted" })
     }
 
-    // Download encrypted file from storage
-    const { data: encryptedData, error: storageError } = await supabase.storage
-      .from("secure-files")
-      .download(file.stored_name)
-
-    if (storageError) {
-      console.error(`[${req.requestId}] Storage error:`, storageError)
-      throw storageError
-    }
-
-    // Decrypt the file
+    // Decrypt the file into a new object, keeping the encrypted original until the row moves over
     console.log(`[${req.requestId}] Decrypting file...`)
     try {
-      const encryptedBuffer = Buffer.from(await encryptedData.arrayBuffer())
-      const decryptedBuffer = await decryptFileBuffer(encryptedBuffer, decryptionPassword)
-
-      // Upload decrypted file back to storage
-      const { data: uploadData, error: uploadError } = await supabase.storage
-        .from("secure-files")
-        .upload(file.stored_name, decryptedBuffer, {
-          contentType: file.mime_type,
-          cacheControl: "3600",
-          upsert: true
-        })
-
-      if (uploadError) {
-        console.error(`[${req.requestId}] Upload error:`, uploadError)
-        throw uploadError
-      }
+      const source = await encryptedStorage.openPlaintextStream(file, decryptionPassword)
+      const stored = await encryptedStorage.store(source, {
+        userId: file.user_id,
+        originalName: file.original_name,
+        mimeType: file.mime_type,
+        encrypt: false,
+        keepPlaintext: searchIndex.isIndexable(file) ? 0 : searchIndex.getCaptureLimit(file.mime_type),
+      })
 
       // Update file record
-      await supabase
+      const { error: updateError } = await supabase
         .from("files")
         .update({
+          stored_name: stored.storedName,
           encrypted: false,
           encryption_metadata: null,
           updated_at: new Date().toISOString(),
         })
         .eq("id", fileId)
 
+      if (updateError) {
+        await encryptedStorage.remove(stored.storedName)
+        throw updateError
+      }
+
+      await encryptedStorage.remove(file.stored_name)
+
+      // Content that was behind a custom password can be indexed now
+      if (!searchIndex.isIndexable(file)) {
+        const decrypted = { ...file, stored_name: stored.storedName, encrypted: false, encryption_metadata: null }
+        await updateSearchIndex(req, decrypted, stored.plaintext)
+      }
+
       // Log audit
       await supabase.from("audit_logs").insert({
         user_id: userId,
@@ -882,8 +2708,117 @@ router.post("/:id/decrypt", async (req, res) => {
   }
 })
 
+// Scan a file for malware again, e.g. after a scanner outage; custom-password files need it in the body
+router.post("/:id/scan", enforceFileAccess("file_scan"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const fileId = req.params.id
+    const decryptionPassword = getDecryptionPassword(req)
+
+    if (!malwareScanner.enabled) {
+      return res.status(503).json({ error: "Malware scanning is not configured" })
+    }
+
+    const { data: file, error: dbError } = await supabase
+      .from("files")
+      .select("*")
+      .eq("id", fileId)
+      .eq("user_id", userId)
+      .eq("deleted", false)
+      .single()
+
+    if (dbError || !file) {
+      return res.status(404).json({ error: "File not found" })
+    }
+
+    let scan
+    try {
+      scan = await encryptedStorage.scan(file, decryptionPassword)
+    } catch (decryptError) {
+      console.error(`[${req.requestId}] Scan decryption error:`, decryptError)
+      return res.status(400).json({ error: "Failed to decrypt file. Please check your password." })
+    }
+
+    await malwareScanner.saveResult("files", file, scan)
+
+    await auditLogger.log({
+      userId,
+      action: "file_scan",
+      resource: `/files/${fileId}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: scan.status !== "pending",
+      details: { filename: file.original_name, status: scan.status, threats: scan.threats, scanner: scan.scanner },
+    })
+
+    res.json({
+      success: scan.status !== "pending",
+      file: { id: file.id, name: file.original_name },
+      scan: malwareScanner.format({ ...file, ...malwareScanner.toColumns(scan) }),
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Scan error:`, error)
+    res.status(500).json({ error: "Scan failed" })
+  }
+})
+
+// Re-read a file's stored blob and check it against its recorded hash and size
+router.post("/:id/verify", enforceFileAccess("file_verify"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const fileId = req.params.id
+    const decryptionPassword = getDecryptionPassword(req)
+
+    const { data: file, error: dbError } = await supabase
+      .from("files")
+      .select("*")
+      .eq("id", fileId)
+      .eq("user_id", userId)
+      .eq("deleted", false)
+      .single()
+
+    if (dbError || !file) {
+      return res.status(404).json({ error: "File not found" })
+    }
+
+    let result
+    try {
+      result = await integrityChecker.verify("files", file, decryptionPassword)
+    } catch (verifyError) {
+      if (verifyError.code !== "DECRYPTION_FAILED") throw verifyError
+
+      return res.status(400).json({ error: "Failed to decrypt file. Please check your password." })
+    }
+
+    await auditLogger.log({
+      userId,
+      action: "file_verify",
+      resource: `/files/${fileId}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: result.status === "ok",
+      details: { filename: file.original_name, status: result.status, error: result.error },
+    })
+
+    res.json({
+      success: result.status === "ok",
+      file: { id: file.id, name: file.original_name },
+      integrity: integrityChecker.format({
+        integrity_status: result.status,
+        integrity_error: result.error,
+        integrity_checked_at: result.checkedAt,
+      }),
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Verify error:`, error)
+    res.status(500).json({ error: "Integrity verification failed" })
+  }
+})
+
 // Get file encryption status
-router.get("/:id/encryption-status", async (req, res) => {
+router.get("/:id/encryption-status", enforceFileAccess("file_encryption_status"), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase
     const userId = req.user.id
@@ -910,7 +2845,8 @@ router.get("/:id/encryption-status", async (req, res) => {
         id: file.id,
         name: file.original_name,
         encrypted: file.encrypted,
-        encryptionMetadata: file.encryption_metadata,
+        // The wrapped data key stays server-side
+        encryptionMetadata: file.encryption_metadata && { ...file.encryption_metadata, wrappedKey: undefined },
         createdAt: file.created_at,
         updatedAt: file.updated_at
       }
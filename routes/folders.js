@@ -0,0 +1,379 @@
+const express = require("express")
+const auditLogger = require("../utils/audit-logger")
+const folders = require("../utils/folders")
+const shareLinks = require("../utils/share-links")
+const { mfaCheck } = require("../middleware/mfa")
+
+const router = express.Router()
+
+/**
+ * Format a folder listing for the owner's API
+ */
+function formatChildren(children) {
+  return {
+    folders: children.folders.map((folder) => folders.format(folder)),
+    files: children.files.map((file) => ({
+      id: file.id,
+      name: file.original_name,
+      size: file.size,
+      type: file.mime_type,
+      uploadedAt: file.created_at,
+      encrypted: file.encrypted,
+      shared: file.shared,
+      folderId: file.folder_id,
+    })),
+  }
+}
+
+// List root folder contents
+router.get("/", async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    const children = await folders.listChildren(userId, null)
+
+    res.json({ data: { folder: null, breadcrumbs: [], ...formatChildren(children) } })
+  } catch (error) {
+    console.error(`[${req.requestId}] List root folder error:`, error)
+    res.status(500).json({ error: "Failed to fetch folder contents" })
+  }
+})
+
+// List folder contents with breadcrumbs
+router.get("/:id", async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    const folder = await folders.getFolder(req.params.id, userId)
+    if (!folder) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    const [breadcrumbs, children] = await Promise.all([
+      folders.getBreadcrumbs(folder, userId),
+      folders.listChildren(userId, folder.id),
+    ])
+
+    res.json({ data: { folder: folders.format(folder), breadcrumbs, ...formatChildren(children) } })
+  } catch (error) {
+    console.error(`[${req.requestId}] List folder error:`, error)
+    res.status(500).json({ error: "Failed to fetch folder contents" })
+  }
+})
+
+// Create folder
+router.post("/", async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const parentId = req.body.parentId || null
+
+    const nameCheck = folders.validateName(req.body.name)
+    if (!nameCheck.valid) {
+      return res.status(400).json({ error: nameCheck.error })
+    }
+
+    if (parentId && !(await folders.getFolder(parentId, userId))) {
+      return res.status(404).json({ error: "Parent folder not found" })
+    }
+
+    if (await folders.findChildByName(userId, parentId, nameCheck.name)) {
+      return res.status(409).json({ error: "A folder with this name already exists" })
+    }
+
+    const { data: folder, error } = await supabase
+      .from("folders")
+      .insert({
+        user_id: userId,
+        name: nameCheck.name,
+        parent_id: parentId,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await auditLogger.log({
+      userId,
+      action: "folder_create",
+      resource: `/folders/${folder.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { name: folder.name, parentId },
+    })
+
+    res.json({ success: true, folder: folders.format(folder) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Create folder error:`, error)
+    res.status(500).json({ error: "Failed to create folder" })
+  }
+})
+
+// Rename folder
+router.put("/:id", async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+
+    const folder = await folders.getFolder(req.params.id, userId)
+    if (!folder) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    const nameCheck = folders.validateName(req.body.name)
+    if (!nameCheck.valid) {
+      return res.status(400).json({ error: nameCheck.error })
+    }
+
+    const existing = await folders.findChildByName(userId, folder.parent_id, nameCheck.name)
+    if (existing && existing.id !== folder.id) {
+      return res.status(409).json({ error: "A folder with this name already exists" })
+    }
+
+    const { data: updated, error } = await supabase
+      .from("folders")
+      .update({ name: nameCheck.name, updated_at: new Date().toISOString() })
+      .eq("id", folder.id)
+      .eq("user_id", userId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await auditLogger.log({
+      userId,
+      action: "folder_rename",
+      resource: `/folders/${folder.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { from: folder.name, to: updated.name },
+    })
+
+    res.json({ success: true, folder: folders.format(updated) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Rename folder error:`, error)
+    res.status(500).json({ error: "Failed to rename folder" })
+  }
+})
+
+// Move folder under a new parent (null moves it to the root)
+router.post("/:id/move", async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const parentId = req.body.parentId || null
+
+    const folder = await folders.getFolder(req.params.id, userId)
+    if (!folder) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    if (parentId) {
+      if (!(await folders.getFolder(parentId, userId))) {
+        return res.status(404).json({ error: "Parent folder not found" })
+      }
+
+      if (await folders.isWithin(parentId, folder.id, userId)) {
+        return res.status(400).json({ error: "A folder cannot be moved into itself or one of its subfolders" })
+      }
+    }
+
+    if (await folders.findChildByName(userId, parentId, folder.name)) {
+      return res.status(409).json({ error: "A folder with this name already exists in the destination" })
+    }
+
+    const { data: updated, error } = await supabase
+      .from("folders")
+      .update({ parent_id: parentId, updated_at: new Date().toISOString() })
+      .eq("id", folder.id)
+      .eq("user_id", userId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await auditLogger.log({
+      userId,
+      action: "folder_move",
+      resource: `/folders/${folder.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { name: folder.name, fromParentId: folder.parent_id, toParentId: parentId },
+    })
+
+    res.json({ success: true, folder: folders.format(updated) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Move folder error:`, error)
+    res.status(500).json({ error: "Failed to move folder" })
+  }
+})
+
+// Delete folder, its subfolders and (soft) every file inside them
+router.delete("/:id", mfaCheck("file_delete"), async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+
+    const folder = await folders.getFolder(req.params.id, userId)
+    if (!folder) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    const folderIds = await folders.getDescendantIds(folder.id, userId)
+
+    const { data: deletedFiles, error: fileError } = await supabase
+      .from("files")
+      .update({
+        deleted: true,
+        deleted_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("user_id", userId)
+      .eq("deleted", false)
+      .in("folder_id", folderIds)
+      .select("id")
+
+    if (fileError) throw fileError
+
+    // Subfolders go with it through ON DELETE CASCADE
+    const { error: folderError } = await supabase.from("folders").delete().eq("id", folder.id).eq("user_id", userId)
+
+    if (folderError) throw folderError
+
+    await auditLogger.log({
+      userId,
+      action: "folder_delete",
+      resource: `/folders/${folder.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: {
+        name: folder.name,
+        foldersDeleted: folderIds.length,
+        filesDeleted: (deletedFiles || []).length,
+      },
+    })
+
+    res.json({
+      success: true,
+      foldersDeleted: folderIds.length,
+      filesDeleted: (deletedFiles || []).length,
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Delete folder error:`, error)
+    res.status(500).json({ error: "Failed to delete folder" })
+  }
+})
+
+// Share folder
+router.post("/:id/share", mfaCheck("file_share"), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { expirationDate, password, maxDownloads, allowDownload, allowPreview } = req.body
+
+    if (maxDownloads !== undefined && maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      return res.status(400).json({ error: "maxDownloads must be a positive integer" })
+    }
+
+    if (expirationDate && isNaN(new Date(expirationDate).getTime())) {
+      return res.status(400).json({ error: "Invalid expiration date" })
+    }
+
+    const folder = await folders.getFolder(req.params.id, userId)
+    if (!folder) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    const link = await shareLinks.createForFolder(folder, {
+      expirationDate,
+      password,
+      maxDownloads,
+      allowDownload,
+      allowPreview,
+    })
+
+    await auditLogger.log({
+      userId,
+      action: "folder_share",
+      resource: `/folders/${folder.id}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: {
+        name: folder.name,
+        shareLinkId: link.id,
+        expirationDate: link.expires_at,
+        maxDownloads: link.max_downloads,
+        passwordProtected: Boolean(link.password_hash),
+      },
+    })
+
+    res.json({
+      success: true,
+      shareUrl: `${process.env.FRONTEND_URL}/shared/${link.token}`,
+      shareToken: link.token,
+      expiresAt: link.expires_at,
+      link: shareLinks.format(link),
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Share folder error:`, error)
+    res.status(500).json({ error: "Share failed" })
+  }
+})
+
+// List share links for a folder
+router.get("/:id/shares", async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    const folder = await folders.getFolder(req.params.id, userId)
+    if (!folder) {
+      return res.status(404).json({ error: "Folder not found" })
+    }
+
+    const links = await shareLinks.listForFolder(folder.id, userId)
+
+    res.json({ data: links.map((link) => shareLinks.format(link)) })
+  } catch (error) {
+    console.error(`[${req.requestId}] List folder shares error:`, error)
+    res.status(500).json({ error: "Failed to fetch share links" })
+  }
+})
+
+// Revoke a folder share link
+router.delete("/:id/shares/:shareId", async (req, res) => {
+  try {
+    const userId = req.user.id
+    const folderId = req.params.id
+    const shareId = req.params.shareId
+
+    let link
+    try {
+      link = await shareLinks.revoke(shareId, userId, { folderId })
+    } catch (revokeError) {
+      return res.status(404).json({ error: "Share link not found" })
+    }
+
+    await auditLogger.log({
+      userId,
+      action: "folder_share_revoke",
+      resource: `/folders/${folderId}/shares/${shareId}`,
+      ipAddress: req.clientIP,
+      userAgent: req.get("User-Agent"),
+      success: true,
+      details: { shareLinkId: link.id, downloadCount: link.download_count },
+    })
+
+    res.json({ success: true, link: shareLinks.format(link) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Revoke folder share error:`, error)
+    res.status(500).json({ error: "Failed to revoke share link" })
+  }
+})
+
+module.exports = router
@@ -4,7 +4,9 @@ const {
   generateQRCode, 
   verifyMFAToken, 
   generateBackupCodes, 
-  verifyBackupCode 
+  verifyBackupCode,
+  issueStepUpToken,
+  MFA_REQUIRED_ACTIONS
 } = require("../utils/mfa")
 
 const router = express.Router()
@@ -341,4 +343,90 @@ router.post("/backup-codes", async (req, res) => {
   }
 })
 
+// Exchange a TOTP token or backup code for a short-lived step-up token for one action
+router.post("/step-up", async (req, res) => {
+  try {
+    const supabase = req.app.locals.supabase
+    const userId = req.user.id
+    const { mfaToken, backupCode, action } = req.body
+
+    console.log(`[${req.requestId}] MFA step-up request for user:`, userId)
+
+    if (!mfaToken && !backupCode) {
+      return res.status(400).json({ error: "Token or backup code is required" })
+    }
+
+    if (!MFA_REQUIRED_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${MFA_REQUIRED_ACTIONS.join(", ")}` })
+    }
+
+    const { data: profile } = await supabase
+      .from("user_profiles")
+      .select("mfa_secret, mfa_backup_codes, mfa_enabled")
+      .eq("user_id", userId)
+      .single()
+
+    if (!profile || !profile.mfa_enabled) {
+      return res.status(400).json({ error: "MFA is not enabled" })
+    }
+
+    let isValid = false
+
+    if (backupCode) {
+      // Verify backup code
+      const backupResult = verifyBackupCode(profile.mfa_backup_codes || [], backupCode)
+      isValid = backupResult.success
+
+      if (isValid) {
+        await supabase
+          .from("user_profiles")
+          .update({
+            mfa_backup_codes: backupResult.remainingCodes,
+            updated_at: new Date().toISOString()
+          })
+          .eq("user_id", userId)
+      }
+    } else if (mfaToken) {
+      // Verify TOTP token
+      isValid = verifyMFAToken(profile.mfa_secret, mfaToken)
+    }
+
+    if (!isValid) {
+      await supabase.from("audit_logs").insert({
+        user_id: userId,
+        action: "mfa_verification_failed",
+        resource: "/mfa/step-up",
+        ip_address: req.clientIP,
+        user_agent: req.get("User-Agent"),
+        success: false,
+        created_at: new Date().toISOString()
+      })
+
+      return res.status(400).json({ error: "Invalid token or backup code" })
+    }
+
+    const stepUp = issueStepUpToken(userId, action)
+
+    await supabase.from("audit_logs").insert({
+      user_id: userId,
+      action: "mfa_step_up",
+      resource: "/mfa/step-up",
+      ip_address: req.clientIP,
+      user_agent: req.get("User-Agent"),
+      success: true,
+      details: { action, expiresAt: stepUp.expiresAt },
+      created_at: new Date().toISOString()
+    })
+
+    res.json({
+      success: true,
+      stepUpToken: stepUp.token,
+      expiresAt: stepUp.expiresAt
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] MFA step-up error:`, error)
+    res.status(500).json({ error: "Failed to verify MFA" })
+  }
+})
+
 module.exports = router 
\ No newline at end of file
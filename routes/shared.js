@@ -0,0 +1,390 @@
+const express = require("express")
+const { pipeline } = require("stream")
+const encryptedStorage = require("../utils/encrypted-storage")
+const keyManager = require("../utils/key-manager")
+const auditLogger = require("../utils/audit-logger")
+const accessControl = require("../utils/access-control")
+const folders = require("../utils/folders")
+const shareLinks = require("../utils/share-links")
+const malwareScanner = require("../utils/malware-scanner")
+
+const router = express.Router()
+
+// Previewable MIME prefixes, kept in sync with /files/:id/preview
+const previewableTypes = ["image/", "text/", "application/pdf"]
+
+/**
+ * Resolve a share token to its link and the shared file or folder.
+ * Sends the error response itself and returns null when the link is unusable.
+ */
+async function resolveShare(req, res) {
+  const supabase = req.app.locals.supabase
+  const shareToken = req.params.token
+
+  const link = await shareLinks.findByToken(shareToken)
+
+  if (link?.folder_id) {
+    const folder = await folders.getFolder(link.folder_id, link.user_id)
+    if (!folder) {
+      res.status(404).json({ error: "Shared link not found" })
+      return null
+    }
+
+    const share = { link, file: null, folder }
+    return (await checkShareLink(req, res, share)) ? share : null
+  }
+
+  // Links created before share_links existed live on the files row
+  const fileQuery = supabase.from("files").select("*").eq("deleted", false)
+  const { data: file, error } = link
+    ? await fileQuery.eq("id", link.file_id).single()
+    : await fileQuery.eq("share_token", shareToken).eq("shared", true).single()
+
+  if (error || !file) {
+    console.log(`[${req.requestId}] Share token not found`)
+    res.status(404).json({ error: "Shared link not found" })
+    return null
+  }
+
+  if (!link) {
+    const share = { link: null, file, folder: null }
+
+    if (file.share_expires_at && new Date(file.share_expires_at) < new Date()) {
+      await logShareAccess(req, share, file, "shared_link_rejected", false, { reason: "Shared link has expired" })
+      res.status(410).json({ error: "Shared link has expired" })
+      return null
+    }
+
+    const shareOptions = file.access_control?.shareOptions || {}
+    return {
+      ...share,
+      expiresAt: file.share_expires_at,
+      allowDownload: shareOptions.allowDownload !== false,
+      allowPreview: shareOptions.allowPreview !== false,
+    }
+  }
+
+  const share = { link, file, folder: null }
+  return (await checkShareLink(req, res, share)) ? share : null
+}
+
+/**
+ * Validate link state and recipient password, copying the link options onto the share
+ */
+async function checkShareLink(req, res, share) {
+  const { link } = share
+
+  const linkStatus = shareLinks.checkLink(link)
+  if (!linkStatus.usable) {
+    await logShareAccess(req, share, share.file, "shared_link_rejected", false, { reason: linkStatus.reason })
+    res.status(linkStatus.status).json({ error: linkStatus.reason })
+    return false
+  }
+
+  // Header only: query strings end up in access logs, proxy logs and browser history
+  const password = req.get("X-Share-Password")
+  if (!shareLinks.verifyLinkPassword(link, password)) {
+    await logShareAccess(req, share, share.file, "shared_link_password_failed", false, {
+      passwordProvided: Boolean(password),
+    })
+    res.status(401).json({
+      error: password ? "Invalid share password" : "This link is password protected",
+      passwordRequired: true,
+    })
+    return false
+  }
+
+  share.expiresAt = link.expires_at
+  share.allowDownload = link.allow_download
+  share.allowPreview = link.allow_preview
+  return true
+}
+
+/**
+ * Resolve the file a request targets within a share: the shared file itself,
+ * or :fileId when it lies inside a shared folder's subtree
+ */
+async function resolveSharedFile(req, res, share) {
+  const supabase = req.app.locals.supabase
+  const fileId = req.params.fileId
+  let file = share.file
+
+  if (share.folder) {
+    if (!fileId) {
+      res.status(400).json({ error: "This link shares a folder, choose a file inside it" })
+      return null
+    }
+
+    const { data: candidate } = await supabase
+      .from("files")
+      .select("*")
+      .eq("id", fileId)
+      .eq("user_id", share.folder.user_id)
+      .eq("deleted", false)
+      .single()
+
+    const insideShare =
+      candidate?.folder_id && (await folders.isWithin(candidate.folder_id, share.folder.id, share.folder.user_id))
+
+    if (!insideShare) {
+      res.status(404).json({ error: "File not found" })
+      return null
+    }
+
+    file = candidate
+  } else if (fileId && fileId !== file.id) {
+    res.status(404).json({ error: "File not found" })
+    return null
+  }
+
+  if (malwareScanner.isQuarantined(file)) {
+    await logShareAccess(req, share, file, "access_denied", false, {
+      reason: `Quarantined, malware scan ${file.scan_status}`,
+    })
+    res.status(423).json({ error: "File is quarantined by a malware scan" })
+    return null
+  }
+
+  // Per-file time/location restrictions apply to recipients as well as the owner
+  if (file.access_control) {
+    const accessResult = await accessControl.checkFileAccessControl(file.access_control, req)
+    if (!accessResult.allowed) {
+      await logShareAccess(req, share, file, "access_denied", false, { reason: accessResult.reason })
+      res.status(403).json({ error: "Access denied", reason: accessResult.reason })
+      return null
+    }
+  }
+
+  return file
+}
+
+/**
+ * Open a shared file as a plaintext stream, decrypting with the owner's key.
+ * Files encrypted with a password need it in the X-File-Password header; without one this fails
+ * with a PASSWORD_REQUIRED error. The owner's email, which older files used, is never tried:
+ * anyone holding the link could guess it.
+ */
+async function openSharedFile(req, file) {
+  if (!file.encrypted || keyManager.isEnvelopeEncrypted(file)) {
+    return encryptedStorage.openPlaintextStream(file)
+  }
+
+  const decryptionPassword = req.get("X-File-Password")
+  if (!decryptionPassword) {
+    throw Object.assign(new Error("This file is encrypted with a password, send it in X-File-Password"), {
+      code: "PASSWORD_REQUIRED",
+    })
+  }
+
+  return encryptedStorage.openPlaintextStream(file, decryptionPassword)
+}
+
+function streamSharedFile(req, res, contents, file) {
+  res.setHeader("Content-Length", file.size)
+  res.setHeader("Content-Type", file.mime_type)
+
+  pipeline(contents, res, (error) => {
+    if (error) {
+      console.error(`[${req.requestId}] Shared stream error:`, error)
+    }
+  })
+}
+
+/**
+ * Audit shared-link use on the owner's trail, flagged as an anonymous recipient
+ */
+async function logShareAccess(req, share, file, action, success, details = {}) {
+  await auditLogger.log({
+    userId: share.link?.user_id || file.user_id,
+    action,
+    resource: file ? `/shared/${file.id}` : `/shared/folders/${share.folder.id}`,
+    ipAddress: req.clientIP,
+    userAgent: req.get("User-Agent"),
+    success,
+    details: {
+      filename: file?.original_name,
+      folder: share.folder?.name,
+      recipient: "anonymous",
+      shareLinkId: share.link?.id || null,
+      ...details,
+    },
+  })
+}
+
+function formatSharedFile(file, share) {
+  return {
+    id: file.id,
+    name: file.original_name,
+    size: file.size,
+    type: file.mime_type,
+    encrypted: file.encrypted,
+    allowPreview: share.allowPreview && previewableTypes.some((type) => file.mime_type.startsWith(type)),
+  }
+}
+
+// Get shared file metadata, or the contents of a shared folder
+router.get("/:token", async (req, res) => {
+  try {
+    const share = await resolveShare(req, res)
+    if (!share) return
+
+    const { file, folder, link } = share
+    const downloadsRemaining = link?.max_downloads ? link.max_downloads - link.download_count : null
+
+    if (folder) {
+      // Browse below the shared root with ?folderId=, never above it
+      let current = folder
+      if (req.query.folderId && req.query.folderId !== folder.id) {
+        const subfolder = await folders.getFolder(req.query.folderId, folder.user_id)
+        if (!subfolder || !(await folders.isWithin(subfolder.id, folder.id, folder.user_id))) {
+          return res.status(404).json({ error: "Folder not found" })
+        }
+        current = subfolder
+      }
+
+      const breadcrumbs = await folders.getBreadcrumbs(current, folder.user_id)
+      const children = await folders.listChildren(folder.user_id, current.id)
+
+      await logShareAccess(req, share, null, "shared_folder_view", true, { folderId: current.id })
+
+      return res.json({
+        data: {
+          type: "folder",
+          name: folder.name,
+          expiresAt: share.expiresAt,
+          allowDownload: share.allowDownload,
+          downloadsRemaining,
+          folder: { id: current.id, name: current.name },
+          breadcrumbs: breadcrumbs.slice(breadcrumbs.findIndex((crumb) => crumb.id === folder.id)),
+          folders: children.folders.map((child) => ({ id: child.id, name: child.name })),
+          // Quarantined files can't be opened, so recipients don't see them
+          files: children.files
+            .filter((child) => !malwareScanner.isQuarantined(child))
+            .map((child) => formatSharedFile(child, share)),
+        },
+      })
+    }
+
+    await logShareAccess(req, share, file, "shared_file_view", true)
+
+    res.json({
+      data: {
+        type: "file",
+        ...formatSharedFile(file, share),
+        expiresAt: share.expiresAt,
+        allowDownload: share.allowDownload,
+        downloadsRemaining,
+      },
+    })
+  } catch (error) {
+    console.error(`[${req.requestId}] Shared metadata error:`, error)
+    res.status(500).json({ error: "Failed to load shared file" })
+  }
+})
+
+// Preview shared file
+async function previewSharedFile(req, res) {
+  try {
+    const share = await resolveShare(req, res)
+    if (!share) return
+
+    const file = await resolveSharedFile(req, res, share)
+    if (!file) return
+
+    if (!share.allowPreview) {
+      await logShareAccess(req, share, file, "shared_file_preview", false, { reason: "Preview disabled" })
+      return res.status(403).json({ error: "Preview is disabled for this link" })
+    }
+
+    if (!previewableTypes.some((type) => file.mime_type.startsWith(type))) {
+      return res.status(400).json({ error: "File type not supported for preview" })
+    }
+
+    let contents
+    try {
+      contents = await openSharedFile(req, file)
+    } catch (decryptError) {
+      if (decryptError.code === "PASSWORD_REQUIRED") {
+        return res.status(401).json({ error: decryptError.message, filePasswordRequired: true })
+      }
+
+      console.error(`[${req.requestId}] Shared preview decryption error:`, decryptError)
+      await logShareAccess(req, share, file, "shared_file_preview", false, { reason: "Decryption failed" })
+      return res.status(400).json({ error: "Failed to decrypt shared file" })
+    }
+
+    await logShareAccess(req, share, file, "shared_file_preview", true)
+
+    streamSharedFile(req, res, contents, file)
+  } catch (error) {
+    console.error(`[${req.requestId}] Shared preview error:`, error)
+    res.status(500).json({ error: "Preview failed" })
+  }
+}
+
+// Download shared file
+async function downloadSharedFile(req, res) {
+  try {
+    const supabase = req.app.locals.supabase
+    const share = await resolveShare(req, res)
+    if (!share) return
+
+    const file = await resolveSharedFile(req, res, share)
+    if (!file) return
+
+    const { link } = share
+
+    if (!share.allowDownload) {
+      await logShareAccess(req, share, file, "shared_file_download", false, { reason: "Download disabled" })
+      return res.status(403).json({ error: "Download is disabled for this link" })
+    }
+
+    let contents
+    try {
+      contents = await openSharedFile(req, file)
+    } catch (decryptError) {
+      if (decryptError.code === "PASSWORD_REQUIRED") {
+        return res.status(401).json({ error: decryptError.message, filePasswordRequired: true })
+      }
+
+      console.error(`[${req.requestId}] Shared download decryption error:`, decryptError)
+      await logShareAccess(req, share, file, "shared_file_download", false, { reason: "Decryption failed" })
+      return res.status(400).json({ error: "Failed to decrypt shared file" })
+    }
+
+    // Claim a download slot before sending so the cap holds under concurrent requests
+    if (link && !(await shareLinks.recordDownload(link))) {
+      contents.destroy()
+      await logShareAccess(req, share, file, "shared_file_download", false, { reason: "Download limit reached" })
+      return res.status(410).json({ error: "Shared link download limit reached" })
+    }
+
+    await supabase
+      .from("files")
+      .update({
+        download_count: (file.download_count || 0) + 1,
+        last_accessed: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", file.id)
+
+    await logShareAccess(req, share, file, "shared_file_download", true)
+
+    res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(file.original_name)}"`)
+    streamSharedFile(req, res, contents, file)
+
+    console.log(`[${req.requestId}] Shared download successful:`, file.original_name)
+  } catch (error) {
+    console.error(`[${req.requestId}] Shared download error:`, error)
+    res.status(500).json({ error: "Download failed" })
+  }
+}
+
+router.get("/:token/preview", previewSharedFile)
+router.get("/:token/download", downloadSharedFile)
+
+// Files inside a shared folder
+router.get("/:token/files/:fileId/preview", previewSharedFile)
+router.get("/:token/files/:fileId/download", downloadSharedFile)
+
+module.exports = router
@@ -1,4 +1,5 @@
 const express = require("express")
+const blobs = require("../utils/blobs")
 const router = express.Router()
 
 router.get("/", async (req, res) => {
@@ -31,6 +32,9 @@ router.get("/", async (req, res) => {
     // Count shared files
     const activeShares = files.filter((file) => file.shared).length
 
+    // Identical uploads share one stored blob
+    const savings = await blobs.getSavings(userId)
+
     // Get security score from user profile
     const { data: profile, error: profileError } = await supabase
       .from("user_profiles")
@@ -52,6 +56,8 @@ router.get("/", async (req, res) => {
       lastUpload: lastUpload ? lastUpload.toLocaleDateString() : "Never",
       activeShares,
       securityScore: Math.min(securityScore, 100),
+      spaceSaved: savings.bytesSaved,
+      deduplicatedFiles: savings.duplicateReferences,
     }
 
     console.log(`[${req.requestId}] Stats calculated:`, stats)
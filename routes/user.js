@@ -2,11 +2,25 @@ const express = require("express")
 const bcrypt = require("bcryptjs")
 const { createClient } = require("@supabase/supabase-js")
 const auditLogger = require("../utils/audit-logger")
+const quotas = require("../utils/quotas")
+const { mfaCheck } = require("../middleware/mfa")
 
 const router = express.Router()
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
 
+// Storage quota: plan limits, current usage, what is left and any usage warnings
+router.get("/quota", async (req, res) => {
+  try {
+    const status = await quotas.getStatus(req.user.id)
+
+    res.json({ data: quotas.format(status) })
+  } catch (error) {
+    console.error(`[${req.requestId}] Quota status error:`, error)
+    res.status(500).json({ error: "Failed to fetch quota" })
+  }
+})
+
 // Get user settings
 router.get("/settings", async (req, res) => {
   try {
@@ -32,7 +46,7 @@ router.get("/settings", async (req, res) => {
 })
 
 // Update user settings
-router.post("/settings", async (req, res) => {
+router.post("/settings", mfaCheck("settings_change"), async (req, res) => {
   try {
     const userId = req.user.id
     const settings = req.body
@@ -100,7 +114,7 @@ router.post("/profile", async (req, res) => {
 })
 
 // Update password
-router.post("/password", async (req, res) => {
+router.post("/password", mfaCheck("password_change"), async (req, res) => {
   try {
     const userId = req.user.id
     const { currentPassword, newPassword } = req.body
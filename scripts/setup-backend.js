@@ -72,7 +72,55 @@ TWILIO_PHONE_NUMBER=your_twilio_phone_number
 
 # Security
 JWT_SECRET=your_jwt_secret_key_here_make_it_long_and_random
-ENCRYPTION_KEY=your_32_byte_encryption_key_here_also_random
+ENCRYPTION_KEY=your_64_char_hex_key_from_openssl_rand_hex_32
+# When rotating: bump the version of the new ENCRYPTION_KEY and keep older keys until the rotation job completes
+# ENCRYPTION_KEY_VERSION=2
+# ENCRYPTION_KEYS=1:your_previous_64_char_hex_key
+
+# File Storage ("supabase", "local" or "s3")
+STORAGE_DRIVER=supabase
+SUPABASE_STORAGE_BUCKET=secure-files
+# LOCAL_STORAGE_PATH=./uploads
+
+# S3-compatible storage (STORAGE_DRIVER=s3); for MinIO use its endpoint and path-style URLs
+# S3_BUCKET=secure-files
+# S3_PREFIX=
+# S3_REGION=us-east-1
+# S3_ENDPOINT=http://localhost:9000
+# S3_FORCE_PATH_STYLE=true
+# S3_ACCESS_KEY_ID=minioadmin
+# S3_SECRET_ACCESS_KEY=minioadmin
+# S3_PART_SIZE_MB=8
+
+# Uploads and downloads (resumable chunk size and session lifetime, files per batch upload or zip archive)
+# UPLOAD_CHUNK_MAX_MB=16
+# UPLOAD_SESSION_TTL_HOURS=24
+# BATCH_UPLOAD_MAX_FILES=100
+# ARCHIVE_MAX_FILES=1000
+# How often each instance reloads the upload policy admins manage under /api/admin/upload-policy
+# UPLOAD_POLICY_REFRESH_INTERVAL_MS=60000
+
+# Storage quotas (plan for users without an assignment, usage percentages that trigger warnings)
+# QUOTA_DEFAULT_PLAN=free
+# QUOTA_WARNING_THRESHOLDS=80,95
+# Plan limits in bytes (null for unlimited), merged over the built-in free, pro and business plans
+# QUOTA_PLANS={"free":{"maxBytes":1073741824,"maxFiles":500,"maxFileSize":10485760}}
+
+# Malware scanning ("none" or "clamd"); clamd is reached over CLAMD_SOCKET, or CLAMD_HOST and CLAMD_PORT
+# MALWARE_SCANNER=clamd
+# CLAMD_HOST=127.0.0.1
+# CLAMD_PORT=3310
+# CLAMD_SOCKET=/var/run/clamav/clamd.ctl
+# CLAMD_TIMEOUT_MS=60000
+# MALWARE_SCAN_RETRY_INTERVAL_MS=600000
+
+# Integrity audit of stored objects: how often it runs and how many rows it checks per run
+# INTEGRITY_CHECK_INTERVAL_MS=3600000
+# INTEGRITY_CHECK_BATCH_SIZE=50
+
+# Content search: largest document whose text is indexed, and how often files not yet indexed are picked up
+# SEARCH_INDEX_MAX_FILE_SIZE=20971520
+# SEARCH_INDEX_BACKFILL_INTERVAL_MS=900000
 
 # Rate Limiting
 RATE_LIMIT_WINDOW_MS=900000
@@ -8,6 +8,13 @@ const path = require("path")
 const fs = require("fs").promises
 const { createClient } = require("@supabase/supabase-js")
 require("dotenv").config()
+const trash = require("./utils/trash")
+const keyRotation = require("./utils/key-rotation")
+const uploadSessions = require("./utils/upload-sessions")
+const fileValidator = require("./utils/file-validator")
+const malwareScanner = require("./utils/malware-scanner")
+const integrityChecker = require("./utils/integrity-checker")
+const searchIndex = require("./utils/search-index")
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -63,8 +70,31 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:3000",
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "X-Share-Password",
+      "X-File-Password",
+      "X-MFA-Step-Up",
+      "Upload-Offset",
+      "Range",
+      "If-Range",
+      "If-None-Match",
+      "If-Modified-Since",
+    ],
+    exposedHeaders: [
+      "X-MFA-Step-Up",
+      "X-MFA-Step-Up-Expires",
+      "Location",
+      "Upload-Offset",
+      "Upload-Length",
+      "Upload-Expires",
+      "Accept-Ranges",
+      "Content-Range",
+      "ETag",
+    ],
   }),
 )
 
@@ -161,12 +191,15 @@ const authMiddleware = async (req, res, next) => {
 
 // Routes
 app.use("/api/auth", require("./routes/auth"))
+app.use("/api/shared", require("./routes/shared"))
 app.use("/api/files", authMiddleware, require("./routes/files"))
+app.use("/api/folders", authMiddleware, require("./routes/folders"))
 app.use("/api/stats", authMiddleware, require("./routes/stats"))
 app.use("/api/access-control", authMiddleware, require("./routes/access-control"))
 app.use("/api/audit", authMiddleware, require("./routes/audit"))
 app.use("/api/user", authMiddleware, require("./routes/user"))
 app.use("/api/mfa", authMiddleware, require("./routes/mfa"))
+app.use("/api/admin", authMiddleware, require("./routes/admin"))
 
 // Enhanced error handling
 app.use((err, req, res, next) => {
@@ -192,6 +225,12 @@ app.use((err, req, res, next) => {
   } else if (err.code === "LIMIT_FILE_SIZE") {
     statusCode = 413
     message = "File too large"
+  } else if (err.code === "INVALID_FILE") {
+    statusCode = 415
+    message = err.message
+  } else if (err.code === "INFECTED_FILE") {
+    statusCode = 422
+    message = err.message
   }
 
   // Send error response
@@ -226,6 +265,27 @@ app.listen(PORT, () => {
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`)
   console.log(`🔒 Security features: Encryption, 2FA, Access Control, Audit Logging, Supabase Storage`)
   console.log(`🔌 Connected to Supabase: ${process.env.SUPABASE_URL ? "Yes" : "No"}`)
+
+  // Permanently remove trashed files once their retention period has passed
+  trash.startPurgeJob()
+
+  // Remove resumable uploads that were abandoned before finalizing
+  uploadSessions.startCleanupJob()
+
+  // Load the admin-configured upload policy and keep it in sync with other instances
+  fileValidator.startPolicyRefreshJob()
+
+  // Retry malware scans that were left pending by a scanner outage
+  malwareScanner.startRetryJob()
+
+  // Re-read stored objects and check them against their recorded hashes
+  integrityChecker.startAuditJob()
+
+  // Index the contents of files stored before search indexing was enabled
+  searchIndex.startBackfillJob()
+
+  // Pick up a master key rotation interrupted by a restart
+  keyRotation.resumeInterrupted()
 })
 
 module.exports = app
@@ -0,0 +1,169 @@
+const fs = require("fs")
+const { setupTestEnv } = require("../helpers/env")
+
+jest.mock("@supabase/supabase-js", () => require("../helpers/fake-supabase"))
+
+const storagePath = setupTestEnv()
+
+const { createClient, tables, reset } = require("../helpers/fake-supabase")
+const blobs = require("../../utils/blobs")
+const storage = require("../../utils/storage")
+const trash = require("../../utils/trash")
+
+const USER_ID = "user-1"
+const envelope = { keyWrapping: "envelope", userKeyId: "key-1", wrappedKey: "wrapped" }
+
+/**
+ * Put an object in storage and describe it the way encryptedStorage.store does
+ */
+async function storeObject(name, { fileHash = "hash-a", encrypted = true, encryptionMetadata = envelope } = {}) {
+  const storedName = `${USER_ID}/${name}`
+  await storage.put(storedName, Buffer.from(`ciphertext of ${name}`))
+  return { storedName, fileHash, size: 100, encrypted, encryptionMetadata }
+}
+
+function blobRow(storedName) {
+  return (tables.blobs || []).find((blob) => blob.stored_name === storedName)
+}
+
+describe("blob deduplication", () => {
+  beforeEach(() => {
+    reset()
+  })
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  describe("register", () => {
+    test("keeps a first upload as a blob with one reference", async () => {
+      const stored = await blobs.register(USER_ID, await storeObject("first"))
+
+      expect(stored).toMatchObject({ storedName: `${USER_ID}/first`, deduplicated: false })
+      expect(blobRow(`${USER_ID}/first`)).toMatchObject({ ref_count: 1, dedup_key: "envelope:hash-a" })
+    })
+
+    test("swaps an identical upload for the existing blob and drops the new object", async () => {
+      await blobs.register(USER_ID, await storeObject("first"))
+      const ownKey = { ...envelope, wrappedKey: "wrapped-2" }
+      const stored = await blobs.register(USER_ID, await storeObject("second", { encryptionMetadata: ownKey }))
+
+      expect(stored).toMatchObject({ storedName: `${USER_ID}/first`, encryptionMetadata: envelope, deduplicated: true })
+      expect(blobRow(`${USER_ID}/first`).ref_count).toBe(2)
+      expect(blobRow(`${USER_ID}/second`)).toBeUndefined()
+      await expect(storage.exists(`${USER_ID}/second`)).resolves.toBe(false)
+    })
+
+    test("keeps unencrypted and envelope-encrypted copies of the same content apart", async () => {
+      await blobs.register(USER_ID, await storeObject("sealed"))
+      const stored = await blobs.register(USER_ID, await storeObject("plain", { encrypted: false }))
+
+      expect(stored.deduplicated).toBe(false)
+      expect(blobRow(`${USER_ID}/plain`)).toMatchObject({ ref_count: 1, dedup_key: "plain:hash-a" })
+    })
+
+    test("never deduplicates password-encrypted content", async () => {
+      const passwordMetadata = { kdf: "pbkdf2-sha512" }
+      await blobs.register(USER_ID, await storeObject("locked-1", { encryptionMetadata: passwordMetadata }))
+      const stored = await blobs.register(
+        USER_ID,
+        await storeObject("locked-2", { encryptionMetadata: passwordMetadata }),
+      )
+
+      expect(stored.deduplicated).toBe(false)
+      expect(blobRow(`${USER_ID}/locked-2`)).toMatchObject({ ref_count: 1, dedup_key: null })
+    })
+  })
+
+  describe("release", () => {
+    test("keeps a shared blob until its last reference goes", async () => {
+      await blobs.register(USER_ID, await storeObject("first"))
+      await blobs.register(USER_ID, await storeObject("second"))
+
+      await blobs.release(`${USER_ID}/first`)
+
+      expect(blobRow(`${USER_ID}/first`).ref_count).toBe(1)
+      await expect(storage.exists(`${USER_ID}/first`)).resolves.toBe(true)
+
+      await blobs.release(`${USER_ID}/first`)
+
+      expect(blobRow(`${USER_ID}/first`)).toBeUndefined()
+      await expect(storage.exists(`${USER_ID}/first`)).resolves.toBe(false)
+    })
+
+    test("deletes the blob row before its object, so a new reference can't land on a deleted object", async () => {
+      await blobs.register(USER_ID, await storeObject("first"))
+      const deleteObject = jest.spyOn(storage, "delete").mockImplementation(async (storedName) => {
+        expect(blobRow(storedName)).toBeUndefined()
+      })
+
+      await blobs.release(`${USER_ID}/first`)
+
+      expect(deleteObject).toHaveBeenCalledWith(`${USER_ID}/first`)
+      deleteObject.mockRestore()
+    })
+
+    test("retries when the reference count changed since it was read", async () => {
+      await blobs.register(USER_ID, await storeObject("first"))
+      const stale = { ...blobRow(`${USER_ID}/first`) }
+      blobRow(`${USER_ID}/first`).ref_count = 3
+
+      await expect(blobs.addReference(stale)).resolves.toBe(true)
+      expect(blobRow(`${USER_ID}/first`).ref_count).toBe(4)
+    })
+
+    test("deletes an object stored before blobs existed", async () => {
+      const { storedName } = await storeObject("legacy")
+
+      await blobs.release(storedName)
+
+      await expect(storage.exists(storedName)).resolves.toBe(false)
+    })
+  })
+
+  describe("purgeFile", () => {
+    async function seedFileWithVersion() {
+      await blobs.register(USER_ID, await storeObject("current", { fileHash: "hash-b" }))
+      await blobs.register(USER_ID, await storeObject("previous", { fileHash: "hash-c" }))
+
+      const file = { id: "file-1", user_id: USER_ID, stored_name: `${USER_ID}/current`, original_name: "a.txt" }
+      tables.files = [file]
+      tables.file_versions = [{ id: "version-1", file_id: file.id, stored_name: `${USER_ID}/previous` }]
+      return file
+    }
+
+    test("releases the file's blobs, versions included, only after its row is gone", async () => {
+      const file = await seedFileWithVersion()
+      const release = jest.spyOn(blobs, "release")
+      release.mockImplementation(async (storedNames) => {
+        expect(tables.files).toEqual([])
+        release.mockRestore()
+        return blobs.release(storedNames)
+      })
+
+      await trash.purgeFile(file, "test")
+
+      expect(blobRow(`${USER_ID}/current`)).toBeUndefined()
+      expect(blobRow(`${USER_ID}/previous`)).toBeUndefined()
+    })
+
+    test("releases nothing when the row can't be deleted", async () => {
+      const file = await seedFileWithVersion()
+      const client = createClient()
+      const from = client.from
+      jest
+        .spyOn(client, "from")
+        .mockImplementation((table) =>
+          table === "files"
+            ? { delete: () => ({ eq: async () => ({ error: new Error("connection lost") }) }) }
+            : from(table),
+        )
+
+      await expect(trash.purgeFile(file, "test")).rejects.toThrow("connection lost")
+
+      client.from.mockRestore()
+      expect(blobRow(`${USER_ID}/current`).ref_count).toBe(1)
+      expect(blobRow(`${USER_ID}/previous`).ref_count).toBe(1)
+    })
+  })
+})
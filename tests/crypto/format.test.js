@@ -0,0 +1,110 @@
+const crypto = require("crypto")
+const { Readable } = require("stream")
+const {
+  createEncryptStream,
+  createDecryptStream,
+  hasFormatHeader,
+  FORMAT_NAME,
+  FORMAT_VERSION,
+  SEGMENT_SIZE,
+  TAG_LENGTH,
+} = require("../../utils/crypto")
+
+const dataKey = crypto.randomBytes(32)
+const FIXED_HEADER_LENGTH = 23
+
+async function collect(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+async function encrypt(plaintext, secret = dataKey, options = {}) {
+  const cipher = await createEncryptStream(secret, options)
+  const ciphertext = await collect(Readable.from([plaintext]).pipe(cipher))
+  return { ciphertext, metadata: cipher.encryptionMetadata }
+}
+
+function decrypt(ciphertext, secret = dataKey) {
+  return collect(Readable.from([ciphertext]).pipe(createDecryptStream(secret)))
+}
+
+describe("SVLT segment format", () => {
+  test("writes a versioned header recording a raw data key without a salt", async () => {
+    const { ciphertext, metadata } = await encrypt(Buffer.from("hello"))
+
+    expect(hasFormatHeader(ciphertext)).toBe(true)
+    expect(ciphertext.subarray(0, 4).toString()).toBe("SVLT")
+    expect(ciphertext.readUInt8(4)).toBe(FORMAT_VERSION)
+    expect(ciphertext.readUInt8(6)).toBe(0)
+    expect(ciphertext.readUInt8(7)).toBe(0)
+    expect(ciphertext.readUInt32BE(12)).toBe(SEGMENT_SIZE)
+    expect(metadata).toEqual({
+      algorithm: "aes-256-gcm",
+      format: FORMAT_NAME,
+      formatVersion: FORMAT_VERSION,
+      chunkSize: SEGMENT_SIZE,
+      kdf: "none",
+    })
+  })
+
+  test("records the password KDF and its salt for password encryption", async () => {
+    const { ciphertext, metadata } = await encrypt(Buffer.from("hello"), "correct horse", { chunkSize: 16 })
+
+    expect(ciphertext.readUInt8(6)).toBe(1)
+    expect(metadata).toMatchObject({ kdf: "pbkdf2-sha512", iterations: 100000, chunkSize: 16 })
+    expect(metadata.salt).toBe(ciphertext.subarray(FIXED_HEADER_LENGTH, FIXED_HEADER_LENGTH + 32).toString("hex"))
+    await expect(decrypt(ciphertext, "correct horse")).resolves.toEqual(Buffer.from("hello"))
+  })
+
+  test.each([
+    ["empty content", 0],
+    ["content shorter than a segment", 100],
+    ["exactly one segment", SEGMENT_SIZE],
+    ["several segments and a partial one", 3 * SEGMENT_SIZE + 17],
+  ])("round-trips %s in authenticated segments", async (label, size) => {
+    const plaintext = crypto.randomBytes(size)
+    const { ciphertext } = await encrypt(plaintext)
+    const segments = Math.max(1, Math.ceil(size / SEGMENT_SIZE))
+
+    expect(ciphertext.length).toBe(FIXED_HEADER_LENGTH + size + segments * TAG_LENGTH)
+    await expect(decrypt(ciphertext)).resolves.toEqual(plaintext)
+  })
+
+  test("rejects a wrong data key", async () => {
+    const { ciphertext } = await encrypt(Buffer.from("hello"))
+
+    await expect(decrypt(ciphertext, crypto.randomBytes(32))).rejects.toThrow()
+  })
+
+  test("rejects a tampered header", async () => {
+    const { ciphertext } = await encrypt(Buffer.from("hello"))
+    ciphertext[16] ^= 0x01
+
+    await expect(decrypt(ciphertext)).rejects.toThrow()
+  })
+
+  test("rejects swapped segments", async () => {
+    const plaintext = crypto.randomBytes(48)
+    const { ciphertext } = await encrypt(plaintext, dataKey, { chunkSize: 16 })
+    const segment = (i) => ciphertext.subarray(FIXED_HEADER_LENGTH + i * 32, FIXED_HEADER_LENGTH + (i + 1) * 32)
+    const swapped = Buffer.concat([ciphertext.subarray(0, FIXED_HEADER_LENGTH), segment(1), segment(0), segment(2)])
+
+    await expect(decrypt(swapped)).rejects.toThrow()
+  })
+
+  test("rejects ciphertext cut at a segment boundary", async () => {
+    const { ciphertext } = await encrypt(crypto.randomBytes(48), dataKey, { chunkSize: 16 })
+
+    await expect(decrypt(ciphertext.subarray(0, FIXED_HEADER_LENGTH + 2 * 32))).rejects.toThrow()
+  })
+
+  test("rejects an unknown format version", async () => {
+    const { ciphertext } = await encrypt(Buffer.from("hello"))
+    ciphertext.writeUInt8(9, 4)
+
+    await expect(decrypt(ciphertext)).rejects.toThrow("Unsupported encryption format version 9")
+  })
+})
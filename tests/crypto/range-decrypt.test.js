@@ -0,0 +1,119 @@
+const crypto = require("crypto")
+const { Readable } = require("stream")
+const { createEncryptStream, createRangeDecryptStream, MAX_HEADER_LENGTH, TAG_LENGTH } = require("../../utils/crypto")
+
+const dataKey = crypto.randomBytes(32)
+// Small segments keep every boundary case cheap; the offsets below are in units of it
+const CHUNK = 16
+// A raw data key leaves the header without a salt
+const HEADER_LENGTH = 23
+
+async function collect(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+async function encrypt(plaintext) {
+  const cipher = await createEncryptStream(dataKey, { chunkSize: CHUNK })
+  return collect(Readable.from([plaintext]).pipe(cipher))
+}
+
+/**
+ * Decrypt plaintext bytes start..end the way a range request does: read only the ciphertext
+ * span the range needs, fed in small pieces so segments arrive split across chunks
+ */
+async function decryptRange(ciphertext, plaintextSize, start, end, secret = dataKey) {
+  const { cipherStart, cipherEnd, stream } = createRangeDecryptStream(
+    secret,
+    ciphertext.subarray(0, MAX_HEADER_LENGTH),
+    plaintextSize,
+    start,
+    end,
+  )
+  const span = ciphertext.subarray(cipherStart, cipherEnd + 1)
+  const pieces = []
+  for (let i = 0; i < span.length; i += 7) {
+    pieces.push(span.subarray(i, i + 7))
+  }
+
+  return collect(Readable.from(pieces).pipe(stream))
+}
+
+describe("createRangeDecryptStream", () => {
+  // Three full segments and a partial final one
+  const plaintext = crypto.randomBytes(3 * CHUNK + 5)
+  let ciphertext
+
+  beforeAll(async () => {
+    ciphertext = await encrypt(plaintext)
+  })
+
+  test.each([
+    ["the first byte", 0, 0],
+    ["the whole first segment", 0, CHUNK - 1],
+    ["the last byte of a segment", CHUNK - 1, CHUNK - 1],
+    ["the first byte of a segment", CHUNK, CHUNK],
+    ["two bytes across a boundary", CHUNK - 1, CHUNK],
+    ["exactly one middle segment", CHUNK, 2 * CHUNK - 1],
+    ["several segments from mid to mid", 5, 2 * CHUNK + 3],
+    ["the start of the final segment", 3 * CHUNK, 3 * CHUNK],
+    ["the last byte", 3 * CHUNK + 4, 3 * CHUNK + 4],
+    ["the whole content", 0, 3 * CHUNK + 4],
+  ])("returns %s", async (label, start, end) => {
+    await expect(decryptRange(ciphertext, plaintext.length, start, end)).resolves.toEqual(
+      plaintext.subarray(start, end + 1),
+    )
+  })
+
+  test("reads only the segments covering the range", () => {
+    const { cipherStart, cipherEnd } = createRangeDecryptStream(
+      dataKey,
+      ciphertext.subarray(0, MAX_HEADER_LENGTH),
+      plaintext.length,
+      CHUNK,
+      2 * CHUNK - 1,
+    )
+
+    expect(cipherStart).toBe(HEADER_LENGTH + CHUNK + TAG_LENGTH)
+    expect(cipherEnd - cipherStart + 1).toBe(CHUNK + TAG_LENGTH)
+  })
+
+  test("treats a full last segment as final when the size is a multiple of the segment size", async () => {
+    const whole = crypto.randomBytes(2 * CHUNK)
+    const encrypted = await encrypt(whole)
+
+    await expect(decryptRange(encrypted, whole.length, CHUNK, 2 * CHUNK - 1)).resolves.toEqual(whole.subarray(CHUNK))
+  })
+
+  test("ignores damage outside the range and rejects damage inside it", async () => {
+    const damaged = Buffer.from(ciphertext)
+    damaged[damaged.length - 1] ^= 0xff
+
+    await expect(decryptRange(damaged, plaintext.length, 0, CHUNK - 1)).resolves.toEqual(plaintext.subarray(0, CHUNK))
+    await expect(decryptRange(damaged, plaintext.length, 3 * CHUNK, 3 * CHUNK)).rejects.toThrow()
+  })
+
+  test("rejects a wrong plaintext size, which moves the final flag", async () => {
+    await expect(decryptRange(ciphertext, 3 * CHUNK, 2 * CHUNK, 3 * CHUNK - 1)).rejects.toThrow()
+  })
+
+  test("rejects a wrong data key", async () => {
+    await expect(decryptRange(ciphertext, plaintext.length, 0, 0, crypto.randomBytes(32))).rejects.toThrow()
+  })
+
+  test("rejects ciphertext that ends before the range does", async () => {
+    const { stream } = createRangeDecryptStream(dataKey, ciphertext, plaintext.length, 0, 2 * CHUNK)
+    const firstSegment = ciphertext.subarray(HEADER_LENGTH, HEADER_LENGTH + CHUNK + TAG_LENGTH)
+
+    await expect(collect(Readable.from([firstSegment]).pipe(stream))).rejects.toThrow("Encrypted data is truncated")
+  })
+
+  test("refuses a range outside the plaintext", () => {
+    expect(() => createRangeDecryptStream(dataKey, ciphertext, plaintext.length, 0, plaintext.length)).toThrow(
+      "Range is outside the plaintext",
+    )
+  })
+})
@@ -0,0 +1,63 @@
+const fs = require("fs")
+const path = require("path")
+const { setupTestEnv } = require("../helpers/env")
+
+const storagePath = setupTestEnv({ MALWARE_SCANNER: "clamd" })
+const socketPath = path.join(storagePath, "clamd.sock")
+process.env.CLAMD_SOCKET = socketPath
+
+const { startFakeClamd, EICAR } = require("../helpers/fake-clamd")
+const { storeRecord } = require("../helpers/records")
+const encryptedStorage = require("../../utils/encrypted-storage")
+const malwareScanner = require("../../utils/malware-scanner")
+
+describe("encryptedStorage.scan", () => {
+  let clamd
+
+  beforeAll(async () => {
+    clamd = await startFakeClamd(socketPath)
+  })
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  test("clears clean content", async () => {
+    const scan = await encryptedStorage.scan(await storeRecord("clean.txt", "quarterly report"))
+
+    expect(scan).toMatchObject({ status: "clean", threats: [], scanner: "clamd" })
+    expect(malwareScanner.isQuarantined({ scan_status: scan.status })).toBe(false)
+  })
+
+  test("quarantines infected content", async () => {
+    const scan = await encryptedStorage.scan(await storeRecord("eicar.txt", EICAR))
+
+    expect(scan).toMatchObject({ status: "infected", threats: ["Eicar-Test-Signature"] })
+    expect(malwareScanner.isQuarantined({ scan_status: scan.status })).toBe(true)
+  })
+
+  test("scans the plaintext of password-encrypted content", async () => {
+    const record = await storeRecord("eicar.bin", EICAR, { password: "correct horse" })
+    const scan = await encryptedStorage.scan(record, "correct horse")
+
+    expect(scan.status).toBe("infected")
+  })
+
+  test("holds content as pending when the scanner reports an error", async () => {
+    const scan = await encryptedStorage.scan(await storeRecord("error.txt", "FAKE_CLAMD_ERROR"))
+
+    expect(scan).toMatchObject({ status: "pending", error: "clamd: INSTREAM size limit exceeded. ERROR" })
+    expect(malwareScanner.isQuarantined({ scan_status: scan.status })).toBe(true)
+  })
+
+  test("holds content as pending while clamd is down", async () => {
+    const record = await storeRecord("outage.txt", "anything")
+    await new Promise((resolve) => clamd.server.close(resolve))
+
+    const scan = await encryptedStorage.scan(record)
+
+    expect(scan.status).toBe("pending")
+    expect(scan.error).toBeTruthy()
+    expect(malwareScanner.isQuarantined({ scan_status: scan.status })).toBe(true)
+  })
+})
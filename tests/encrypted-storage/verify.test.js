@@ -0,0 +1,86 @@
+const fs = require("fs")
+const { setupTestEnv } = require("../helpers/env")
+
+const storagePath = setupTestEnv()
+
+const { storeRecord } = require("../helpers/records")
+const encryptedStorage = require("../../utils/encrypted-storage")
+const storage = require("../../utils/storage")
+
+const PASSWORD = "correct horse"
+// Longer than one 64 KiB ciphertext segment, so damage to the last one shows after some plaintext
+const content = Buffer.from("Ledger for the second quarter, ".repeat(4000))
+
+/**
+ * Flip one byte of a stored object in place
+ */
+async function tamper(record, position) {
+  const body = await storage.get(record.stored_name)
+  body[position] ^= 0xff
+
+  await storage.delete(record.stored_name)
+  await storage.put(record.stored_name, body)
+}
+
+describe("encryptedStorage.verify", () => {
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  test("passes an intact unencrypted blob", async () => {
+    const record = await storeRecord("plain.txt", content)
+
+    await expect(encryptedStorage.verify(record)).resolves.toMatchObject({ status: "ok", error: null })
+  })
+
+  test("flags a tampered unencrypted blob by its hash", async () => {
+    const record = await storeRecord("plain-tampered.txt", content)
+    await tamper(record, 100)
+
+    await expect(encryptedStorage.verify(record)).resolves.toMatchObject({
+      status: "corrupt",
+      error: "Plaintext hash does not match file_hash",
+    })
+  })
+
+  test("passes an intact encrypted blob", async () => {
+    const record = await storeRecord("sealed.bin", content, { password: PASSWORD })
+
+    await expect(encryptedStorage.verify(record, PASSWORD)).resolves.toMatchObject({ status: "ok" })
+  })
+
+  test("flags a tampered encrypted blob when its ciphertext fails to authenticate", async () => {
+    const record = await storeRecord("sealed-tampered.bin", content, { password: PASSWORD })
+    const { size } = fs.statSync(`${storagePath}/${record.stored_name}`)
+    await tamper(record, size - 20)
+
+    const result = await encryptedStorage.verify(record, PASSWORD)
+
+    expect(result.status).toBe("corrupt")
+    expect(result.error).toMatch(/^Decryption failed/)
+  })
+
+  test("flags a blob whose size differs from the record", async () => {
+    const record = await storeRecord("short.txt", content)
+
+    await expect(encryptedStorage.verify({ ...record, size: content.length + 1 })).resolves.toMatchObject({
+      status: "corrupt",
+      error: `Plaintext is ${content.length} bytes, expected ${content.length + 1}`,
+    })
+  })
+
+  test("reports a missing blob", async () => {
+    const record = await storeRecord("gone.txt", content)
+    await storage.delete(record.stored_name)
+
+    await expect(encryptedStorage.verify(record)).resolves.toMatchObject({ status: "missing" })
+  })
+
+  test("refuses a verdict for a wrong password", async () => {
+    const record = await storeRecord("sealed-wrong.bin", content, { password: PASSWORD })
+
+    await expect(encryptedStorage.verify(record, "wrong password")).rejects.toMatchObject({
+      code: "DECRYPTION_FAILED",
+    })
+  })
+})
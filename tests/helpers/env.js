@@ -0,0 +1,26 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+/**
+ * Environment for loading the utils modules without a real Supabase project: their clients are
+ * created at load time but never reached, and blobs go to a fresh local storage directory.
+ * Require this before any module under utils/.
+ * @returns {string} - The storage directory
+ */
+function setupTestEnv(extra = {}) {
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "vault-test-"))
+
+  Object.assign(process.env, {
+    SUPABASE_URL: "http://localhost:54321",
+    SUPABASE_SERVICE_ROLE_KEY: "test-service-role-key",
+    ENCRYPTION_KEY: "a".repeat(64),
+    STORAGE_DRIVER: "local",
+    LOCAL_STORAGE_PATH: storagePath,
+    ...extra,
+  })
+
+  return storagePath
+}
+
+module.exports = { setupTestEnv }
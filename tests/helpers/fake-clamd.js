@@ -0,0 +1,65 @@
+const net = require("net")
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*"
+
+/**
+ * Stand-in for a ClamAV daemon speaking just enough of its protocol for the clamd scanner:
+ * zPING answers PONG, and zINSTREAM reads length-prefixed chunks up to the empty one and answers
+ * "stream: OK", "stream: Eicar-Test-Signature FOUND" when the data holds the EICAR test string,
+ * or a clamd-style error when it holds FAKE_CLAMD_ERROR.
+ * @returns {Promise<Object>} - { server, streams }: streams records the chunk sizes of each scan
+ */
+function startFakeClamd(listenOn) {
+  const streams = []
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0)
+    let command = null
+    const chunks = []
+    const sizes = []
+
+    const reply = (text) => socket.end(`${text}\0`)
+
+    socket.on("data", (data) => {
+      buffer = Buffer.concat([buffer, data])
+
+      if (!command) {
+        const end = buffer.indexOf(0)
+        if (end === -1) return
+
+        command = buffer.subarray(0, end).toString()
+        buffer = buffer.subarray(end + 1)
+
+        if (command === "zPING") return reply("PONG")
+        if (command !== "zINSTREAM") return reply("UNKNOWN COMMAND")
+      }
+
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0)
+
+        if (length === 0) {
+          streams.push(sizes)
+
+          const content = Buffer.concat(chunks).toString("latin1")
+          if (content.includes("FAKE_CLAMD_ERROR")) return reply("INSTREAM size limit exceeded. ERROR")
+          if (content.includes(EICAR)) return reply("stream: Eicar-Test-Signature FOUND")
+          return reply("stream: OK")
+        }
+
+        if (buffer.length < 4 + length) return
+
+        chunks.push(buffer.subarray(4, 4 + length))
+        sizes.push(length)
+        buffer = buffer.subarray(4 + length)
+      }
+    })
+    socket.on("error", () => {})
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject)
+    server.listen(listenOn, () => resolve({ server, streams }))
+  })
+}
+
+module.exports = { startFakeClamd, EICAR }
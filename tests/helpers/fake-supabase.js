@@ -0,0 +1,335 @@
+const crypto = require("crypto")
+
+/**
+ * In-memory stand-in for the Supabase client, covering the parts of the PostgREST query builder
+ * the utils modules use. Every client shares one set of tables, so tests can seed rows and
+ * inspect them directly. Use it in place of the real package:
+ *
+ *   jest.mock("@supabase/supabase-js", () => require("../helpers/fake-supabase"))
+ */
+const tables = {}
+
+// Upserts without onConflict match on the primary key, which is id unless listed here
+const PRIMARY_KEYS = { user_quotas: "user_id" }
+
+function reset() {
+  for (const name of Object.keys(tables)) {
+    delete tables[name]
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+// "column" or "column->>key", with JSON fields read as text like PostgREST does
+function read(row, column) {
+  if (!column.includes("->>")) return row[column]
+
+  const [field, key] = column.split("->>")
+  const value = row[field]?.[key]
+  return value === undefined || value === null ? null : String(value)
+}
+
+function same(actual, expected) {
+  return actual === expected || (actual !== null && actual !== undefined && String(actual) === String(expected))
+}
+
+function likePattern(pattern) {
+  const source = pattern
+    .replace(/\\([%_\\])/g, "$1")
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+  return new RegExp(`^${source}$`, "is")
+}
+
+// Split a filter list on its top-level commas, leaving nested and() and quoted values whole
+function splitFilters(list) {
+  const parts = []
+  let depth = 0
+  let quoted = false
+  let current = ""
+
+  for (let i = 0; i < list.length; i++) {
+    const char = list[i]
+
+    if (quoted) {
+      current += char
+      if (char === "\\") current += list[++i]
+      else if (char === '"') quoted = false
+      continue
+    }
+
+    if (char === '"') quoted = true
+    if (char === "(") depth++
+    if (char === ")") depth--
+
+    if (char === "," && depth === 0) {
+      parts.push(current)
+      current = ""
+    } else {
+      current += char
+    }
+  }
+
+  parts.push(current)
+  return parts
+}
+
+const OPERATORS = {
+  eq: (actual, expected) => same(actual, expected),
+  neq: (actual, expected) => !same(actual, expected),
+  gt: (actual, expected) => actual !== null && actual !== undefined && actual > expected,
+  gte: (actual, expected) => actual !== null && actual !== undefined && actual >= expected,
+  lt: (actual, expected) => actual !== null && actual !== undefined && actual < expected,
+  lte: (actual, expected) => actual !== null && actual !== undefined && actual <= expected,
+  ilike: (actual, pattern) => typeof actual === "string" && likePattern(pattern).test(actual),
+  is: (actual, expected) => (expected === null ? actual === null || actual === undefined : actual === expected),
+}
+
+function parseFilter(filter) {
+  if (filter.startsWith("and(")) {
+    const all = splitFilters(filter.slice(4, -1)).map(parseFilter)
+    return (row) => all.every((matches) => matches(row))
+  }
+
+  const [, column, operator, raw] = filter.match(/^([\w>-]+)\.(\w+)\.(.*)$/s)
+  const value = raw.startsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, "$1") : raw
+  const typed = (actual) => (typeof actual === "number" ? Number(value) : value)
+
+  return (row) => {
+    const actual = read(row, column)
+    return OPERATORS[operator](actual, typed(actual))
+  }
+}
+
+function parseArrayLiteral(literal) {
+  return splitFilters(literal.slice(1, -1)).map((item) =>
+    item.startsWith('"') ? item.slice(1, -1).replace(/\\(.)/g, "$1") : item,
+  )
+}
+
+class Query {
+  constructor(table) {
+    this.table = table
+    this.action = "select"
+    this.filters = []
+    this.orderings = []
+    this.returning = false
+    this.counting = false
+    this.countOnly = false
+    this.singleRow = false
+    this.rowLimit = null
+    this.rowRange = null
+  }
+
+  select(columns, options = {}) {
+    this.returning = true
+    this.counting = Boolean(options.count)
+    this.countOnly = Boolean(options.head)
+    return this
+  }
+
+  insert(rows) {
+    this.action = "insert"
+    this.rows = [].concat(rows)
+    return this
+  }
+
+  upsert(rows, options = {}) {
+    this.action = "upsert"
+    this.rows = [].concat(rows)
+    this.conflictColumn = options.onConflict
+    return this
+  }
+
+  update(values) {
+    this.action = "update"
+    this.values = values
+    return this
+  }
+
+  delete() {
+    this.action = "delete"
+    return this
+  }
+
+  where(matches) {
+    this.filters.push(matches)
+    return this
+  }
+
+  eq(column, value) {
+    return this.where((row) => OPERATORS.eq(read(row, column), value))
+  }
+
+  neq(column, value) {
+    return this.where((row) => OPERATORS.neq(read(row, column), value))
+  }
+
+  gt(column, value) {
+    return this.where((row) => OPERATORS.gt(read(row, column), value))
+  }
+
+  gte(column, value) {
+    return this.where((row) => OPERATORS.gte(read(row, column), value))
+  }
+
+  lt(column, value) {
+    return this.where((row) => OPERATORS.lt(read(row, column), value))
+  }
+
+  lte(column, value) {
+    return this.where((row) => OPERATORS.lte(read(row, column), value))
+  }
+
+  is(column, value) {
+    return this.where((row) => OPERATORS.is(read(row, column), value))
+  }
+
+  ilike(column, pattern) {
+    return this.where((row) => OPERATORS.ilike(read(row, column), pattern))
+  }
+
+  in(column, values) {
+    return this.where((row) => values.some((value) => same(read(row, column), value)))
+  }
+
+  or(list) {
+    const any = splitFilters(list).map(parseFilter)
+    return this.where((row) => any.some((matches) => matches(row)))
+  }
+
+  not(column, operator, value) {
+    const matches = parseFilter(`${column}.${operator}.${value}`)
+    const emptyArray = operator === "eq" && value === "{}"
+    return this.where((row) => !(emptyArray ? (row[column] || []).length === 0 : matches(row)))
+  }
+
+  contains(column, value) {
+    if (typeof value === "string") {
+      const items = parseArrayLiteral(value)
+      return this.where((row) => items.every((item) => (row[column] || []).includes(item)))
+    }
+
+    return this.where((row) => Object.entries(value).every(([key, wanted]) => same((row[column] || {})[key], wanted)))
+  }
+
+  order(column, options = {}) {
+    this.orderings.push({ column, ascending: options.ascending !== false })
+    return this
+  }
+
+  limit(count) {
+    this.rowLimit = count
+    return this
+  }
+
+  range(from, to) {
+    this.rowRange = [from, to]
+    return this
+  }
+
+  single() {
+    this.singleRow = true
+    return this
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject)
+  }
+
+  rowsOf() {
+    tables[this.table] = tables[this.table] || []
+    return tables[this.table]
+  }
+
+  matching() {
+    return this.rowsOf().filter((row) => this.filters.every((matches) => matches(row)))
+  }
+
+  result(rows) {
+    if (this.singleRow) {
+      return rows.length === 1
+        ? { data: clone(rows[0]), error: null }
+        : { data: null, error: { code: "PGRST116", message: "JSON object requested, multiple (or no) rows returned" } }
+    }
+
+    return { data: this.returning || this.action === "select" ? clone(rows) : null, error: null }
+  }
+
+  execute() {
+    switch (this.action) {
+      case "insert": {
+        const inserted = this.rows.map((row) => ({ id: crypto.randomUUID(), ...clone(row) }))
+        this.rowsOf().push(...inserted)
+        return this.result(inserted)
+      }
+
+      case "upsert": {
+        const key = this.conflictColumn || PRIMARY_KEYS[this.table] || "id"
+        const upserted = this.rows.map((row) => {
+          const existing = this.rowsOf().find((candidate) => same(candidate[key], row[key]))
+          if (existing) return Object.assign(existing, clone(row))
+
+          const inserted = { id: crypto.randomUUID(), ...clone(row) }
+          this.rowsOf().push(inserted)
+          return inserted
+        })
+        return this.result(upserted)
+      }
+
+      case "update": {
+        const updated = this.matching()
+        updated.forEach((row) => Object.assign(row, clone(this.values)))
+        return this.result(updated)
+      }
+
+      case "delete": {
+        const deleted = this.matching()
+        tables[this.table] = this.rowsOf().filter((row) => !deleted.includes(row))
+        return this.result(deleted)
+      }
+
+      default:
+        return this.selectRows()
+    }
+  }
+
+  selectRows() {
+    let rows = this.matching()
+
+    if (this.orderings.length > 0) {
+      rows = [...rows].sort((a, b) => {
+        for (const { column, ascending } of this.orderings) {
+          const left = read(a, column)
+          const right = read(b, column)
+          if (left !== right) return (left > right ? 1 : -1) * (ascending ? 1 : -1)
+        }
+        return 0
+      })
+    }
+
+    const count = rows.length
+    if (this.rowRange) rows = rows.slice(this.rowRange[0], this.rowRange[1] + 1)
+    if (this.rowLimit !== null) rows = rows.slice(0, this.rowLimit)
+
+    if (this.countOnly) {
+      return { data: null, count, error: null }
+    }
+
+    return this.counting ? { ...this.result(rows), count } : this.result(rows)
+  }
+}
+
+const client = {
+  from: (table) => new Query(table),
+}
+
+function createClient() {
+  return client
+}
+
+module.exports = { createClient, tables, reset }
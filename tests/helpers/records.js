@@ -0,0 +1,28 @@
+const crypto = require("crypto")
+const { encryptFileBuffer } = require("../../utils/crypto")
+const storage = require("../../utils/storage")
+
+/**
+ * Store content under a user's prefix and build the files row pointing at it, encrypted with
+ * the legacy password format when a password is given. Needs setupTestEnv first.
+ * @returns {Promise<Object>} - A files row: id, user_id, stored_name, size, file_hash, encrypted, ...
+ */
+async function storeRecord(name, content, { password = null, userId = "user-1", ...columns } = {}) {
+  const plaintext = Buffer.from(content)
+  const stored_name = `${userId}/${name}`
+  const body = password ? (await encryptFileBuffer(plaintext, password)).encryptedData : plaintext
+
+  await storage.put(stored_name, body)
+  return {
+    id: name,
+    user_id: userId,
+    stored_name,
+    size: plaintext.length,
+    file_hash: crypto.createHash("sha256").update(plaintext).digest("hex"),
+    encrypted: Boolean(password),
+    encryption_metadata: null,
+    ...columns,
+  }
+}
+
+module.exports = { storeRecord }
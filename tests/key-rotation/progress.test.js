@@ -0,0 +1,70 @@
+const fs = require("fs")
+const { setupTestEnv } = require("../helpers/env")
+
+jest.mock("@supabase/supabase-js", () => require("../helpers/fake-supabase"))
+
+const storagePath = setupTestEnv()
+
+const { tables, reset } = require("../helpers/fake-supabase")
+const keyRotation = require("../../utils/key-rotation")
+
+const USER_BATCH_SIZE = 100
+
+function userId(i) {
+  return `user-${String(i).padStart(4, "0")}`
+}
+
+// 150 users, every third one halfway through a rotation with a second key row
+function seedUserKeys() {
+  tables.user_keys = []
+  for (let i = 0; i < 150; i++) {
+    tables.user_keys.push({ id: `key-${i}-1`, user_id: userId(i), version: 1 })
+    if (i % 3 === 0) tables.user_keys.push({ id: `key-${i}-2`, user_id: userId(i), version: 2 })
+  }
+}
+
+describe("key rotation progress", () => {
+  beforeEach(() => {
+    reset()
+    seedUserKeys()
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  test("counts users rather than key rows", async () => {
+    expect(tables.user_keys.length).toBeGreaterThan(USER_BATCH_SIZE + 50)
+
+    await expect(keyRotation.countUsers()).resolves.toBe(150)
+  })
+
+  test("reaches 100% once every user is rotated", async () => {
+    jest.spyOn(keyRotation, "rotateUser").mockResolvedValue({ rewrapped: 1, failed: 0, lastError: null })
+    tables.key_rotation_jobs = [
+      { id: "job-1", status: "running", target_master_key_version: 1, users_total: await keyRotation.countUsers() },
+    ]
+
+    await keyRotation.run(tables.key_rotation_jobs[0])
+
+    const [job] = tables.key_rotation_jobs
+    expect(keyRotation.rotateUser).toHaveBeenCalledTimes(150)
+    expect(keyRotation.format(job)).toMatchObject({ status: "completed", usersTotal: 150, usersProcessed: 150 })
+    expect(keyRotation.format(job).progress).toBe(100)
+  })
+
+  test("counts users who got a key after the job started", async () => {
+    jest.spyOn(keyRotation, "rotateUser").mockResolvedValue({ rewrapped: 0, failed: 0, lastError: null })
+    tables.key_rotation_jobs = [{ id: "job-2", status: "running", target_master_key_version: 1, users_total: 150 }]
+    tables.user_keys.push({ id: "key-new", user_id: userId(150), version: 1 })
+
+    await keyRotation.run(tables.key_rotation_jobs[0])
+
+    expect(keyRotation.format(tables.key_rotation_jobs[0])).toMatchObject({ usersTotal: 151, progress: 100 })
+  })
+})
@@ -0,0 +1,72 @@
+const fs = require("fs")
+const path = require("path")
+const { setupTestEnv } = require("../helpers/env")
+
+jest.mock("@supabase/supabase-js", () => require("../helpers/fake-supabase"))
+
+const storagePath = setupTestEnv({ MALWARE_SCANNER: "clamd" })
+const socketPath = path.join(storagePath, "clamd.sock")
+process.env.CLAMD_SOCKET = socketPath
+
+const { startFakeClamd } = require("../helpers/fake-clamd")
+const { tables, reset } = require("../helpers/fake-supabase")
+const { storeRecord } = require("../helpers/records")
+const malwareScanner = require("../../utils/malware-scanner")
+
+const RETRY_BATCH_SIZE = 50
+
+async function seedPending(prefix, count, options = {}) {
+  const rows = []
+  for (let i = 0; i < count; i++) {
+    const name = `${prefix}-${String(i).padStart(3, "0")}`
+    rows.push(await storeRecord(name, `contents of ${name}`, { scan_status: "pending", scanned_at: null, ...options }))
+  }
+
+  tables.files = [...(tables.files || []), ...rows]
+  return rows
+}
+
+function statusOf(id) {
+  return tables.files.find((row) => row.id === id).scan_status
+}
+
+describe("malwareScanner.rescanPending", () => {
+  let clamd
+
+  beforeAll(async () => {
+    clamd = await startFakeClamd(socketPath)
+  })
+
+  beforeEach(() => {
+    reset()
+    malwareScanner.retryCursors = { files: null, file_versions: null }
+  })
+
+  afterAll(async () => {
+    await new Promise((resolve) => clamd.server.close(resolve))
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  test("reaches retryable rows behind a full batch of password-encrypted ones", async () => {
+    // Only the owner's password opens these, so the job must leave them alone
+    const locked = await seedPending("a-locked", RETRY_BATCH_SIZE, { encrypted: true })
+    const [plain] = await seedPending("b-plain", 1)
+
+    await expect(malwareScanner.rescanPending()).resolves.toEqual({ scanned: 1, failed: 0 })
+
+    expect(statusOf(plain.id)).toBe("clean")
+    expect(locked.every((row) => statusOf(row.id) === "pending")).toBe(true)
+  })
+
+  test("moves on to the next batch each run and starts over at the end", async () => {
+    const rows = await seedPending("plain", RETRY_BATCH_SIZE + 5)
+    const stillPending = () => rows.filter((row) => statusOf(row.id) === "pending")
+
+    await expect(malwareScanner.rescanPending()).resolves.toEqual({ scanned: RETRY_BATCH_SIZE, failed: 0 })
+    expect(stillPending().map((row) => row.id)).toEqual(rows.slice(RETRY_BATCH_SIZE).map((row) => row.id))
+
+    await expect(malwareScanner.rescanPending()).resolves.toEqual({ scanned: 5, failed: 0 })
+    expect(stillPending()).toEqual([])
+    expect(malwareScanner.retryCursors.files).toBeNull()
+  })
+})
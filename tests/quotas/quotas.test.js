@@ -0,0 +1,105 @@
+const fs = require("fs")
+const { setupTestEnv } = require("../helpers/env")
+
+jest.mock("@supabase/supabase-js", () => require("../helpers/fake-supabase"))
+
+const MB = 1024 * 1024
+const storagePath = setupTestEnv({
+  QUOTA_PLANS: JSON.stringify({ tiny: { maxBytes: 10 * MB, maxFiles: 3, maxFileSize: 4 * MB } }),
+  QUOTA_DEFAULT_PLAN: "tiny",
+})
+
+const { tables, reset } = require("../helpers/fake-supabase")
+const quotas = require("../../utils/quotas")
+
+const USER_ID = "user-1"
+
+function seedUsage() {
+  tables.files = [
+    { id: "file-1", user_id: USER_ID, size: 2 * MB },
+    // Trashed files are still stored, so they count
+    { id: "file-2", user_id: USER_ID, size: 1 * MB, deleted: true },
+    { id: "other", user_id: "user-2", size: 50 * MB },
+  ]
+  tables.file_versions = [{ id: "version-1", user_id: USER_ID, file_id: "file-1", size: 1 * MB }]
+  tables.upload_sessions = [
+    { id: "open", user_id: USER_ID, size: 3 * MB, expires_at: new Date(Date.now() + 60000).toISOString() },
+    { id: "expired", user_id: USER_ID, size: 5 * MB, expires_at: new Date(Date.now() - 60000).toISOString() },
+  ]
+}
+
+describe("quotas", () => {
+  beforeEach(() => {
+    reset()
+    seedUsage()
+  })
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  test("counts files, versions and open upload reservations", async () => {
+    const status = await quotas.getStatus(USER_ID)
+
+    expect(status.limits).toMatchObject({ plan: "tiny", maxBytes: 10 * MB, overridden: false })
+    expect(status.usage).toEqual({ bytes: 4 * MB, files: 2, reservedBytes: 3 * MB })
+    expect(status.remaining).toEqual({ bytes: 3 * MB, files: 1 })
+  })
+
+  test("applies per-user overrides on top of the plan", async () => {
+    await quotas.setOverride(USER_ID, { maxFiles: 10, note: "support ticket" }, "admin-1")
+    await quotas.setOverride(USER_ID, { maxBytes: 20 * MB }, "admin-1")
+
+    const status = await quotas.getStatus(USER_ID)
+
+    expect(status.limits).toMatchObject({ plan: "tiny", maxFiles: 10, maxBytes: 20 * MB, overridden: true })
+    expect(status.remaining).toEqual({ bytes: 13 * MB, files: 8 })
+    expect(tables.user_quotas).toHaveLength(1)
+  })
+
+  test("falls back to the plan once an override is removed", async () => {
+    await quotas.setOverride(USER_ID, { maxBytes: null, plan: "pro" }, "admin-1")
+    expect((await quotas.getLimits(USER_ID)).plan).toBe("pro")
+
+    await quotas.removeOverride(USER_ID)
+
+    expect(await quotas.getLimits(USER_ID)).toMatchObject({ plan: "tiny", overridden: false })
+  })
+
+  test.each([
+    ["a file over the plan's size limit", { size: 5 * MB }, "FILE_SIZE"],
+    ["an upload past the storage limit", { size: 3 * MB + 1 }, "STORAGE"],
+  ])("rejects %s", async (label, upload, code) => {
+    const status = await quotas.getStatus(USER_ID)
+
+    expect(quotas.checkUpload(status, upload)).toMatchObject({ code })
+  })
+
+  test("rejects a file past the file count limit", async () => {
+    const status = quotas.withUsage(await quotas.getStatus(USER_ID), { files: 1 })
+
+    expect(quotas.checkUpload(status, { size: 1 })).toMatchObject({ code: "FILE_COUNT" })
+  })
+
+  test("lets a resumable upload use the space reserved for it", async () => {
+    const status = await quotas.getStatus(USER_ID)
+
+    expect(quotas.checkUpload(status, { size: 4 * MB })).toMatchObject({ code: "STORAGE" })
+    expect(quotas.checkUpload(status, { size: 4 * MB, files: 1 }, { reserved: 3 * MB })).toBeNull()
+  })
+
+  test("caps single uploads at the smaller of the size limit and the space left", async () => {
+    const status = await quotas.getStatus(USER_ID)
+
+    expect(quotas.maxUploadSize(status)).toBe(3 * MB)
+  })
+
+  test("warns once an upload crosses a threshold", async () => {
+    const status = await quotas.getStatus(USER_ID)
+
+    expect(quotas.getCrossedWarnings(status, { bytes: 4 * MB })).toEqual([
+      { resource: "bytes", threshold: 80, percentUsed: 80 },
+    ])
+    expect(quotas.getCrossedWarnings(quotas.withUsage(status, { bytes: 4 * MB }), { bytes: 100 })).toEqual([])
+  })
+})
@@ -0,0 +1,59 @@
+const ClamdScanner = require("../../utils/scanners/clamd")
+const { startFakeClamd, EICAR } = require("../helpers/fake-clamd")
+
+async function scan(scanner, ...chunks) {
+  const session = await scanner.createSession()
+  for (const chunk of chunks) {
+    await session.write(Buffer.from(chunk))
+  }
+  return session.finish()
+}
+
+describe("clamd scanner", () => {
+  let clamd
+  let scanner
+
+  beforeAll(async () => {
+    clamd = await startFakeClamd(0)
+    process.env.CLAMD_HOST = "127.0.0.1"
+    process.env.CLAMD_PORT = String(clamd.server.address().port)
+    scanner = new ClamdScanner()
+  })
+
+  afterAll(() => {
+    delete process.env.CLAMD_HOST
+    delete process.env.CLAMD_PORT
+    return new Promise((resolve) => clamd.server.close(resolve))
+  })
+
+  test("reports clean content", async () => {
+    await expect(scan(scanner, "hello ", "world")).resolves.toEqual({ clean: true, threats: [] })
+  })
+
+  test("reports the threat clamd found", async () => {
+    await expect(scan(scanner, "prefix ", EICAR)).resolves.toEqual({
+      clean: false,
+      threats: ["Eicar-Test-Signature"],
+    })
+  })
+
+  test("fails on an error reply rather than calling the content clean", async () => {
+    await expect(scan(scanner, "FAKE_CLAMD_ERROR")).rejects.toThrow("clamd: INSTREAM size limit exceeded. ERROR")
+  })
+
+  test("splits large writes into chunks clamd accepts", async () => {
+    await scan(scanner, Buffer.alloc(150 * 1024, 1))
+    expect(clamd.streams[clamd.streams.length - 1]).toEqual([64 * 1024, 64 * 1024, 22 * 1024])
+  })
+
+  test("answers ping", async () => {
+    await expect(scanner.ping()).resolves.toBeUndefined()
+  })
+
+  test("fails to open a session when clamd is unreachable", async () => {
+    const unreachable = new ClamdScanner()
+    unreachable.port = 1
+
+    await expect(unreachable.createSession()).rejects.toThrow()
+  })
+})
@@ -0,0 +1,114 @@
+const fs = require("fs")
+const { setupTestEnv } = require("../helpers/env")
+
+jest.mock("@supabase/supabase-js", () => require("../helpers/fake-supabase"))
+
+const storagePath = setupTestEnv()
+
+const { tables, reset } = require("../helpers/fake-supabase")
+const shareLinks = require("../../utils/share-links")
+
+const file = { id: "file-1", user_id: "user-1" }
+
+// download_count and revoked come from column defaults in the real table
+async function createLink(options = {}) {
+  const link = await shareLinks.create(file, options)
+  Object.assign(storedLink(link), { download_count: 0, revoked: false })
+  return storedLink(link)
+}
+
+function storedLink(link) {
+  return tables.share_links.find((row) => row.id === link.id)
+}
+
+describe("share links", () => {
+  beforeEach(() => {
+    reset()
+    tables.files = [{ ...file, shared: false }]
+  })
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  describe("passwords", () => {
+    test("stores only a hash of the password", async () => {
+      const link = await createLink({ password: "open sesame" })
+
+      expect(link.password_hash).toBeTruthy()
+      expect(JSON.stringify(storedLink(link))).not.toContain("open sesame")
+      expect(shareLinks.format(link).passwordProtected).toBe(true)
+    })
+
+    test("accepts the right password and refuses a wrong or missing one", async () => {
+      const link = await createLink({ password: "open sesame" })
+
+      expect(shareLinks.verifyLinkPassword(link, "open sesame")).toBe(true)
+      expect(shareLinks.verifyLinkPassword(link, "open says me")).toBe(false)
+      expect(shareLinks.verifyLinkPassword(link, undefined)).toBe(false)
+    })
+
+    test("needs no password for a link without one", async () => {
+      const link = await createLink()
+
+      expect(shareLinks.verifyLinkPassword(link, undefined)).toBe(true)
+    })
+  })
+
+  describe("checkLink", () => {
+    test.each([
+      ["a revoked link", { revoked: true }, "Shared link has been revoked"],
+      ["an expired link", { expires_at: new Date(Date.now() - 1000).toISOString() }, "Shared link has expired"],
+      ["a used-up link", { max_downloads: 2, download_count: 2 }, "Shared link download limit reached"],
+    ])("refuses %s with 410", (label, columns, reason) => {
+      expect(shareLinks.checkLink({ download_count: 0, ...columns })).toEqual({ usable: false, status: 410, reason })
+    })
+
+    test("accepts a link with downloads left before it expires", () => {
+      const link = { max_downloads: 2, download_count: 1, expires_at: new Date(Date.now() + 60000).toISOString() }
+
+      expect(shareLinks.checkLink(link)).toEqual({ usable: true })
+    })
+  })
+
+  describe("recordDownload", () => {
+    test("counts downloads up to the cap and refuses the next", async () => {
+      const link = await createLink({ maxDownloads: 2 })
+
+      await expect(shareLinks.recordDownload(storedLink(link))).resolves.toBe(true)
+      await expect(shareLinks.recordDownload(storedLink(link))).resolves.toBe(true)
+      await expect(shareLinks.recordDownload(storedLink(link))).resolves.toBe(false)
+      expect(storedLink(link).download_count).toBe(2)
+    })
+
+    test("retries against the current count when another download got in first", async () => {
+      const link = await createLink({ maxDownloads: 3 })
+      const stale = { ...link, download_count: 0 }
+      storedLink(link).download_count = 1
+
+      await expect(shareLinks.recordDownload(stale)).resolves.toBe(true)
+      expect(storedLink(link).download_count).toBe(2)
+    })
+
+    test("refuses the last download to a stale reader once a concurrent one took it", async () => {
+      const link = await createLink({ maxDownloads: 1 })
+      const first = { ...link, download_count: 0 }
+      const second = { ...link, download_count: 0 }
+
+      const results = await Promise.all([shareLinks.recordDownload(first), shareLinks.recordDownload(second)])
+
+      expect(results.sort()).toEqual([false, true])
+      expect(storedLink(link).download_count).toBe(1)
+    })
+  })
+
+  test("clears the file's shared flag once its last usable link is revoked", async () => {
+    const link = await createLink()
+    expect(tables.files[0].shared).toBe(true)
+
+    await shareLinks.revoke(link.id, file.user_id, { fileId: file.id })
+
+    expect(storedLink(link).revoked).toBe(true)
+    expect(tables.files[0].shared).toBe(false)
+  })
+})
@@ -0,0 +1,190 @@
+const { Readable } = require("stream")
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3")
+const S3StorageDriver = require("../../utils/storage/s3")
+
+async function readAll(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * In-memory stand-in for S3Client.send covering the commands the driver uses, with a small
+ * page size so listing has to follow continuation tokens
+ */
+class FakeS3 {
+  constructor({ pageSize = 2 } = {}) {
+    this.objects = new Map()
+    this.pageSize = pageSize
+    this.commands = []
+  }
+
+  async send(command) {
+    const input = command.input
+    this.commands.push(command)
+
+    if (command instanceof PutObjectCommand) {
+      const body = Buffer.isBuffer(input.Body) ? input.Body : await readAll(input.Body)
+      this.objects.set(input.Key, { body, contentType: input.ContentType, lastModified: new Date() })
+      return { ETag: '"etag"' }
+    }
+
+    if (command instanceof GetObjectCommand) {
+      const object = this.objects.get(input.Key)
+      if (!object) throw Object.assign(new Error("NoSuchKey"), { name: "NoSuchKey" })
+
+      const range = input.Range?.match(/^bytes=(\d+)-(\d*)$/)
+      const body = range
+        ? object.body.subarray(Number(range[1]), range[2] ? Number(range[2]) + 1 : undefined)
+        : object.body
+      const stream = Readable.from([body])
+      stream.transformToByteArray = async () => new Uint8Array(await readAll(stream))
+      return { Body: stream }
+    }
+
+    if (command instanceof HeadObjectCommand) {
+      if (!this.objects.has(input.Key)) {
+        throw Object.assign(new Error("NotFound"), { name: "NotFound", $metadata: { httpStatusCode: 404 } })
+      }
+      return {}
+    }
+
+    if (command instanceof DeleteObjectsCommand) {
+      for (const { Key } of input.Delete.Objects) this.objects.delete(Key)
+      return { Errors: [] }
+    }
+
+    if (command instanceof ListObjectsV2Command) {
+      const keys = [...this.objects.keys()].filter((key) => key.startsWith(input.Prefix)).sort()
+      const start = input.ContinuationToken ? Number(input.ContinuationToken) : 0
+      const page = keys.slice(start, start + this.pageSize)
+      const next = start + this.pageSize
+
+      return {
+        Contents: page.map((Key) => ({
+          Key,
+          Size: this.objects.get(Key).body.length,
+          LastModified: this.objects.get(Key).lastModified,
+        })),
+        IsTruncated: next < keys.length,
+        NextContinuationToken: next < keys.length ? String(next) : undefined,
+      }
+    }
+
+    throw new Error(`Unexpected command ${command.constructor.name}`)
+  }
+}
+
+/**
+ * A driver configured from env whose client keeps its real configuration but sends to a FakeS3
+ */
+function createDriver(env = {}) {
+  const saved = { ...process.env }
+  Object.assign(process.env, { S3_ACCESS_KEY_ID: "test", S3_SECRET_ACCESS_KEY: "test" }, env)
+
+  try {
+    const driver = new S3StorageDriver()
+    const s3 = new FakeS3()
+    driver.client.send = (command) => s3.send(command)
+    return { driver, s3 }
+  } finally {
+    process.env = saved
+  }
+}
+
+describe("S3 storage driver", () => {
+  let driver
+  let s3
+
+  beforeEach(() => {
+    ;({ driver, s3 } = createDriver({ S3_BUCKET: "vault", S3_PREFIX: "blobs/" }))
+  })
+
+  test("puts a buffer under the prefixed key and gets it back", async () => {
+    await driver.put("user-1/a.bin", Buffer.from("hello"), { contentType: "application/octet-stream" })
+
+    const put = s3.commands.find((command) => command instanceof PutObjectCommand)
+    expect(put.input).toMatchObject({ Bucket: "vault", Key: "blobs/user-1/a.bin", ChecksumAlgorithm: "SHA256" })
+    await expect(driver.get("user-1/a.bin")).resolves.toEqual(Buffer.from("hello"))
+  })
+
+  test("puts a stream", async () => {
+    await driver.put("user-1/b.bin", Readable.from([Buffer.from("streamed "), Buffer.from("body")]))
+
+    await expect(driver.get("user-1/b.bin")).resolves.toEqual(Buffer.from("streamed body"))
+  })
+
+  test("streams whole objects with checksum validation and ranges without", async () => {
+    await driver.put("user-1/c.bin", Buffer.from("0123456789"))
+
+    await expect(readAll(await driver.stream("user-1/c.bin"))).resolves.toEqual(Buffer.from("0123456789"))
+    await expect(readAll(await driver.stream("user-1/c.bin", { start: 2, end: 5 }))).resolves.toEqual(
+      Buffer.from("2345"),
+    )
+
+    const gets = s3.commands.filter((command) => command instanceof GetObjectCommand)
+    expect(gets[0].input).toMatchObject({ ChecksumMode: "ENABLED" })
+    expect(gets[0].input.Range).toBeUndefined()
+    expect(gets[1].input).toMatchObject({ Range: "bytes=2-5" })
+    expect(gets[1].input.ChecksumMode).toBeUndefined()
+  })
+
+  test("reports whether objects exist", async () => {
+    await driver.put("user-1/d.bin", Buffer.from("x"))
+
+    await expect(driver.exists("user-1/d.bin")).resolves.toBe(true)
+    await expect(driver.exists("user-1/missing.bin")).resolves.toBe(false)
+  })
+
+  test("rethrows errors other than not found from exists", async () => {
+    driver.client.send = async () => {
+      throw Object.assign(new Error("Access Denied"), { name: "AccessDenied", $metadata: { httpStatusCode: 403 } })
+    }
+
+    await expect(driver.exists("user-1/d.bin")).rejects.toThrow("Access Denied")
+  })
+
+  test("deletes one key or many, ignoring missing ones", async () => {
+    for (const name of ["e1", "e2", "e3"]) {
+      await driver.put(`user-1/${name}`, Buffer.from(name))
+    }
+
+    await driver.delete("user-1/e1")
+    await driver.delete(["user-1/e2", "user-1/e3", "user-1/missing"])
+
+    expect(s3.objects.size).toBe(0)
+  })
+
+  test("fails a delete that S3 reports errors for", async () => {
+    driver.client.send = async () => ({ Errors: [{ Key: "blobs/user-1/f", Message: "Access Denied" }] })
+
+    await expect(driver.delete("user-1/f")).rejects.toThrow("Failed to delete blobs/user-1/f: Access Denied")
+  })
+
+  test("lists every page under a prefix with the driver prefix stripped", async () => {
+    for (const name of ["user-1/a", "user-1/b", "user-1/c", "user-2/a"]) {
+      await driver.put(name, Buffer.from(name))
+    }
+
+    const objects = await driver.list("user-1/")
+
+    expect(objects.map((object) => object.key)).toEqual(["user-1/a", "user-1/b", "user-1/c"])
+    expect(objects[0]).toMatchObject({ size: 8, updatedAt: expect.any(String) })
+  })
+
+  test("targets a MinIO-style endpoint with path-style addressing", async () => {
+    const { driver: minio } = createDriver({ S3_ENDPOINT: "http://localhost:9000", S3_FORCE_PATH_STYLE: "true" })
+
+    expect(minio.bucket).toBe("secure-files")
+    expect(minio.client.config.forcePathStyle).toBe(true)
+    await expect(minio.client.config.endpoint()).resolves.toMatchObject({ hostname: "localhost", port: 9000 })
+  })
+})
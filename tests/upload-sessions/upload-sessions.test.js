@@ -0,0 +1,97 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const { setupTestEnv } = require("../helpers/env")
+
+jest.mock("@supabase/supabase-js", () => require("../helpers/fake-supabase"))
+
+const storagePath = setupTestEnv()
+
+const { tables, reset } = require("../helpers/fake-supabase")
+const storage = require("../../utils/storage")
+const uploadSessions = require("../../utils/upload-sessions")
+
+const USER_ID = "user-1"
+const content = crypto.randomBytes(3000)
+
+async function collect(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+function createSession() {
+  return uploadSessions.create(USER_ID, {
+    originalName: "report.pdf",
+    mimeType: "application/pdf",
+    size: content.length,
+    fileHash: crypto.createHash("sha256").update(content).digest("hex"),
+  })
+}
+
+describe("upload sessions", () => {
+  beforeEach(() => {
+    reset()
+  })
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true })
+  })
+
+  test("starts at offset 0 with its own envelope data key", async () => {
+    const session = await createSession()
+
+    expect(session).toMatchObject({ user_id: USER_ID, upload_offset: 0, parts: [] })
+    expect(session.encryption_metadata.keyWrapping).toBe("envelope")
+    await expect(uploadSessions.get(session.id, USER_ID)).resolves.toMatchObject({ id: session.id })
+  })
+
+  test("stages chunks encrypted and reassembles them in order", async () => {
+    let session = await createSession()
+    session = await uploadSessions.appendChunk(session, content.subarray(0, 1000))
+    session = await uploadSessions.appendChunk(session, content.subarray(1000))
+
+    expect(session.upload_offset).toBe(content.length)
+    expect(session.parts.map((part) => part.size)).toEqual([1000, 2000])
+
+    const staged = await storage.get(session.parts[0].key)
+    expect(staged.includes(content.subarray(0, 64))).toBe(false)
+
+    await expect(collect(await uploadSessions.openAssembledStream(session))).resolves.toEqual(content)
+  })
+
+  test("refuses a chunk written for an offset another request already moved past", async () => {
+    const session = await createSession()
+    await uploadSessions.appendChunk(session, content.subarray(0, 1000))
+
+    const putChunk = jest.spyOn(storage, "put")
+    await expect(uploadSessions.appendChunk(session, content.subarray(0, 1000))).resolves.toBeNull()
+
+    const [[orphan]] = putChunk.mock.calls
+    putChunk.mockRestore()
+    await expect(storage.exists(orphan)).resolves.toBe(false)
+    expect(tables.upload_sessions[0]).toMatchObject({ upload_offset: 1000 })
+    expect(tables.upload_sessions[0].parts).toHaveLength(1)
+  })
+
+  test("hides sessions of other users and expired ones", async () => {
+    const session = await createSession()
+
+    await expect(uploadSessions.get(session.id, "user-2")).resolves.toBeNull()
+
+    tables.upload_sessions[0].expires_at = new Date(Date.now() - 1000).toISOString()
+    await expect(uploadSessions.get(session.id, USER_ID)).resolves.toBeNull()
+  })
+
+  test("cleans up expired sessions with their staged chunks and keeps active ones", async () => {
+    const expired = await uploadSessions.appendChunk(await createSession(), content.subarray(0, 1000))
+    const active = await createSession()
+    tables.upload_sessions.find((row) => row.id === expired.id).expires_at = new Date(Date.now() - 1000).toISOString()
+
+    await expect(uploadSessions.removeExpired()).resolves.toEqual({ removed: 1, failed: 0 })
+
+    expect(tables.upload_sessions.map((row) => row.id)).toEqual([active.id])
+    await expect(storage.exists(expired.parts[0].key)).resolves.toBe(false)
+  })
+})
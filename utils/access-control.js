@@ -85,7 +85,7 @@ class AccessControl {
       case "location":
         return this.checkLocationRule(rule.config, request)
       case "device":
-        return this.checkDeviceRule(rule.config, request)
+        return this.checkDeviceRule(rule.config, request, rule.user_id)
       default:
         return { allowed: true }
     }
@@ -125,11 +125,12 @@ class AccessControl {
     return { allowed: true }
   }
 
-  async checkDeviceRule(config, request) {
-    // Check if device is authorized
+  async checkDeviceRule(config, request, userId) {
+    // Check if device is authorized for the rule's owner
     const { data: device } = await supabase
       .from("user_devices")
       .select("*")
+      .eq("user_id", userId)
       .eq("device_fingerprint", request.deviceFingerprint)
       .eq("authorized", true)
       .single()
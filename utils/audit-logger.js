@@ -68,7 +68,7 @@ class AuditLogger {
         .select("*")
         .eq("user_id", userId)
         .gte("created_at", startTime.toISOString())
-        .in("action", ["login", "auth_failed", "2fa_failed", "password_change"])
+        .in("action", ["login", "auth_failed", "2fa_failed", "password_change", "integrity_failure"])
         .order("created_at", { ascending: false })
 
       if (error) throw error
@@ -0,0 +1,199 @@
+const { createClient } = require("@supabase/supabase-js")
+const storage = require("./storage")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+// Reference counts are updated with compare-and-set; retries cover concurrent changes to one blob
+const MAX_ATTEMPTS = 5
+
+/**
+ * Reference-counted storage blobs with per-user deduplication.
+ *
+ * Every stored object gets a blobs row counting the files and file_versions rows that point at
+ * it. When a user stores content they already have (same SHA-256 and the same kind of
+ * encryption), the new object is dropped and the existing blob gains a reference instead, so
+ * the new row shares its stored_name and encryption_metadata. Only unencrypted and
+ * envelope-encrypted content is deduplicated: both can be read by any of the owner's rows,
+ * whereas a password-encrypted blob is only readable with the password it was written with.
+ * Objects stored before blobs existed have no row and are owned by their single record.
+ */
+class Blobs {
+  dedupKey(stored) {
+    if (!stored.encrypted) {
+      return `plain:${stored.fileHash}`
+    }
+
+    if (stored.encryptionMetadata?.keyWrapping === "envelope") {
+      return `envelope:${stored.fileHash}`
+    }
+
+    return null
+  }
+
+  /**
+   * Record a newly stored object, or swap it for an identical blob the user already has.
+   * @param {Object} stored - Result of encryptedStorage.store
+   * @returns {Promise<Object>} - stored, pointing at the existing blob when deduplicated
+   */
+  async register(userId, stored) {
+    const dedupKey = this.dedupKey(stored)
+
+    if (dedupKey) {
+      const existing = await this.findByDedupKey(userId, dedupKey)
+
+      if (existing && (await this.addReference(existing))) {
+        await storage.delete(stored.storedName)
+
+        return {
+          ...stored,
+          storedName: existing.stored_name,
+          encryptionMetadata: existing.encryption_metadata,
+          deduplicated: true,
+        }
+      }
+    }
+
+    const { error } = await supabase.from("blobs").insert(this.newBlob(userId, stored, dedupKey))
+
+    if (error) {
+      // An identical upload registered first; keep this object as a blob of its own
+      if (!dedupKey) throw error
+
+      const { error: retryError } = await supabase.from("blobs").insert(this.newBlob(userId, stored, null))
+      if (retryError) throw retryError
+    }
+
+    return { ...stored, deduplicated: false }
+  }
+
+  newBlob(userId, stored, dedupKey) {
+    return {
+      user_id: userId,
+      stored_name: stored.storedName,
+      dedup_key: dedupKey,
+      file_hash: stored.fileHash,
+      size: stored.size,
+      encrypted: stored.encrypted,
+      encryption_metadata: stored.encryptionMetadata,
+      ref_count: 1,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }
+  }
+
+  async findByDedupKey(userId, dedupKey) {
+    const { data: blobs } = await supabase
+      .from("blobs")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("dedup_key", dedupKey)
+      .limit(1)
+
+    return blobs && blobs.length > 0 ? blobs[0] : null
+  }
+
+  async findByStoredName(storedName) {
+    const { data: blobs } = await supabase.from("blobs").select("*").eq("stored_name", storedName).limit(1)
+    return blobs && blobs.length > 0 ? blobs[0] : null
+  }
+
+  /**
+   * Compare-and-set ref_count on a blob row
+   * @returns {Promise<boolean>} - False when the row changed or disappeared since it was read
+   */
+  async setRefCount(blob, refCount) {
+    const { data: updated, error } = await supabase
+      .from("blobs")
+      .update({ ref_count: refCount, updated_at: new Date().toISOString() })
+      .eq("id", blob.id)
+      .eq("ref_count", blob.ref_count)
+      .select("id")
+
+    if (error) throw error
+    return Boolean(updated && updated.length > 0)
+  }
+
+  /**
+   * Add a reference to a blob
+   * @returns {Promise<boolean>} - False if the blob was released in the meantime
+   */
+  async addReference(blob) {
+    let current = blob
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS && current; attempt++) {
+      if (await this.setRefCount(current, current.ref_count + 1)) {
+        return true
+      }
+
+      current = await this.findByStoredName(blob.stored_name)
+    }
+
+    return false
+  }
+
+  /**
+   * Drop one reference to each stored object, deleting objects nothing points at any more
+   * @param {string|string[]} storedNames
+   */
+  async release(storedNames) {
+    for (const storedName of [].concat(storedNames)) {
+      await this.releaseOne(storedName)
+    }
+  }
+
+  async releaseOne(storedName) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const blob = await this.findByStoredName(storedName)
+
+      if (!blob) {
+        await storage.delete(storedName)
+        return
+      }
+
+      if (blob.ref_count > 1) {
+        if (await this.setRefCount(blob, blob.ref_count - 1)) return
+        continue
+      }
+
+      // Last reference: the row only goes if nobody added a reference since it was read
+      const { data: deleted, error } = await supabase
+        .from("blobs")
+        .delete()
+        .eq("id", blob.id)
+        .eq("ref_count", blob.ref_count)
+        .select("id")
+
+      if (error) throw error
+
+      if (deleted && deleted.length > 0) {
+        await storage.delete(storedName)
+        return
+      }
+    }
+
+    throw new Error(`Could not release blob ${storedName}, it is changing too often`)
+  }
+
+  /**
+   * Space the user saves through deduplication, counted in plaintext bytes
+   */
+  async getSavings(userId) {
+    const { data: blobs, error } = await supabase
+      .from("blobs")
+      .select("size, ref_count")
+      .eq("user_id", userId)
+      .gt("ref_count", 1)
+
+    if (error) throw error
+
+    return (blobs || []).reduce(
+      (savings, blob) => ({
+        bytesSaved: savings.bytesSaved + (blob.size || 0) * (blob.ref_count - 1),
+        duplicateReferences: savings.duplicateReferences + blob.ref_count - 1,
+      }),
+      { bytesSaved: 0, duplicateReferences: 0 },
+    )
+  }
+}
+
+module.exports = new Blobs()
@@ -1,5 +1,9 @@
 const crypto = require("crypto")
 const fs = require("fs").promises
+const { Transform } = require("stream")
+const { promisify } = require("util")
+
+const pbkdf2 = promisify(crypto.pbkdf2)
 
 const ALGORITHM = "aes-256-gcm"
 const IV_LENGTH = 16
@@ -8,43 +12,82 @@ const KEY_LENGTH = 32
 const SALT_LENGTH = 64
 const ITERATIONS = 100000
 
+// Headerless blobs written before the format header existed: salt | iv | tag | data
+const LEGACY_AAD = Buffer.from("secure-vault-file")
+
+// Ciphertext format:
+//   header  = magic "SVLT" | version u8 | cipher id u8 | kdf id u8 | salt length u8
+//             | kdf iterations u32 | segment size u32 | nonce prefix (7) | salt
+//   segment = ciphertext (segment size, shorter for the last one) | tag
+// Each segment nonce is nonce prefix | segment index u32 | final flag u8 and the whole
+// header is the AAD, so segments cannot be reordered, truncated or moved between files.
+const FORMAT_NAME = "svlt-chunked"
+const FORMAT_MAGIC = Buffer.from("SVLT")
+const FORMAT_VERSION = 1
+const SEGMENT_SIZE = 64 * 1024
+const HEADER_SALT_LENGTH = 32
+const NONCE_PREFIX_LENGTH = 7
+const FIXED_HEADER_LENGTH = 16 + NONCE_PREFIX_LENGTH
+const MAX_HEADER_LENGTH = FIXED_HEADER_LENGTH + 255
+
+// Ciphers and KDFs are looked up by the id stored in the header. Changing either means
+// registering a new id and pointing the default at it; existing files keep their own.
+const CIPHERS = {
+  1: { name: "aes-256-gcm", keyLength: KEY_LENGTH, tagLength: TAG_LENGTH },
+}
+
+const KDFS = {
+  // Envelope-encrypted files carry a random data key, so there is nothing to derive
+  0: {
+    name: "none",
+    deriveKey: (secret, header) => {
+      if (!Buffer.isBuffer(secret) || secret.length !== header.cipher.keyLength) {
+        throw new Error("A raw data key is required for this file")
+      }
+      return secret
+    },
+  },
+  1: {
+    name: "pbkdf2-sha512",
+    deriveKey: (password, header) => pbkdf2(password, header.salt, header.iterations, header.cipher.keyLength, "sha512"),
+  },
+}
+
+const DEFAULT_CIPHER_ID = 1
+const DEFAULT_KDF_ID = 1
+const RAW_KEY_KDF_ID = 0
+
+// Header layouts by format version
+const HEADER_PARSERS = {
+  1: parseHeaderV1,
+}
+
 /**
  * Encrypt a file buffer with AES-256-GCM
  * @param {Buffer} fileBuffer - The file data to encrypt
- * @param {string} password - User password for key derivation
+ * @param {string|Buffer} password - User password for key derivation, or a raw 32-byte data key
  * @param {Buffer} salt - Random salt for key derivation
  * @returns {Object} - Encrypted data with metadata
  */
 async function encryptFileBuffer(fileBuffer, password, salt = null) {
   try {
-    // Generate salt if not provided
-    const fileSalt = salt || crypto.randomBytes(SALT_LENGTH)
-    
-    // Derive encryption key from password and salt
-    const key = crypto.pbkdf2Sync(password, fileSalt, ITERATIONS, KEY_LENGTH, 'sha512')
-    
-    // Generate random IV
-    const iv = crypto.randomBytes(IV_LENGTH)
-    
-    // Create cipher using createCipheriv (newer API)
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
-    cipher.setAAD(Buffer.from("secure-vault-file"))
-    
-    // Encrypt the file
-    let encrypted = cipher.update(fileBuffer)
-    encrypted = Buffer.concat([encrypted, cipher.final()])
-    
-    // Get authentication tag
-    const tag = cipher.getAuthTag()
-    
-    // Combine all components: salt + iv + tag + encrypted data
-    const result = Buffer.concat([fileSalt, iv, tag, encrypted])
-    
+    const { key, header, metadata } = await prepareEncryption(password, { salt })
+
+    const segments = [header.bytes]
+    let offset = 0
+    let index = 0
+
+    // Same segment layout as createEncryptStream, so either side can read the other's output
+    while (fileBuffer.length - offset > header.chunkSize) {
+      segments.push(encryptSegment(key, header, index++, false, fileBuffer.subarray(offset, offset + header.chunkSize)))
+      offset += header.chunkSize
+    }
+    segments.push(encryptSegment(key, header, index, true, fileBuffer.subarray(offset)))
+
     return {
-      encryptedData: result,
-      salt: fileSalt.toString('hex'),
-      iv: iv.toString('hex'),
-      tag: tag.toString('hex')
+      encryptedData: Buffer.concat(segments),
+      salt: metadata.salt,
+      encryptionMetadata: metadata,
     }
   } catch (error) {
     console.error("Encryption error:", error)
@@ -53,38 +96,402 @@ async function encryptFileBuffer(fileBuffer, password, salt = null) {
 }
 
 /**
- * Decrypt a file buffer with AES-256-GCM
+ * Decrypt a file buffer, reading the cipher and key derivation from its header
  * @param {Buffer} encryptedBuffer - The encrypted file data
- * @param {string} password - User password for key derivation
+ * @param {string|Buffer} password - User password for key derivation, or a raw 32-byte data key
  * @returns {Buffer} - Decrypted file data
  */
 async function decryptFileBuffer(encryptedBuffer, password) {
   try {
-    // Extract components from encrypted buffer
-    const salt = encryptedBuffer.slice(0, SALT_LENGTH)
-    const iv = encryptedBuffer.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH)
-    const tag = encryptedBuffer.slice(SALT_LENGTH + IV_LENGTH, SALT_LENGTH + IV_LENGTH + TAG_LENGTH)
-    const encrypted = encryptedBuffer.slice(SALT_LENGTH + IV_LENGTH + TAG_LENGTH)
-    
-    // Derive decryption key from password and salt
-    const key = crypto.pbkdf2Sync(password, salt, ITERATIONS, KEY_LENGTH, 'sha512')
-    
-    // Create decipher using createDecipheriv (newer API)
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv)
-    decipher.setAAD(Buffer.from("secure-vault-file"))
-    decipher.setAuthTag(tag)
-    
-    // Decrypt the file
-    let decrypted = decipher.update(encrypted)
-    decrypted = Buffer.concat([decrypted, decipher.final()])
-    
-    return decrypted
+    if (!hasFormatHeader(encryptedBuffer)) {
+      return decryptLegacyBuffer(encryptedBuffer, password)
+    }
+
+    const header = parseHeader(encryptedBuffer)
+    if (!header) {
+      throw new Error("Encrypted data is truncated")
+    }
+
+    const key = await header.kdf.deriveKey(password, header)
+    const segmentLength = header.chunkSize + header.cipher.tagLength
+    const segments = []
+    let offset = header.length
+    let index = 0
+
+    while (encryptedBuffer.length - offset > segmentLength) {
+      segments.push(decryptSegment(key, header, index++, false, encryptedBuffer.subarray(offset, offset + segmentLength)))
+      offset += segmentLength
+    }
+
+    if (encryptedBuffer.length - offset < header.cipher.tagLength) {
+      throw new Error("Encrypted data is truncated")
+    }
+
+    segments.push(decryptSegment(key, header, index, true, encryptedBuffer.subarray(offset)))
+    return Buffer.concat(segments)
   } catch (error) {
     console.error("Decryption error:", error)
     throw new Error(`Decryption failed: ${error.message}`)
   }
 }
 
+/**
+ * Decrypt a headerless blob from before the format header existed
+ */
+function decryptLegacyBuffer(encryptedBuffer, password) {
+  // Extract components from encrypted buffer
+  const salt = encryptedBuffer.slice(0, SALT_LENGTH)
+  const iv = encryptedBuffer.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH)
+  const tag = encryptedBuffer.slice(SALT_LENGTH + IV_LENGTH, SALT_LENGTH + IV_LENGTH + TAG_LENGTH)
+  const encrypted = encryptedBuffer.slice(SALT_LENGTH + IV_LENGTH + TAG_LENGTH)
+
+  // Derive decryption key from password and salt
+  const key = crypto.pbkdf2Sync(password, salt, ITERATIONS, KEY_LENGTH, 'sha512')
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv)
+  decipher.setAAD(LEGACY_AAD)
+  decipher.setAuthTag(tag)
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()])
+}
+
+/**
+ * Check whether encrypted data starts with the format magic bytes
+ * @param {Buffer} buffer - Encrypted data (or its first bytes)
+ * @returns {boolean} - False for legacy headerless blobs
+ */
+function hasFormatHeader(buffer) {
+  return buffer.length >= FORMAT_MAGIC.length && buffer.subarray(0, FORMAT_MAGIC.length).equals(FORMAT_MAGIC)
+}
+
+function buildHeader({ cipherId, kdfId, salt, iterations, chunkSize, noncePrefix }) {
+  const header = Buffer.alloc(FIXED_HEADER_LENGTH + salt.length)
+  FORMAT_MAGIC.copy(header, 0)
+  header.writeUInt8(FORMAT_VERSION, 4)
+  header.writeUInt8(cipherId, 5)
+  header.writeUInt8(kdfId, 6)
+  header.writeUInt8(salt.length, 7)
+  header.writeUInt32BE(iterations, 8)
+  header.writeUInt32BE(chunkSize, 12)
+  noncePrefix.copy(header, 16)
+  salt.copy(header, FIXED_HEADER_LENGTH)
+  return header
+}
+
+/**
+ * Parse a format header, dispatching on its version
+ * @param {Buffer} buffer - Data starting at the header
+ * @returns {Object|null} - Header fields, or null if more bytes are needed
+ */
+function parseHeader(buffer) {
+  if (buffer.length < FORMAT_MAGIC.length + 1) {
+    return null
+  }
+
+  if (!hasFormatHeader(buffer)) {
+    throw new Error("Encrypted data has no format header")
+  }
+
+  const version = buffer.readUInt8(4)
+  const parser = HEADER_PARSERS[version]
+  if (!parser) {
+    throw new Error(`Unsupported encryption format version ${version}`)
+  }
+
+  return parser(buffer)
+}
+
+function parseHeaderV1(buffer) {
+  if (buffer.length < FIXED_HEADER_LENGTH) {
+    return null
+  }
+
+  const cipherId = buffer.readUInt8(5)
+  const kdfId = buffer.readUInt8(6)
+  const cipher = CIPHERS[cipherId]
+  const kdf = KDFS[kdfId]
+
+  if (!cipher) {
+    throw new Error(`Unsupported cipher id ${cipherId}`)
+  }
+
+  if (!kdf) {
+    throw new Error(`Unsupported key derivation id ${kdfId}`)
+  }
+
+  const length = FIXED_HEADER_LENGTH + buffer.readUInt8(7)
+  if (buffer.length < length) {
+    return null
+  }
+
+  return {
+    length,
+    bytes: buffer.subarray(0, length),
+    version: 1,
+    cipherId,
+    kdfId,
+    cipher,
+    kdf,
+    iterations: buffer.readUInt32BE(8),
+    chunkSize: buffer.readUInt32BE(12),
+    noncePrefix: buffer.subarray(16, FIXED_HEADER_LENGTH),
+    salt: buffer.subarray(FIXED_HEADER_LENGTH, length),
+  }
+}
+
+/**
+ * Derive a key and build the header for a new ciphertext using the current defaults.
+ * A Buffer secret is used as the key directly and recorded as such in the header.
+ */
+async function prepareEncryption(password, { salt = null, chunkSize = SEGMENT_SIZE } = {}) {
+  const rawKey = Buffer.isBuffer(password)
+  const header = parseHeader(
+    buildHeader({
+      cipherId: DEFAULT_CIPHER_ID,
+      kdfId: rawKey ? RAW_KEY_KDF_ID : DEFAULT_KDF_ID,
+      salt: rawKey ? Buffer.alloc(0) : salt || crypto.randomBytes(HEADER_SALT_LENGTH),
+      iterations: rawKey ? 0 : ITERATIONS,
+      chunkSize,
+      noncePrefix: crypto.randomBytes(NONCE_PREFIX_LENGTH),
+    }),
+  )
+  const key = await header.kdf.deriveKey(password, header)
+
+  return { key, header, metadata: describeHeader(header) }
+}
+
+/**
+ * Summarise a parsed header for storing alongside the file record
+ */
+function describeHeader(header) {
+  const metadata = {
+    algorithm: header.cipher.name,
+    format: FORMAT_NAME,
+    formatVersion: header.version,
+    chunkSize: header.chunkSize,
+    kdf: header.kdf.name,
+  }
+
+  if (header.kdfId !== RAW_KEY_KDF_ID) {
+    metadata.iterations = header.iterations
+    metadata.salt = header.salt.toString("hex")
+  }
+
+  return metadata
+}
+
+function segmentNonce(noncePrefix, index, final) {
+  if (index > 0xffffffff) {
+    throw new Error("Stream exceeds the maximum number of segments")
+  }
+
+  const nonce = Buffer.alloc(NONCE_PREFIX_LENGTH + 5)
+  noncePrefix.copy(nonce, 0)
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH)
+  nonce.writeUInt8(final ? 1 : 0, NONCE_PREFIX_LENGTH + 4)
+  return nonce
+}
+
+function encryptSegment(key, header, index, final, plaintext) {
+  const cipher = crypto.createCipheriv(header.cipher.name, key, segmentNonce(header.noncePrefix, index, final))
+  cipher.setAAD(header.bytes)
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()])
+}
+
+function decryptSegment(key, header, index, final, segment) {
+  const tagStart = segment.length - header.cipher.tagLength
+  const decipher = crypto.createDecipheriv(header.cipher.name, key, segmentNonce(header.noncePrefix, index, final))
+  decipher.setAAD(header.bytes)
+  decipher.setAuthTag(segment.subarray(tagStart))
+  return Buffer.concat([decipher.update(segment.subarray(0, tagStart)), decipher.final()])
+}
+
+/**
+ * Create a transform stream that encrypts plaintext segment by segment
+ * @param {string|Buffer} password - User password for key derivation, or a raw 32-byte data key
+ * @param {Object} options - Optional chunkSize override
+ * @returns {Promise<Transform>} - Stream with an encryptionMetadata property
+ */
+async function createEncryptStream(password, { chunkSize = SEGMENT_SIZE } = {}) {
+  const { key, header, metadata } = await prepareEncryption(password, { chunkSize })
+
+  let pending = Buffer.alloc(0)
+  let index = 0
+  let headerWritten = false
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        if (!headerWritten) {
+          this.push(header.bytes)
+          headerWritten = true
+        }
+
+        // Hold back at least one byte so the last segment can be flagged as final
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk
+        while (pending.length > chunkSize) {
+          this.push(encryptSegment(key, header, index++, false, pending.subarray(0, chunkSize)))
+          pending = pending.subarray(chunkSize)
+        }
+
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    },
+    flush(callback) {
+      try {
+        if (!headerWritten) {
+          this.push(header.bytes)
+        }
+
+        this.push(encryptSegment(key, header, index, true, pending))
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    },
+  })
+
+  stream.encryptionMetadata = metadata
+
+  return stream
+}
+
+/**
+ * Create a transform stream that decrypts encrypted data.
+ * Headered data is authenticated segment by segment before its plaintext is released;
+ * legacy headerless blobs have a single tag, so they are buffered and released at the end.
+ * @param {string|Buffer} password - User password for key derivation, or a raw 32-byte data key
+ * @returns {Transform} - Decrypting stream
+ */
+function createDecryptStream(password) {
+  let legacy = null
+  let header = null
+  let key = null
+  let pending = Buffer.alloc(0)
+  let index = 0
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk
+
+      const run = async () => {
+        if (legacy === null) {
+          if (pending.length < FORMAT_MAGIC.length) return
+          legacy = !hasFormatHeader(pending)
+        }
+
+        if (legacy) return
+
+        if (!header) {
+          header = parseHeader(pending)
+          if (!header) return
+
+          key = await header.kdf.deriveKey(password, header)
+          pending = pending.subarray(header.length)
+        }
+
+        // A full segment is only known not to be the last once more bytes follow it
+        const segmentLength = header.chunkSize + header.cipher.tagLength
+        while (pending.length > segmentLength) {
+          this.push(decryptSegment(key, header, index++, false, pending.subarray(0, segmentLength)))
+          pending = pending.subarray(segmentLength)
+        }
+      }
+
+      run().then(() => callback(), callback)
+    },
+    flush(callback) {
+      try {
+        if (legacy !== false) {
+          this.push(decryptLegacyBuffer(pending, password))
+          return callback()
+        }
+
+        if (!header || pending.length < header.cipher.tagLength) {
+          throw new Error("Encrypted data is truncated")
+        }
+
+        this.push(decryptSegment(key, header, index, true, pending))
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    },
+  })
+}
+
+/**
+ * Prepare decryption of plaintext bytes start..end (inclusive) of a headered ciphertext
+ * without reading the segments before them. Segments have a fixed size, so the plaintext
+ * size is enough to find the ones covering the range and which of them is final.
+ * @param {string|Buffer} password - User password for key derivation, or a raw 32-byte data key
+ * @param {Buffer} headerBuffer - The start of the ciphertext, holding at least the whole header
+ * @param {number} plaintextSize - Size of the complete plaintext
+ * @returns {Object} - { cipherStart, cipherEnd } inclusive offsets of the ciphertext to read,
+ *   and a stream that turns exactly those bytes into the requested plaintext
+ */
+function createRangeDecryptStream(password, headerBuffer, plaintextSize, start, end) {
+  const header = parseHeader(headerBuffer)
+  if (!header) {
+    throw new Error("Encrypted data is truncated")
+  }
+
+  if (start < 0 || end < start || end >= plaintextSize) {
+    throw new Error("Range is outside the plaintext")
+  }
+
+  const { chunkSize } = header
+  const tagLength = header.cipher.tagLength
+  const finalIndex = Math.ceil(plaintextSize / chunkSize) - 1
+  const firstIndex = Math.floor(start / chunkSize)
+  const lastIndex = Math.floor(end / chunkSize)
+  const segmentLength = (index) =>
+    (index === finalIndex ? plaintextSize - finalIndex * chunkSize : chunkSize) + tagLength
+
+  let key = null
+  let pending = Buffer.alloc(0)
+  let index = firstIndex
+  let skip = start - firstIndex * chunkSize
+  let remaining = end - start + 1
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk
+
+      const run = async () => {
+        if (!key) {
+          key = await header.kdf.deriveKey(password, header)
+        }
+
+        while (index <= lastIndex && pending.length >= segmentLength(index)) {
+          const length = segmentLength(index)
+          const plaintext = decryptSegment(key, header, index, index === finalIndex, pending.subarray(0, length))
+          pending = pending.subarray(length)
+          index++
+
+          const released = plaintext.subarray(skip, skip + remaining)
+          skip = 0
+          remaining -= released.length
+          this.push(released)
+        }
+      }
+
+      run().then(() => callback(), callback)
+    },
+    flush(callback) {
+      callback(index <= lastIndex ? new Error("Encrypted data is truncated") : null)
+    },
+  })
+
+  return {
+    cipherStart: header.length + firstIndex * (chunkSize + tagLength),
+    cipherEnd: header.length + lastIndex * (chunkSize + tagLength) + segmentLength(lastIndex) - 1,
+    stream,
+  }
+}
+
 /**
  * Encrypt a file from disk
  * @param {string} inputPath - Path to input file
@@ -102,8 +509,7 @@ async function encryptFile(inputPath, outputPath, password) {
     return {
       success: true,
       salt: result.salt,
-      iv: result.iv,
-      tag: result.tag,
+      encryptionMetadata: result.encryptionMetadata,
       originalSize: fileBuffer.length,
       encryptedSize: result.encryptedData.length
     }
@@ -203,6 +609,10 @@ function generateSecureToken(length = 32) {
 module.exports = {
   encryptFileBuffer,
   decryptFileBuffer,
+  createEncryptStream,
+  createDecryptStream,
+  createRangeDecryptStream,
+  hasFormatHeader,
   encryptFile,
   decryptFile,
   generateEncryptionKey,
@@ -216,5 +626,9 @@ module.exports = {
   TAG_LENGTH,
   KEY_LENGTH,
   SALT_LENGTH,
-  ITERATIONS
+  ITERATIONS,
+  FORMAT_NAME,
+  FORMAT_VERSION,
+  SEGMENT_SIZE,
+  MAX_HEADER_LENGTH
 }
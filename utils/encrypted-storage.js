@@ -0,0 +1,444 @@
+const crypto = require("crypto")
+const path = require("path")
+const { PassThrough, Transform, Writable, pipeline } = require("stream")
+const { pipeline: pipelineAsync } = require("stream/promises")
+const {
+  createEncryptStream,
+  createDecryptStream,
+  createRangeDecryptStream,
+  hasFormatHeader,
+  generateSecureToken,
+  MAX_HEADER_LENGTH,
+} = require("./crypto")
+const keyManager = require("./key-manager")
+const blobs = require("./blobs")
+const fileValidator = require("./file-validator")
+const scanner = require("./scanners")
+const storage = require("./storage")
+
+/**
+ * Wait until a stream has produced its first bytes (or ended) so that errors such as
+ * a wrong password surface before any response headers are sent
+ */
+function waitForFirstChunk(stream) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.removeListener("readable", onReadable)
+      stream.removeListener("error", onError)
+    }
+    const onReadable = () => {
+      cleanup()
+      resolve(stream)
+    }
+    const onError = (error) => {
+      cleanup()
+      reject(error)
+    }
+
+    stream.once("readable", onReadable)
+    stream.once("error", onError)
+  })
+}
+
+/**
+ * Pass through only bytes start..end (inclusive) of a stream
+ */
+function sliceStream(start, end) {
+  let position = 0
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const from = Math.max(start - position, 0)
+      const to = Math.min(end + 1 - position, chunk.length)
+      position += chunk.length
+
+      callback(null, from < to ? chunk.subarray(from, to) : undefined)
+    },
+  })
+}
+
+/**
+ * Pass-through stage feeding the plaintext that streams by to the malware scanner.
+ * verdict() resolves once the stream has ended to { status, threats, scanner, error, scannedAt }:
+ * "clean", "infected", or "pending" when the scanner failed, so a scanner outage holds the file
+ * for a later scan instead of failing the upload. Without a scanner it resolves to "skipped".
+ */
+function createScanStage() {
+  const result = (status, fields = {}) => ({
+    status,
+    threats: [],
+    scanner: scanner?.name || null,
+    scannedAt: new Date().toISOString(),
+    ...fields,
+  })
+
+  if (!scanner) {
+    const stage = new PassThrough()
+    stage.verdict = async () => result("skipped")
+    stage.abort = () => {}
+    return stage
+  }
+
+  let session = null
+  let failure = null
+  const opening = scanner.createSession().then(
+    (opened) => (session = opened),
+    (error) => (failure = error),
+  )
+
+  const stage = new Transform({
+    transform(chunk, encoding, callback) {
+      opening
+        .then(() => (failure ? null : session.write(chunk)))
+        .catch((error) => {
+          failure = error
+          session.abort()
+        })
+        .then(() => callback(null, chunk))
+    },
+  })
+
+  stage.verdict = async () => {
+    await opening
+    if (failure) {
+      session?.abort()
+      return result("pending", { error: failure.message })
+    }
+
+    try {
+      const { clean, threats } = await session.finish()
+      return clean ? result("clean") : result("infected", { threats })
+    } catch (error) {
+      return result("pending", { error: error.message })
+    }
+  }
+
+  stage.abort = () => opening.then(() => session?.abort())
+
+  return stage
+}
+
+async function readAll(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+class EncryptedStorage {
+  /**
+   * Drop a record's reference to each stored object; objects are deleted with their last reference
+   */
+  async remove(storedNames) {
+    await blobs.release(storedNames)
+  }
+
+  /**
+   * Hash, optionally encrypt, and upload a plaintext stream under a new stored name.
+   * Without a password the file gets a fresh data key wrapped with the owner's user key.
+   * A source longer than maxSize fails with a LIMIT_FILE_SIZE error. With checkContent the
+   * content must match mimeType and the upload policy (see FileValidator), else it fails
+   * with an INVALID_FILE error. With scan the plaintext is also fed to the malware scanner:
+   * infected content is deleted again and fails with an INFECTED_FILE error listing the threats.
+   * With keepPlaintext (a byte limit) content no larger than the limit is also returned as plaintext.
+   * If the user already has identical content the new object is dropped in favour of the
+   * existing blob, so storedName and encryptionMetadata may point at that blob instead.
+   * The result holds one blob reference, to be released with remove() if it isn't kept.
+   * @returns {Promise<Object>} - storedName, size, fileHash, encrypted, encryptionMetadata, deduplicated,
+   *   detectedType when the content was checked, scan (see createScanStage) when it was scanned,
+   *   and plaintext (a Buffer, or null when over the limit) when kept
+   */
+  async store(
+    source,
+    {
+      userId,
+      originalName,
+      mimeType,
+      encrypt,
+      password,
+      maxSize = null,
+      checkContent = false,
+      scan = false,
+      keepPlaintext = 0,
+    },
+  ) {
+    const storedName = `${userId}/${generateSecureToken()}${path.extname(originalName || "")}`
+    const hash = crypto.createHash("sha256")
+    let size = 0
+    let kept = keepPlaintext > 0 ? [] : null
+
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk)
+        size += chunk.length
+
+        if (kept && size > keepPlaintext) {
+          kept = null
+        }
+        kept?.push(chunk)
+
+        if (maxSize !== null && size > maxSize) {
+          return callback(Object.assign(new Error("File too large"), { code: "LIMIT_FILE_SIZE" }))
+        }
+
+        callback(null, chunk)
+      },
+    })
+
+    const stages = [source, meter]
+    let encryptionMetadata = null
+
+    const contentCheck = checkContent
+      ? fileValidator.createContentCheck({ originalname: originalName, mimetype: mimeType })
+      : null
+    if (contentCheck) {
+      stages.push(contentCheck)
+    }
+
+    const scanStage = scan ? createScanStage() : null
+    if (scanStage) {
+      stages.push(scanStage)
+    }
+
+    if (encrypt) {
+      const envelope = password ? null : await keyManager.createDataKey(userId)
+      const encryptor = await createEncryptStream(envelope ? envelope.dataKey : password)
+      encryptionMetadata = { ...encryptor.encryptionMetadata, ...envelope?.metadata }
+      stages.push(encryptor)
+    }
+
+    let pipelineError = null
+    const body = pipeline(...stages, (error) => {
+      if (error) pipelineError = error
+    })
+
+    try {
+      await storage.put(storedName, body, { contentType: mimeType })
+    } catch (error) {
+      body.destroy()
+      scanStage?.abort()
+      throw pipelineError || error
+    }
+
+    // A source that failed after the upload accepted its bytes leaves a partial object behind
+    if (pipelineError) {
+      scanStage?.abort()
+      await storage.delete(storedName).catch(() => {})
+      throw pipelineError
+    }
+
+    const scanResult = scanStage ? await scanStage.verdict() : null
+    if (scanResult?.status === "infected") {
+      await storage.delete(storedName).catch(() => {})
+      throw Object.assign(new Error(`Malware detected: ${scanResult.threats.join(", ")}`), {
+        code: "INFECTED_FILE",
+        threats: scanResult.threats,
+        filename: originalName,
+      })
+    }
+
+    try {
+      return await blobs.register(userId, {
+        storedName,
+        size,
+        fileHash: hash.digest("hex"),
+        encrypted: Boolean(encrypt),
+        encryptionMetadata,
+        ...(contentCheck && { detectedType: contentCheck.detectedType }),
+        ...(scanResult && { scan: scanResult }),
+        ...(keepPlaintext > 0 && { plaintext: kept && Buffer.concat(kept) }),
+      })
+    } catch (error) {
+      await storage.delete(storedName).catch(() => {})
+      throw error
+    }
+  }
+
+  /**
+   * Open the plaintext of a stored file or version record as a stream.
+   * Rejects before any data is produced if decryption fails on the first segment.
+   * The ciphertext header decides how to decrypt, so legacy blobs need no special casing here.
+   * The password is only used for files encrypted with one; envelope-encrypted files ignore it.
+   */
+  async openPlaintextStream(record, password) {
+    const secret = keyManager.isEnvelopeEncrypted(record) ? await keyManager.getDataKey(record) : password
+
+    const stored = await storage.stream(record.stored_name)
+    if (!record.encrypted) {
+      return stored
+    }
+
+    const plaintext = pipeline(stored, createDecryptStream(secret), () => {})
+    return waitForFirstChunk(plaintext)
+  }
+
+  /**
+   * Open plaintext bytes start..end (inclusive) of a stored file or version record.
+   * Headered ciphertext is read from the first segment covering the range; legacy blobs
+   * have a single tag, so they are decrypted in full and sliced.
+   */
+  async openPlaintextRange(record, password, start, end) {
+    if (!record.encrypted) {
+      return storage.stream(record.stored_name, { start, end })
+    }
+
+    const secret = keyManager.isEnvelopeEncrypted(record) ? await keyManager.getDataKey(record) : password
+    const head = await readAll(await storage.stream(record.stored_name, { start: 0, end: MAX_HEADER_LENGTH - 1 }))
+
+    if (!hasFormatHeader(head)) {
+      const plaintext = pipeline(await storage.stream(record.stored_name), createDecryptStream(secret), () => {})
+      return waitForFirstChunk(pipeline(plaintext, sliceStream(start, end), () => {}))
+    }
+
+    const { cipherStart, cipherEnd, stream } = createRangeDecryptStream(secret, head, record.size, start, end)
+    const stored = await storage.stream(record.stored_name, { start: cipherStart, end: cipherEnd })
+    return waitForFirstChunk(pipeline(stored, stream, () => {}))
+  }
+
+  /**
+   * Run the plaintext of a stored file or version record through the malware scanner
+   * @returns {Promise<Object>} - Scan result as produced for uploads, see createScanStage
+   */
+  async scan(record, password) {
+    const stage = createScanStage()
+    const plaintext = await this.openPlaintextStream(record, password)
+
+    try {
+      await pipelineAsync(plaintext, stage, new Writable({ write: (chunk, encoding, callback) => callback() }))
+    } catch (error) {
+      stage.abort()
+      throw error
+    }
+
+    return stage.verdict()
+  }
+
+  /**
+   * Read a stored file or version record in full, authenticating every ciphertext segment, and
+   * compare the plaintext with the record's file_hash and size.
+   * A password-encrypted record that fails before any plaintext comes out can't be told apart
+   * from a wrong password, so that fails with a DECRYPTION_FAILED error instead of a verdict.
+   * Errors reading from storage are thrown as well; they say nothing about the object itself.
+   * @returns {Promise<Object>} - { status: "ok", "corrupt" or "missing", error, checkedAt }
+   */
+  async verify(record, password) {
+    const result = (status, error = null) => ({ status, error, checkedAt: new Date().toISOString() })
+
+    let stored
+    try {
+      stored = await storage.stream(record.stored_name)
+    } catch (error) {
+      if (await storage.exists(record.stored_name)) throw error
+      return result("missing", "Stored object not found")
+    }
+
+    const hash = crypto.createHash("sha256")
+    let size = 0
+    let readError = null
+    let decryptError = null
+
+    stored.once("error", (error) => (readError = error))
+    const stages = [stored]
+
+    if (record.encrypted) {
+      const secret = keyManager.isEnvelopeEncrypted(record) ? await keyManager.getDataKey(record) : password
+      const decryptor = createDecryptStream(secret)
+      decryptor.once("error", (error) => (decryptError = error))
+      stages.push(decryptor)
+    }
+
+    const hasher = new Writable({
+      write(chunk, encoding, callback) {
+        hash.update(chunk)
+        size += chunk.length
+        callback()
+      },
+    })
+
+    try {
+      await pipelineAsync(...stages, hasher)
+    } catch (error) {
+      if (readError || !decryptError) throw error
+
+      if (!keyManager.isEnvelopeEncrypted(record) && size === 0) {
+        throw Object.assign(new Error("File could not be decrypted with this password"), { code: "DECRYPTION_FAILED" })
+      }
+
+      return result("corrupt", `Decryption failed: ${decryptError.message}`)
+    }
+
+    if (record.size !== null && record.size !== undefined && size !== Number(record.size)) {
+      return result("corrupt", `Plaintext is ${size} bytes, expected ${record.size}`)
+    }
+
+    if (record.file_hash && hash.digest("hex") !== record.file_hash) {
+      return result("corrupt", "Plaintext hash does not match file_hash")
+    }
+
+    return result("ok")
+  }
+
+  /**
+   * Multer storage engine that streams each upload through the cipher straight into storage,
+   * so no plaintext copy touches the local disk.
+   * Multer only sees body fields that precede the file part, so clients must send
+   * options/encryptionPassword before the file.
+   * With collectErrors a failed file is drained and reported as file.error instead of
+   * aborting the whole request, so the remaining files of a batch still upload.
+   * Uploads always have their content checked against the declared type and are scanned for malware.
+   * @param {Function} getSettings - (req, file) => ({ encrypt, password, maxSize, keepPlaintext }),
+   *   may throw to reject the file
+   */
+  multerStorage(getSettings, { collectErrors = false } = {}) {
+    const encryptedStorage = this
+
+    return {
+      _handleFile(req, file, cb) {
+        // Errors destroy the stored pipeline; keep multer's own stream out of it so the request survives
+        const source = file.stream.pipe(new PassThrough())
+
+        // Read settings now, before busboy parses any fields that follow this file part
+        let settings = null
+        let settingsError = null
+        try {
+          settings = getSettings(req, file)
+        } catch (error) {
+          settingsError = error
+        }
+
+        Promise.resolve()
+          .then(() => {
+            if (settingsError) throw settingsError
+            return encryptedStorage
+              .store(source, {
+                userId: req.user.id,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                encrypt: settings.encrypt,
+                password: settings.password,
+                maxSize: settings.maxSize,
+                keepPlaintext: settings.keepPlaintext || 0,
+                checkContent: true,
+                scan: true,
+              })
+              .then((stored) => ({ ...stored, customPassword: Boolean(settings.customPassword) }))
+          })
+          .catch((error) => {
+            file.stream.unpipe(source)
+            file.stream.resume()
+
+            if (!collectErrors) throw error
+            return { error }
+          })
+          .then((stored) => cb(null, stored), cb)
+      },
+      _removeFile(req, file, cb) {
+        if (!file.storedName) return cb(null)
+        encryptedStorage.remove(file.storedName).then(() => cb(null), cb)
+      },
+    }
+  }
+}
+
+module.exports = new EncryptedStorage()
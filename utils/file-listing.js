@@ -0,0 +1,234 @@
+const fileTags = require("./file-tags")
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+// Sort keys and the column each orders by; ties are broken by id so every row has a fixed place
+const SORT_COLUMNS = {
+  name: "original_name",
+  size: "size",
+  date: "created_at",
+  type: "mime_type",
+}
+
+// Type filter categories; anything containing a slash is matched as an exact MIME type instead
+const TYPE_CATEGORIES = {
+  image: ["image/"],
+  document: [
+    "application/pdf",
+    "application/msword",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "text/",
+  ],
+  video: ["video/"],
+  audio: ["audio/"],
+  archive: ["application/zip", "application/x-rar-compressed", "application/x-7z-compressed"],
+}
+
+/**
+ * Quote a value for a PostgREST or() filter, where commas, dots and parentheses are syntax
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, "\\$&")}"`
+}
+
+function parseBoolean(value, name) {
+  if (value === "true") return true
+  if (value === "false") return false
+  throw new Error(`${name} must be true or false`)
+}
+
+function parseSize(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a whole number of bytes`)
+  }
+  return Number(value)
+}
+
+function parseDate(value, name) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date`)
+  }
+  return date.toISOString()
+}
+
+/**
+ * Query parameters, filters and keyset pagination for GET /files.
+ *
+ * Pages are ordered by the sort column and then id, and a cursor holds both values of the last
+ * row sent, so the next page starts right after it however many rows were added or removed in
+ * the meantime. A cursor only continues the sort it was issued for.
+ */
+class FileListing {
+  /**
+   * Read list parameters from a request query
+   * @returns {Object} - { filters, sort, limit, cursor } or { error } for an invalid parameter
+   */
+  parseParams(params) {
+    try {
+      const legacy = this.parseLegacySearch(params.search)
+      const sortBy = params.sortBy || legacy.sortBy || "date"
+      const filters = {
+        search: params.q || legacy.query || null,
+        type: params.type || legacy.type || null,
+        minSize: params.minSize !== undefined ? parseSize(params.minSize, "minSize") : null,
+        maxSize: params.maxSize !== undefined ? parseSize(params.maxSize, "maxSize") : null,
+        uploadedAfter: params.uploadedAfter !== undefined ? parseDate(params.uploadedAfter, "uploadedAfter") : null,
+        uploadedBefore: params.uploadedBefore !== undefined ? parseDate(params.uploadedBefore, "uploadedBefore") : null,
+        encrypted: params.encrypted !== undefined ? parseBoolean(params.encrypted, "encrypted") : null,
+        shared: params.shared !== undefined ? parseBoolean(params.shared, "shared") : null,
+        tags: null,
+        metadata: null,
+      }
+
+      // Files carrying every tag listed, as tags=a,b or repeated tags=a&tags=b
+      if (params.tags !== undefined) {
+        const parsed = fileTags.parseTags([].concat(params.tags).join(","))
+        if (parsed.error) throw new Error(parsed.error)
+        filters.tags = parsed.tags
+      }
+
+      // Files whose metadata has each key and value given as metadata[key]=value
+      if (params.metadata !== undefined) {
+        const parsed = fileTags.parseMetadata(params.metadata)
+        if (parsed.error) throw new Error(parsed.error)
+        filters.metadata = parsed.metadata
+      }
+
+      if (filters.type === "all") {
+        filters.type = null
+      }
+
+      if (filters.type && !TYPE_CATEGORIES[filters.type] && !filters.type.includes("/")) {
+        throw new Error(`type must be a MIME type or one of: ${Object.keys(TYPE_CATEGORIES).join(", ")}`)
+      }
+
+      if (!SORT_COLUMNS[sortBy]) {
+        throw new Error(`sortBy must be one of: ${Object.keys(SORT_COLUMNS).join(", ")}`)
+      }
+
+      // Newest first unless asked otherwise; the other sorts default to ascending
+      const sortOrder = params.sortOrder || legacy.sortOrder || (sortBy === "date" ? "desc" : "asc")
+      if (!["asc", "desc"].includes(sortOrder)) {
+        throw new Error("sortOrder must be asc or desc")
+      }
+
+      const limit = params.limit !== undefined ? parseInt(params.limit, 10) : DEFAULT_LIMIT
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new Error(`limit must be between 1 and ${MAX_LIMIT}`)
+      }
+
+      const sort = { sortBy, sortOrder }
+      const cursor = params.cursor ? this.decodeCursor(params.cursor, sort) : null
+
+      return { filters, sort, limit, cursor }
+    } catch (error) {
+      return { error: error.message }
+    }
+  }
+
+  /**
+   * The search parameter used to carry a JSON object of filters; plain text searches names
+   */
+  parseLegacySearch(search) {
+    if (!search || !search.trim()) return {}
+
+    if (search.startsWith("{")) {
+      try {
+        return JSON.parse(search)
+      } catch (error) {
+        // Not JSON after all, search for it as text
+      }
+    }
+
+    return { query: search }
+  }
+
+  applyFilters(query, filters) {
+    if (filters.search) {
+      query = query.ilike("original_name", `%${filters.search}%`)
+    }
+
+    if (filters.type) {
+      const prefixes = TYPE_CATEGORIES[filters.type]
+
+      if (!prefixes) {
+        query = query.eq("mime_type", filters.type)
+      } else if (prefixes.length === 1) {
+        query = query.ilike("mime_type", `${prefixes[0]}%`)
+      } else {
+        query = query.or(prefixes.map((prefix) => `mime_type.ilike.${quoteFilterValue(`${prefix}%`)}`).join(","))
+      }
+    }
+
+    if (filters.minSize !== null) query = query.gte("size", filters.minSize)
+    if (filters.maxSize !== null) query = query.lte("size", filters.maxSize)
+    if (filters.uploadedAfter) query = query.gte("created_at", filters.uploadedAfter)
+    if (filters.uploadedBefore) query = query.lte("created_at", filters.uploadedBefore)
+    if (filters.encrypted !== null) query = query.eq("encrypted", filters.encrypted)
+    if (filters.shared !== null) query = query.eq("shared", filters.shared)
+    if (filters.tags) query = query.contains("tags", fileTags.toArrayLiteral(filters.tags))
+    if (filters.metadata) query = query.contains("metadata", filters.metadata)
+
+    return query
+  }
+
+  /**
+   * Order a query and, with a cursor, start it after the row the cursor points at
+   */
+  applyPage(query, sort, cursor, limit) {
+    const column = SORT_COLUMNS[sort.sortBy]
+    const ascending = sort.sortOrder === "asc"
+    const after = ascending ? "gt" : "lt"
+
+    if (cursor) {
+      const value = quoteFilterValue(cursor.value)
+      const id = quoteFilterValue(cursor.id)
+      query = query.or(`${column}.${after}.${value},and(${column}.eq.${value},id.${after}.${id})`)
+    }
+
+    // One row more than the page tells whether another page follows
+    return query.order(column, { ascending }).order("id", { ascending }).limit(limit + 1)
+  }
+
+  encodeCursor(sort, row) {
+    const cursor = { sortBy: sort.sortBy, sortOrder: sort.sortOrder, value: row[SORT_COLUMNS[sort.sortBy]], id: row.id }
+    return Buffer.from(JSON.stringify(cursor)).toString("base64url")
+  }
+
+  decodeCursor(encoded, sort) {
+    let cursor
+    try {
+      cursor = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"))
+    } catch (error) {
+      throw new Error("Invalid cursor")
+    }
+
+    if (!cursor || cursor.value === undefined || cursor.value === null || !cursor.id) {
+      throw new Error("Invalid cursor")
+    }
+
+    if (cursor.sortBy !== sort.sortBy || cursor.sortOrder !== sort.sortOrder) {
+      throw new Error("Cursor was issued for a different sort")
+    }
+
+    return cursor
+  }
+
+  /**
+   * Split a page fetched with applyPage into its rows and the cursor of the next page
+   */
+  getPage(rows, sort, limit) {
+    const hasMore = rows.length > limit
+    const page = hasMore ? rows.slice(0, limit) : rows
+
+    return {
+      rows: page,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(sort, page[page.length - 1]) : null,
+    }
+  }
+}
+
+module.exports = new FileListing()
@@ -0,0 +1,197 @@
+const { createClient } = require("@supabase/supabase-js")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const MAX_TAGS_PER_FILE = 50
+const MAX_TAG_LENGTH = 64
+const MAX_METADATA_KEYS = 50
+const MAX_METADATA_KEY_LENGTH = 64
+const MAX_METADATA_VALUE_LENGTH = 1024
+const MAX_BULK_FILES = 500
+const PAGE_SIZE = 1000
+
+const CONTROL_CHARACTERS = /\p{Cc}/u
+
+/**
+ * Quote a tag for a Postgres array literal
+ */
+function quoteArrayElement(value) {
+  return `"${value.replace(/["\\]/g, "\\$&")}"`
+}
+
+/**
+ * User-defined tags and key/value metadata on files.
+ *
+ * Tags are stored lowercased with whitespace collapsed, so "Client A" and "client  a" are one
+ * tag. Metadata is a flat object of string values (numbers and booleans are stored as strings)
+ * so that GET /files can filter on it with jsonb containment.
+ */
+class FileTags {
+  constructor() {
+    this.maxBulkFiles = MAX_BULK_FILES
+  }
+
+  normalizeTag(tag) {
+    return String(tag).trim().replace(/\s+/g, " ").toLowerCase()
+  }
+
+  /**
+   * Normalize a list of tags
+   * @returns {Object} - { tags } or { error }
+   */
+  parseTags(value, name = "tags") {
+    const list = typeof value === "string" ? value.split(",") : value
+
+    if (!Array.isArray(list)) {
+      return { error: `${name} must be an array of tags` }
+    }
+
+    const tags = []
+    for (const raw of list) {
+      if (typeof raw !== "string") {
+        return { error: `${name} must be an array of tags` }
+      }
+
+      const tag = this.normalizeTag(raw)
+      // Commas separate tags in GET /files?tags=
+      if (!tag || tag.length > MAX_TAG_LENGTH || CONTROL_CHARACTERS.test(tag) || tag.includes(",")) {
+        return { error: `Tags must be 1 to ${MAX_TAG_LENGTH} printable characters other than commas` }
+      }
+
+      if (!tags.includes(tag)) tags.push(tag)
+    }
+
+    return { tags }
+  }
+
+  /**
+   * Validate metadata to set, converting numbers and booleans to strings
+   * @returns {Object} - { metadata } or { error }
+   */
+  parseMetadata(value, name = "metadata") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return { error: `${name} must be an object of keys and values` }
+    }
+
+    const metadata = {}
+    for (const [rawKey, rawValue] of Object.entries(value)) {
+      const key = rawKey.trim()
+
+      if (!key || key.length > MAX_METADATA_KEY_LENGTH || CONTROL_CHARACTERS.test(key) || key === "__proto__") {
+        return { error: `Metadata keys must be 1 to ${MAX_METADATA_KEY_LENGTH} printable characters` }
+      }
+
+      if (!["string", "number", "boolean"].includes(typeof rawValue)) {
+        return { error: `Metadata value for "${key}" must be a string, number or boolean` }
+      }
+
+      const stringValue = String(rawValue)
+      if (stringValue.length > MAX_METADATA_VALUE_LENGTH) {
+        return { error: `Metadata value for "${key}" exceeds ${MAX_METADATA_VALUE_LENGTH} characters` }
+      }
+
+      metadata[key] = stringValue
+    }
+
+    return { metadata }
+  }
+
+  parseMetadataKeys(value, name = "remove") {
+    if (!Array.isArray(value) || value.some((key) => typeof key !== "string")) {
+      return { error: `${name} must be an array of metadata keys` }
+    }
+
+    return { keys: value.map((key) => key.trim()) }
+  }
+
+  /**
+   * A file's tags after adding and removing some
+   * @returns {Object} - { tags, added, removed } or { error } when the file would have too many
+   */
+  changeTags(file, { add = [], remove = [] }) {
+    const current = file.tags || []
+    const tags = [...current.filter((tag) => !remove.includes(tag))]
+
+    for (const tag of add) {
+      if (!tags.includes(tag)) tags.push(tag)
+    }
+
+    if (tags.length > MAX_TAGS_PER_FILE) {
+      return { error: `A file can have at most ${MAX_TAGS_PER_FILE} tags` }
+    }
+
+    return {
+      tags,
+      added: tags.filter((tag) => !current.includes(tag)),
+      removed: current.filter((tag) => !tags.includes(tag)),
+    }
+  }
+
+  /**
+   * A file's metadata after setting and removing keys
+   * @returns {Object} - { metadata, changed, removed } or { error } when the file would have too many keys
+   */
+  changeMetadata(file, { set = {}, remove = [] }) {
+    const current = file.metadata || {}
+    const metadata = { ...current }
+
+    for (const key of remove) delete metadata[key]
+    Object.assign(metadata, set)
+
+    if (Object.keys(metadata).length > MAX_METADATA_KEYS) {
+      return { error: `A file can have at most ${MAX_METADATA_KEYS} metadata keys` }
+    }
+
+    return {
+      metadata,
+      changed: Object.keys(set).filter((key) => current[key] !== set[key]),
+      removed: remove.filter((key) => key in current && !(key in set)),
+    }
+  }
+
+  /**
+   * Postgres array literal for a containment filter on tags; supabase-js would not quote the elements
+   */
+  toArrayLiteral(tags) {
+    return `{${tags.map(quoteArrayElement).join(",")}}`
+  }
+
+  /**
+   * Tags in use on the user's files with how many files carry each, most used first
+   * @param {Object} options - prefix: only tags starting with it, limit: how many to return
+   */
+  async getTagCounts(userId, { prefix = "", limit = 20 } = {}) {
+    const normalizedPrefix = this.normalizeTag(prefix)
+    const counts = new Map()
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data: rows, error } = await supabase
+        .from("files")
+        .select("tags")
+        .eq("user_id", userId)
+        .eq("deleted", false)
+        .not("tags", "eq", "{}")
+        .order("id", { ascending: true })
+        .range(from, from + PAGE_SIZE - 1)
+
+      if (error) throw error
+
+      for (const row of rows || []) {
+        for (const tag of row.tags || []) {
+          if (tag.startsWith(normalizedPrefix)) {
+            counts.set(tag, (counts.get(tag) || 0) + 1)
+          }
+        }
+      }
+
+      if (!rows || rows.length < PAGE_SIZE) break
+    }
+
+    return [...counts]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([tag, count]) => ({ tag, count }))
+  }
+}
+
+module.exports = new FileTags()
@@ -1,70 +1,254 @@
 const crypto = require("crypto")
 const fs = require("fs").promises
+const { Transform } = require("stream")
+const { createClient } = require("@supabase/supabase-js")
 
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const POLICY_REFRESH_INTERVAL_MS = parseInt(process.env.UPLOAD_POLICY_REFRESH_INTERVAL_MS || "60000", 10)
+
+// Hard ceiling on a single upload, whatever the policy says
+const UPLOAD_SIZE_LIMIT = 100 * 1024 * 1024
+
+// How much of a file is buffered to identify it; enough to find the part names of an Office zip
+const SNIFF_BYTES = 8192
+
+const OOXML_TYPES = {
+  "word/": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "xl/": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "ppt/": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+}
+
+const EXECUTABLE_TYPES = [
+  "application/x-msdownload",
+  "application/x-executable",
+  "application/x-mach-binary",
+  "application/x-sh",
+]
+
+const MP4_TYPES = ["video/mp4", "audio/mp4", "video/quicktime"]
+
+// Declared types a detected type is compatible with, beyond the detected type itself
+const COMPATIBLE_TYPES = {
+  "application/zip": Object.values(OOXML_TYPES),
+  "application/x-ole-storage": ["application/msword", "application/vnd.ms-excel", "application/vnd.ms-powerpoint"],
+  "text/plain": ["text/csv", "text/html", "text/css", "text/javascript"],
+  "image/svg+xml": ["text/plain", "text/html"],
+  "audio/wav": ["audio/x-wav", "audio/wave"],
+  ...Object.fromEntries(MP4_TYPES.map((type) => [type, MP4_TYPES])),
+  ...Object.fromEntries(Object.values(OOXML_TYPES).map((type) => [type, ["application/zip"]])),
+}
+
+function startsWith(head, bytes, offset = 0) {
+  const signature = typeof bytes === "string" ? Buffer.from(bytes, "latin1") : Buffer.from(bytes)
+  return head.length >= offset + signature.length && head.subarray(offset, offset + signature.length).equals(signature)
+}
+
+/**
+ * Whether a file's first bytes look like text: no NUL bytes and valid UTF-8,
+ * allowing for a multi-byte character cut off at the end of the sample
+ */
+function looksLikeText(head) {
+  if (head.includes(0)) return false
+
+  for (let trim = 0; trim < 4 && trim <= head.length; trim++) {
+    try {
+      new TextDecoder("utf-8", { fatal: true }).decode(head.subarray(0, head.length - trim))
+      return true
+    } catch (error) {
+      // Try again without a possibly truncated trailing character
+    }
+  }
+
+  return false
+}
+
+/**
+ * Upload validation.
+ *
+ * Declared names and MIME types are checked against the deployment's policy before any bytes
+ * are read; the content is then identified from its magic bytes as it streams in and must
+ * agree with the declared type, so a renamed executable fails even with an allowed type.
+ * The policy starts from the defaults below and can be changed by admins; changes are stored
+ * in upload_policy and picked up by every instance within UPLOAD_POLICY_REFRESH_INTERVAL_MS.
+ */
 class FileValidator {
   constructor() {
-    this.allowedMimeTypes = [
-      // Images
-      "image/jpeg",
-      "image/png",
-      "image/gif",
-      "image/webp",
-      "image/svg+xml",
-      // Documents
-      "application/pdf",
-      "application/msword",
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      "application/vnd.ms-excel",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      "application/vnd.ms-powerpoint",
-      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
-      // Text
-      "text/plain",
-      "text/csv",
-      "text/html",
-      "text/css",
-      "text/javascript",
-      // Archives
-      "application/zip",
-      "application/x-rar-compressed",
-      "application/x-7z-compressed",
-      // Audio
-      "audio/mpeg",
-      "audio/wav",
-      "audio/ogg",
-      "audio/mp4",
-      // Video
-      "video/mp4",
-      "video/mpeg",
-      "video/quicktime",
-      "video/x-msvideo",
-    ]
-
-    this.maxFileSize = 100 * 1024 * 1024 // 100MB
+    this.defaultPolicy = {
+      allowedMimeTypes: [
+        // Images
+        "image/jpeg",
+        "image/png",
+        "image/gif",
+        "image/webp",
+        "image/svg+xml",
+        // Documents
+        "application/pdf",
+        "application/msword",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        "application/vnd.ms-excel",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "application/vnd.ms-powerpoint",
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+        // Text
+        "text/plain",
+        "text/csv",
+        "text/html",
+        "text/css",
+        "text/javascript",
+        // Archives
+        "application/zip",
+        "application/x-rar-compressed",
+        "application/x-7z-compressed",
+        // Audio
+        "audio/mpeg",
+        "audio/wav",
+        "audio/ogg",
+        "audio/mp4",
+        // Video
+        "video/mp4",
+        "video/mpeg",
+        "video/quicktime",
+        "video/x-msvideo",
+      ],
+      blockedExtensions: [".exe", ".bat", ".cmd", ".scr", ".pif", ".com", ".msi", ".dll", ".vbs", ".ps1", ".jar"],
+      maxFileSize: UPLOAD_SIZE_LIMIT,
+      blockExecutables: true,
+      requireContentMatch: true,
+    }
+
+    this.sizeLimit = UPLOAD_SIZE_LIMIT
+    this.policy = { ...this.defaultPolicy }
+  }
+
+  /**
+   * Reload the policy from upload_policy, keeping the current one if that fails
+   */
+  async loadPolicy() {
+    const { data: row, error } = await supabase.from("upload_policy").select("*").eq("id", true).single()
+
+    if (error && error.code !== "PGRST116") throw error
+
+    this.policy = this.mergePolicy(row)
+    return this.policy
+  }
+
+  mergePolicy(row) {
+    const policy = { ...this.defaultPolicy }
+    if (!row) return policy
+
+    if (row.allowed_mime_types) policy.allowedMimeTypes = row.allowed_mime_types
+    if (row.blocked_extensions) policy.blockedExtensions = row.blocked_extensions
+    if (row.max_file_size !== null && row.max_file_size !== undefined) policy.maxFileSize = Number(row.max_file_size)
+    if (row.block_executables !== null && row.block_executables !== undefined) {
+      policy.blockExecutables = row.block_executables
+    }
+    if (row.require_content_match !== null && row.require_content_match !== undefined) {
+      policy.requireContentMatch = row.require_content_match
+    }
+
+    return policy
+  }
+
+  /**
+   * Change the deployment's policy; fields set to null go back to their defaults
+   * @param {Object} changes - Any of allowedMimeTypes, blockedExtensions, maxFileSize, blockExecutables,
+   *   requireContentMatch
+   */
+  async setPolicy(changes, adminId) {
+    const columns = {
+      allowedMimeTypes: "allowed_mime_types",
+      blockedExtensions: "blocked_extensions",
+      maxFileSize: "max_file_size",
+      blockExecutables: "block_executables",
+      requireContentMatch: "require_content_match",
+    }
+
+    const { data: current, error: readError } = await supabase.from("upload_policy").select("*").eq("id", true).single()
+    if (readError && readError.code !== "PGRST116") throw readError
+
+    const row = { id: true }
+    for (const [field, column] of Object.entries(columns)) {
+      row[column] = changes[field] !== undefined ? changes[field] : (current?.[column] ?? null)
+    }
+
+    const { data: saved, error } = await supabase
+      .from("upload_policy")
+      .upsert({ ...row, updated_by: adminId, updated_at: new Date().toISOString() })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    this.policy = this.mergePolicy(saved)
+    return this.policy
   }
 
+  async resetPolicy() {
+    const { error } = await supabase.from("upload_policy").delete().eq("id", true)
+    if (error) throw error
+
+    this.policy = { ...this.defaultPolicy }
+    return this.policy
+  }
+
+  startPolicyRefreshJob() {
+    const run = async () => {
+      try {
+        await this.loadPolicy()
+      } catch (error) {
+        console.error("Upload policy refresh error:", error)
+      }
+    }
+
+    run()
+    const timer = setInterval(run, POLICY_REFRESH_INTERVAL_MS)
+    timer.unref()
+    return timer
+  }
+
+  /**
+   * Error for a file the policy rejects, recognised by its INVALID_FILE code
+   */
+  createError(message, file) {
+    return Object.assign(new Error(message), { code: "INVALID_FILE", filename: file?.originalname })
+  }
+
+  normalizeMimeType(mimeType) {
+    return String(mimeType || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase()
+  }
+
+  /**
+   * Check what the client declared about a file: name, MIME type and, when known, size
+   */
   validateFile(file) {
+    const policy = this.policy
+
     // Check file size
-    if (file.size > this.maxFileSize) {
+    if (file.size !== undefined && file.size > policy.maxFileSize) {
       return {
         valid: false,
-        error: `File size exceeds maximum limit of ${this.maxFileSize / (1024 * 1024)}MB`,
+        error: `File size exceeds maximum limit of ${Math.floor(policy.maxFileSize / (1024 * 1024))}MB`,
       }
     }
 
     // Check MIME type
-    if (!this.allowedMimeTypes.includes(file.mimetype)) {
+    const mimeType = this.normalizeMimeType(file.mimetype)
+    if (!policy.allowedMimeTypes.includes(mimeType)) {
       return {
         valid: false,
-        error: `File type ${file.mimetype} is not allowed`,
+        error: `File type ${mimeType || "(none)"} is not allowed`,
       }
     }
 
     // Check for suspicious file extensions
-    const suspiciousExtensions = [".exe", ".bat", ".cmd", ".scr", ".pif", ".com"]
-    const fileExtension = file.originalname.toLowerCase().slice(file.originalname.lastIndexOf("."))
+    const originalName = (file.originalname || "").toLowerCase()
+    const fileExtension = originalName.includes(".") ? originalName.slice(originalName.lastIndexOf(".")) : ""
 
-    if (suspiciousExtensions.includes(fileExtension)) {
+    if (policy.blockedExtensions.includes(fileExtension)) {
       return {
         valid: false,
         error: `File extension ${fileExtension} is not allowed for security reasons`,
@@ -74,6 +258,142 @@ class FileValidator {
     return { valid: true }
   }
 
+  /**
+   * Identify content from its first bytes
+   * @param {Buffer} head - Up to SNIFF_BYTES from the start of the file
+   * @returns {string|null} - Detected MIME type, null for unrecognised binary data
+   */
+  detectType(head) {
+    if (startsWith(head, "MZ")) return "application/x-msdownload"
+    if (startsWith(head, [0x7f, 0x45, 0x4c, 0x46])) return "application/x-executable"
+    if (
+      [
+        [0xfe, 0xed, 0xfa, 0xce],
+        [0xfe, 0xed, 0xfa, 0xcf],
+        [0xce, 0xfa, 0xed, 0xfe],
+        [0xcf, 0xfa, 0xed, 0xfe],
+        [0xca, 0xfe, 0xba, 0xbe],
+      ].some((magic) => startsWith(head, magic))
+    ) {
+      return "application/x-mach-binary"
+    }
+    if (startsWith(head, "#!")) return "application/x-sh"
+
+    if (startsWith(head, [0xff, 0xd8, 0xff])) return "image/jpeg"
+    if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png"
+    if (startsWith(head, "GIF87a") || startsWith(head, "GIF89a")) return "image/gif"
+    if (startsWith(head, "%PDF-")) return "application/pdf"
+    if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return "application/x-ole-storage"
+    if (startsWith(head, "Rar!\x1a\x07")) return "application/x-rar-compressed"
+    if (startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return "application/x-7z-compressed"
+
+    if (startsWith(head, "PK\x03\x04") || startsWith(head, "PK\x05\x06")) {
+      const names = head.toString("latin1")
+      const part = Object.keys(OOXML_TYPES).find((prefix) => names.includes(prefix))
+      return part ? OOXML_TYPES[part] : "application/zip"
+    }
+
+    if (startsWith(head, "RIFF")) {
+      if (startsWith(head, "WEBP", 8)) return "image/webp"
+      if (startsWith(head, "WAVE", 8)) return "audio/wav"
+      if (startsWith(head, "AVI ", 8)) return "video/x-msvideo"
+    }
+
+    if (startsWith(head, "OggS")) return "audio/ogg"
+
+    if (startsWith(head, "ftyp", 4)) {
+      const brand = head.subarray(8, 12).toString("latin1")
+      if (brand === "qt  ") return "video/quicktime"
+      if (brand.startsWith("M4A") || brand.startsWith("M4B")) return "audio/mp4"
+      return "video/mp4"
+    }
+
+    if (startsWith(head, [0x00, 0x00, 0x01, 0xba]) || startsWith(head, [0x00, 0x00, 0x01, 0xb3])) return "video/mpeg"
+    if (startsWith(head, "ID3") || (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) {
+      return "audio/mpeg"
+    }
+
+    if (looksLikeText(head)) {
+      return /<svg[\s>]/i.test(head.toString("utf8")) ? "image/svg+xml" : "text/plain"
+    }
+
+    return null
+  }
+
+  /**
+   * Check a file's first bytes against its declared type and the policy
+   * @returns {Object} - { valid, error, detectedType }
+   */
+  checkContent(head, file) {
+    const policy = this.policy
+    const detectedType = this.detectType(head)
+    const declaredType = this.normalizeMimeType(file.mimetype)
+
+    if (policy.blockExecutables && EXECUTABLE_TYPES.includes(detectedType)) {
+      return { valid: false, error: "Executable content is not allowed", detectedType }
+    }
+
+    if (!policy.requireContentMatch) {
+      return { valid: true, detectedType }
+    }
+
+    if (!detectedType) {
+      return { valid: false, error: `File content could not be identified as ${declaredType}`, detectedType }
+    }
+
+    const compatible = [detectedType, ...(COMPATIBLE_TYPES[detectedType] || [])]
+    if (!compatible.includes(declaredType)) {
+      return {
+        valid: false,
+        error: `File content is ${detectedType}, which does not match the declared type ${declaredType}`,
+        detectedType,
+      }
+    }
+
+    return { valid: true, detectedType }
+  }
+
+  /**
+   * Transform that holds back the first bytes of an upload until its content has been checked,
+   * failing with an INVALID_FILE error if the check fails. The detected type is left on
+   * the stream as detectedType once known.
+   * @param {Object} file - { originalname, mimetype } as declared by the client
+   */
+  createContentCheck(file) {
+    const validator = this
+    const pending = []
+    let pendingLength = 0
+    let checked = false
+
+    const check = (stream) => {
+      checked = true
+      const result = validator.checkContent(Buffer.concat(pending).subarray(0, SNIFF_BYTES), file)
+      stream.detectedType = result.detectedType
+
+      if (!result.valid) {
+        return validator.createError(result.error, file)
+      }
+
+      stream.push(Buffer.concat(pending))
+      pending.length = 0
+      return null
+    }
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        if (checked) return callback(null, chunk)
+
+        pending.push(chunk)
+        pendingLength += chunk.length
+
+        callback(pendingLength >= SNIFF_BYTES ? check(this) : null)
+      },
+      flush(callback) {
+        callback(checked ? null : check(this))
+      },
+    })
+  }
+
   async calculateHash(filePath) {
     try {
       const fileBuffer = await fs.readFile(filePath)
@@ -93,36 +413,6 @@ class FileValidator {
       return false
     }
   }
-
-  scanForMalware(filePath) {
-    // Placeholder for malware scanning
-    // In production, integrate with services like VirusTotal, ClamAV, etc.
-    return new Promise((resolve) => {
-      // Simulate scan
-      setTimeout(() => {
-        resolve({ clean: true, threats: [] })
-      }, 100)
-    })
-  }
-
-  async performSecurityScan(filePath) {
-    try {
-      // Calculate file hash
-      const hash = await this.calculateHash(filePath)
-
-      // Perform malware scan
-      const scanResult = await this.scanForMalware(filePath)
-
-      return {
-        hash,
-        malwareScan: scanResult,
-        timestamp: new Date().toISOString(),
-      }
-    } catch (error) {
-      console.error("Security scan error:", error)
-      throw error
-    }
-  }
 }
 
 module.exports = new FileValidator()
@@ -0,0 +1,212 @@
+const { createClient } = require("@supabase/supabase-js")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+// Guards against runaway walks if the parent chain is ever corrupted into a loop
+const MAX_FOLDER_DEPTH = 64
+
+class Folders {
+  validateName(name) {
+    if (typeof name !== "string" || !name.trim()) {
+      return { valid: false, error: "Folder name is required" }
+    }
+
+    if (name.trim().length > 255) {
+      return { valid: false, error: "Folder name is too long" }
+    }
+
+    if (/[\/\\]/.test(name) || name.trim() === "." || name.trim() === "..") {
+      return { valid: false, error: "Folder name contains invalid characters" }
+    }
+
+    return { valid: true, name: name.trim() }
+  }
+
+  async getFolder(folderId, userId) {
+    const { data: folder } = await supabase
+      .from("folders")
+      .select("*")
+      .eq("id", folderId)
+      .eq("user_id", userId)
+      .single()
+
+    return folder || null
+  }
+
+  async findChildByName(userId, parentId, name) {
+    // Escape LIKE wildcards so the lookup is an exact, case-insensitive match
+    const pattern = name.replace(/[%_\\]/g, "\\$&")
+    let query = supabase.from("folders").select("*").eq("user_id", userId).ilike("name", pattern)
+    query = parentId ? query.eq("parent_id", parentId) : query.is("parent_id", null)
+
+    const { data } = await query
+    return (data || [])[0] || null
+  }
+
+  /**
+   * Resolve a relative folder path below parentId, creating any folders that don't exist yet
+   * @param {string[]} names - Folder names from the outermost one down
+   * @param {Map} cache - Optional cache of resolved paths, shared across calls for one batch
+   * @returns {Promise<string|null>} - Id of the innermost folder
+   */
+  async ensurePath(userId, parentId, names, cache = null) {
+    let currentId = parentId
+
+    for (let i = 0; i < names.length; i++) {
+      const cacheKey = `${parentId}/${names.slice(0, i + 1).join("/").toLowerCase()}`
+      if (cache?.has(cacheKey)) {
+        currentId = cache.get(cacheKey)
+        continue
+      }
+
+      const nameCheck = this.validateName(names[i])
+      if (!nameCheck.valid) {
+        throw new Error(nameCheck.error)
+      }
+
+      let folder = await this.findChildByName(userId, currentId, nameCheck.name)
+      if (!folder) {
+        const { data: created, error } = await supabase
+          .from("folders")
+          .insert({
+            user_id: userId,
+            name: nameCheck.name,
+            parent_id: currentId,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .select()
+          .single()
+
+        // Another upload may have created the same folder in the meantime
+        folder = created || (await this.findChildByName(userId, currentId, nameCheck.name))
+        if (!folder) throw error
+      }
+
+      currentId = folder.id
+      cache?.set(cacheKey, currentId)
+    }
+
+    return currentId
+  }
+
+  async getBreadcrumbs(folder, userId) {
+    const breadcrumbs = [{ id: folder.id, name: folder.name }]
+    let parentId = folder.parent_id
+
+    while (parentId && breadcrumbs.length < MAX_FOLDER_DEPTH) {
+      const parent = await this.getFolder(parentId, userId)
+      if (!parent) break
+
+      breadcrumbs.unshift({ id: parent.id, name: parent.name })
+      parentId = parent.parent_id
+    }
+
+    return breadcrumbs
+  }
+
+  async getDescendantIds(folderId, userId) {
+    const ids = [folderId]
+    let frontier = [folderId]
+
+    for (let depth = 0; frontier.length > 0 && depth < MAX_FOLDER_DEPTH; depth++) {
+      const { data: children, error } = await supabase
+        .from("folders")
+        .select("id")
+        .eq("user_id", userId)
+        .in("parent_id", frontier)
+
+      if (error) throw error
+
+      frontier = (children || []).map((child) => child.id).filter((id) => !ids.includes(id))
+      ids.push(...frontier)
+    }
+
+    return ids
+  }
+
+  /**
+   * Map every folder in a subtree to its path relative to the subtree root ("" for the root itself)
+   * @returns {Promise<Map>} - folder id => relative path such as "photos/2024"
+   */
+  async getSubtreePaths(folderId, userId) {
+    const paths = new Map([[folderId, ""]])
+    let frontier = [folderId]
+
+    for (let depth = 0; frontier.length > 0 && depth < MAX_FOLDER_DEPTH; depth++) {
+      const { data: children, error } = await supabase
+        .from("folders")
+        .select("id, name, parent_id")
+        .eq("user_id", userId)
+        .in("parent_id", frontier)
+
+      if (error) throw error
+
+      frontier = []
+      for (const child of children || []) {
+        if (paths.has(child.id)) continue
+
+        const parentPath = paths.get(child.parent_id)
+        paths.set(child.id, parentPath ? `${parentPath}/${child.name}` : child.name)
+        frontier.push(child.id)
+      }
+    }
+
+    return paths
+  }
+
+  async isWithin(folderId, ancestorId, userId) {
+    let currentId = folderId
+
+    for (let depth = 0; currentId && depth < MAX_FOLDER_DEPTH; depth++) {
+      if (currentId === ancestorId) {
+        return true
+      }
+
+      const folder = await this.getFolder(currentId, userId)
+      currentId = folder?.parent_id
+    }
+
+    return false
+  }
+
+  async listChildren(userId, folderId) {
+    let folderQuery = supabase.from("folders").select("*").eq("user_id", userId).order("name", { ascending: true })
+    let fileQuery = supabase
+      .from("files")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("deleted", false)
+      .order("original_name", { ascending: true })
+
+    if (folderId) {
+      folderQuery = folderQuery.eq("parent_id", folderId)
+      fileQuery = fileQuery.eq("folder_id", folderId)
+    } else {
+      folderQuery = folderQuery.is("parent_id", null)
+      fileQuery = fileQuery.is("folder_id", null)
+    }
+
+    const [{ data: childFolders, error: folderError }, { data: childFiles, error: fileError }] = await Promise.all([
+      folderQuery,
+      fileQuery,
+    ])
+
+    if (folderError) throw folderError
+    if (fileError) throw fileError
+
+    return { folders: childFolders || [], files: childFiles || [] }
+  }
+
+  format(folder) {
+    return {
+      id: folder.id,
+      name: folder.name,
+      parentId: folder.parent_id,
+      createdAt: folder.created_at,
+      updatedAt: folder.updated_at,
+    }
+  }
+}
+
+module.exports = new Folders()
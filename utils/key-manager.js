@@ -0,0 +1,201 @@
+const crypto = require("crypto")
+const { createClient } = require("@supabase/supabase-js")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const WRAP_ALGORITHM = "aes-256-gcm"
+const WRAP_IV_LENGTH = 12
+const WRAP_TAG_LENGTH = 16
+const KEY_LENGTH = 32
+
+function parseMasterKey(encoded, name) {
+  if (!/^[0-9a-fA-F]{64}$/.test(encoded || "")) {
+    throw new Error(`${name} must be set to 32 bytes of hex`)
+  }
+
+  return Buffer.from(encoded, "hex")
+}
+
+/**
+ * Envelope encryption keys.
+ *
+ * Each file is encrypted with its own random data key. The data key is wrapped with the
+ * owner's user key, and the user key is wrapped with a server master key. Only wrapped keys
+ * are ever stored: user keys in user_keys, data keys in the file's encryption_metadata.
+ *
+ * Master keys are versioned. ENCRYPTION_KEY is the current one (version ENCRYPTION_KEY_VERSION,
+ * default 1); older versions stay listed in ENCRYPTION_KEYS as "version:hex,..." until a key
+ * rotation job has re-wrapped everything under the current key.
+ */
+class KeyManager {
+  getMasterKeyring() {
+    const keyring = new Map()
+
+    for (const entry of (process.env.ENCRYPTION_KEYS || "").split(",").filter(Boolean)) {
+      const [version, encoded] = entry.trim().split(":")
+      keyring.set(parseInt(version, 10), parseMasterKey(encoded, `ENCRYPTION_KEYS version ${version}`))
+    }
+
+    keyring.set(this.getCurrentMasterKeyVersion(), parseMasterKey(process.env.ENCRYPTION_KEY, "ENCRYPTION_KEY"))
+    return keyring
+  }
+
+  getCurrentMasterKeyVersion() {
+    return parseInt(process.env.ENCRYPTION_KEY_VERSION || "1", 10)
+  }
+
+  getMasterKey(version = this.getCurrentMasterKeyVersion()) {
+    const key = this.getMasterKeyring().get(version)
+
+    if (!key) {
+      throw new Error(`Master key version ${version} is not configured`)
+    }
+
+    return key
+  }
+
+  /**
+   * Wrap a key with AES-256-GCM, binding it to a context string
+   * @returns {string} - base64 of iv | tag | wrapped key
+   */
+  wrapKey(key, wrappingKey, context) {
+    const iv = crypto.randomBytes(WRAP_IV_LENGTH)
+    const cipher = crypto.createCipheriv(WRAP_ALGORITHM, wrappingKey, iv)
+    cipher.setAAD(Buffer.from(context))
+
+    const wrapped = Buffer.concat([cipher.update(key), cipher.final()])
+    return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString("base64")
+  }
+
+  unwrapKey(wrappedKey, wrappingKey, context) {
+    const data = Buffer.from(wrappedKey, "base64")
+    const iv = data.subarray(0, WRAP_IV_LENGTH)
+    const tag = data.subarray(WRAP_IV_LENGTH, WRAP_IV_LENGTH + WRAP_TAG_LENGTH)
+
+    const decipher = crypto.createDecipheriv(WRAP_ALGORITHM, wrappingKey, iv)
+    decipher.setAAD(Buffer.from(context))
+    decipher.setAuthTag(tag)
+
+    return Buffer.concat([decipher.update(data.subarray(WRAP_IV_LENGTH + WRAP_TAG_LENGTH)), decipher.final()])
+  }
+
+  /**
+   * Load the user's newest key, creating it on first use
+   * @returns {Promise<Object>} - { id, version, masterKeyVersion, key }
+   */
+  async getUserKey(userId) {
+    return (await this.findUserKey(userId)) || this.createUserKey(userId, 1)
+  }
+
+  async createUserKey(userId, version) {
+    const key = crypto.randomBytes(KEY_LENGTH)
+    const masterKeyVersion = this.getCurrentMasterKeyVersion()
+
+    const { data: row, error } = await supabase
+      .from("user_keys")
+      .insert({
+        user_id: userId,
+        version,
+        master_key_version: masterKeyVersion,
+        wrapped_key: this.wrapKey(key, this.getMasterKey(masterKeyVersion), `user-key:${userId}`),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single()
+
+    if (error) {
+      // Another request created this version first
+      const created = await this.findUserKey(userId)
+      if (created && created.version >= version) {
+        return created
+      }
+      throw error
+    }
+
+    return { id: row.id, version, masterKeyVersion, key }
+  }
+
+  async findUserKey(userId) {
+    const { data: rows } = await supabase
+      .from("user_keys")
+      .select("*")
+      .eq("user_id", userId)
+      .order("version", { ascending: false })
+      .limit(1)
+
+    return rows && rows.length > 0 ? this.unwrapUserKey(rows[0]) : null
+  }
+
+  async findUserKeyById(userKeyId) {
+    const { data: row } = await supabase.from("user_keys").select("*").eq("id", userKeyId).single()
+    return row ? this.unwrapUserKey(row) : null
+  }
+
+  unwrapUserKey(row) {
+    const masterKeyVersion = row.master_key_version || 1
+
+    return {
+      id: row.id,
+      version: row.version || 1,
+      masterKeyVersion,
+      key: this.unwrapKey(row.wrapped_key, this.getMasterKey(masterKeyVersion), `user-key:${row.user_id}`),
+    }
+  }
+
+  envelopeMetadata(userId, dataKey, userKey) {
+    return {
+      keyWrapping: "envelope",
+      userKeyId: userKey.id,
+      userKeyVersion: userKey.version,
+      masterKeyVersion: userKey.masterKeyVersion,
+      wrappedKey: this.wrapKey(dataKey, userKey.key, `data-key:${userId}`),
+    }
+  }
+
+  /**
+   * Generate a data key for a new file owned by userId
+   * @returns {Promise<Object>} - { dataKey, metadata } where metadata goes into encryption_metadata
+   */
+  async createDataKey(userId) {
+    const userKey = await this.getUserKey(userId)
+    const dataKey = crypto.randomBytes(KEY_LENGTH)
+
+    return { dataKey, metadata: this.envelopeMetadata(userId, dataKey, userKey) }
+  }
+
+  /**
+   * Unwrap the data key of an envelope-encrypted file or version record.
+   * The record names the user key that wrapped it, so files not yet re-wrapped
+   * by a rotation keep working with the older key.
+   * @param {Map} userKeyCache - Optional cache of unwrapped user keys by id
+   */
+  async getDataKey(record, userKeyCache = null) {
+    const userKeyId = record.encryption_metadata.userKeyId
+    let userKey = userKeyCache?.get(userKeyId)
+
+    if (!userKey) {
+      userKey = await this.findUserKeyById(userKeyId)
+      if (!userKey) {
+        throw new Error("User key for this file is not available")
+      }
+      userKeyCache?.set(userKeyId, userKey)
+    }
+
+    return this.unwrapKey(record.encryption_metadata.wrappedKey, userKey.key, `data-key:${record.user_id}`)
+  }
+
+  /**
+   * Re-wrap a record's data key under another user key, returning the new encryption_metadata
+   */
+  async rewrapDataKey(record, userKey, userKeyCache = null) {
+    const dataKey = await this.getDataKey(record, userKeyCache)
+    return { ...record.encryption_metadata, ...this.envelopeMetadata(record.user_id, dataKey, userKey) }
+  }
+
+  isEnvelopeEncrypted(record) {
+    return record.encrypted && record.encryption_metadata?.keyWrapping === "envelope"
+  }
+}
+
+module.exports = new KeyManager()
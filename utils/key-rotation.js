@@ -0,0 +1,328 @@
+const { createClient } = require("@supabase/supabase-js")
+const keyManager = require("./key-manager")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const USER_BATCH_SIZE = 100
+const RECORD_BATCH_SIZE = 200
+// Upload sessions hold a wrapped key for their staged chunks until they finalize or expire,
+// blobs keep the wrapped key that deduplicated uploads copy, and the search index key is
+// re-wrapped rather than replaced so the blinded tokens stay valid
+const ENVELOPE_TABLES = ["files", "file_versions", "upload_sessions", "blobs", "user_search_keys"]
+
+/**
+ * Master key rotation.
+ *
+ * A rotation job walks every user with a key, gives them a new user key wrapped with the
+ * current master key, re-wraps each file and version data key under it and finally drops the
+ * old user keys. Blobs in storage are never touched. Progress is saved after every user, so an
+ * interrupted job resumes where it stopped; until it completes, records still wrapped with an
+ * older user key (and so an older master key) keep decrypting.
+ */
+class KeyRotation {
+  constructor() {
+    this.activeJobId = null
+  }
+
+  async findActiveJob() {
+    const { data: jobs } = await supabase
+      .from("key_rotation_jobs")
+      .select("*")
+      .eq("status", "running")
+      .order("started_at", { ascending: false })
+      .limit(1)
+
+    return jobs && jobs.length > 0 ? jobs[0] : null
+  }
+
+  async getJob(jobId) {
+    const { data: job } = await supabase.from("key_rotation_jobs").select("*").eq("id", jobId).single()
+    return job || null
+  }
+
+  async listJobs(limit = 20) {
+    const { data: jobs, error } = await supabase
+      .from("key_rotation_jobs")
+      .select("*")
+      .order("started_at", { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return jobs || []
+  }
+
+  async start(startedBy) {
+    const usersTotal = await this.countUsers()
+
+    const { data: job, error } = await supabase
+      .from("key_rotation_jobs")
+      .insert({
+        status: "running",
+        target_master_key_version: keyManager.getCurrentMasterKeyVersion(),
+        users_total: usersTotal,
+        users_processed: 0,
+        records_rewrapped: 0,
+        failures: 0,
+        started_by: startedBy,
+        started_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    this.runInBackground(job)
+    return job
+  }
+
+  /**
+   * Resume an interrupted job from its cursor, or re-run a finished one that had failures.
+   * Users that were already rotated have nothing left to re-wrap, so re-running is cheap.
+   */
+  async resume(job) {
+    const restart = Boolean(job.completed_at)
+
+    const { data: resumed, error } = await supabase
+      .from("key_rotation_jobs")
+      .update({
+        status: "running",
+        last_error: null,
+        completed_at: null,
+        ...(restart && { cursor_user_id: null, users_processed: 0, records_rewrapped: 0, failures: 0 }),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", job.id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    this.runInBackground(resumed)
+    return resumed
+  }
+
+  /**
+   * Pick up jobs left running by a previous process
+   */
+  async resumeInterrupted() {
+    try {
+      const job = await this.findActiveJob()
+      if (job) {
+        console.log(`🔑 Resuming key rotation job ${job.id}`)
+        this.runInBackground(job)
+      }
+    } catch (error) {
+      console.error("Key rotation resume error:", error)
+    }
+  }
+
+  runInBackground(job) {
+    if (this.activeJobId) {
+      return
+    }
+
+    this.activeJobId = job.id
+    this.run(job)
+      .catch(async (error) => {
+        console.error(`Key rotation job ${job.id} error:`, error)
+        await this.updateJob(job.id, { status: "failed", last_error: error.message })
+      })
+      .finally(() => {
+        this.activeJobId = null
+      })
+  }
+
+  async run(job) {
+    if (keyManager.getCurrentMasterKeyVersion() !== job.target_master_key_version) {
+      throw new Error("The current master key changed since this job started, start a new rotation")
+    }
+
+    const progress = {
+      users_total: job.users_total || 0,
+      users_processed: job.users_processed || 0,
+      records_rewrapped: job.records_rewrapped || 0,
+      failures: job.failures || 0,
+    }
+    let cursor = job.cursor_user_id
+    let lastError = null
+
+    while (true) {
+      const { userIds, more } = await this.nextUsers(cursor)
+
+      for (const userId of userIds) {
+        try {
+          const result = await this.rotateUser(userId, job.target_master_key_version)
+          progress.records_rewrapped += result.rewrapped
+          progress.failures += result.failed
+          lastError = result.lastError || lastError
+        } catch (error) {
+          console.error(`Key rotation failed for user ${userId}:`, error)
+          progress.failures++
+          lastError = `user ${userId}: ${error.message}`
+        }
+
+        progress.users_processed++
+        // Users who got their first key after the job started are counted as the walk reaches them
+        progress.users_total = Math.max(progress.users_total, progress.users_processed)
+        cursor = userId
+        await this.updateJob(job.id, { ...progress, cursor_user_id: cursor, last_error: lastError })
+      }
+
+      if (!more) break
+    }
+
+    await this.updateJob(job.id, {
+      ...progress,
+      users_total: progress.users_processed,
+      status: progress.failures > 0 ? "failed" : "completed",
+      completed_at: new Date().toISOString(),
+    })
+
+    console.log(
+      `🔑 Key rotation job ${job.id} finished: ${progress.records_rewrapped} keys re-wrapped, ${progress.failures} failed`,
+    )
+  }
+
+  /**
+   * The next page of users with a key after the cursor. A user can have several key rows
+   * mid-rotation, so users are not rows; each user appears once.
+   * @returns {Promise<Object>} - { userIds, more }
+   */
+  async nextUsers(cursor) {
+    let query = supabase.from("user_keys").select("user_id").order("user_id").limit(USER_BATCH_SIZE)
+    if (cursor) {
+      query = query.gt("user_id", cursor)
+    }
+
+    const { data: rows, error } = await query
+    if (error) throw error
+
+    return {
+      userIds: [...new Set((rows || []).map((row) => row.user_id))],
+      more: Boolean(rows && rows.length === USER_BATCH_SIZE),
+    }
+  }
+
+  async countUsers() {
+    let total = 0
+    let cursor = null
+
+    while (true) {
+      const { userIds, more } = await this.nextUsers(cursor)
+      total += userIds.length
+      if (!more) return total
+      cursor = userIds[userIds.length - 1]
+    }
+  }
+
+  /**
+   * Move one user onto a user key wrapped with the target master key
+   */
+  async rotateUser(userId, targetMasterKeyVersion) {
+    const current = await keyManager.findUserKey(userId)
+    const target =
+      current.masterKeyVersion === targetMasterKeyVersion
+        ? current
+        : await keyManager.createUserKey(userId, current.version + 1)
+
+    const userKeyCache = new Map([[target.id, target]])
+    let rewrapped = 0
+    let failed = 0
+    let lastError = null
+
+    for (const table of ENVELOPE_TABLES) {
+      // Re-wrapped records drop out of the result set, so only skip past the ones that failed
+      let skip = 0
+
+      while (true) {
+        const { data: records, error } = await supabase
+          .from(table)
+          .select("id, user_id, encryption_metadata")
+          .eq("user_id", userId)
+          .eq("encryption_metadata->>keyWrapping", "envelope")
+          .neq("encryption_metadata->>userKeyId", target.id)
+          .order("id")
+          .range(skip, skip + RECORD_BATCH_SIZE - 1)
+
+        if (error) throw error
+        if (!records || records.length === 0) break
+
+        for (const record of records) {
+          try {
+            const metadata = await keyManager.rewrapDataKey(record, target, userKeyCache)
+            const { error: updateError } = await supabase
+              .from(table)
+              .update({ encryption_metadata: metadata })
+              .eq("id", record.id)
+
+            if (updateError) throw updateError
+            rewrapped++
+          } catch (error) {
+            console.error(`Failed to re-wrap ${table} ${record.id}:`, error)
+            failed++
+            skip++
+            lastError = `${table} ${record.id}: ${error.message}`
+          }
+        }
+
+        if (records.length < RECORD_BATCH_SIZE) break
+      }
+    }
+
+    // Old user keys can only go once nothing references them, including uploads that raced the scan
+    if (failed === 0 && !(await this.hasRecordsOutside(userId, target.id))) {
+      const { error } = await supabase.from("user_keys").delete().eq("user_id", userId).neq("id", target.id)
+      if (error) throw error
+    }
+
+    return { rewrapped, failed, lastError }
+  }
+
+  async hasRecordsOutside(userId, userKeyId) {
+    for (const table of ENVELOPE_TABLES) {
+      const { count, error } = await supabase
+        .from(table)
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", userId)
+        .eq("encryption_metadata->>keyWrapping", "envelope")
+        .neq("encryption_metadata->>userKeyId", userKeyId)
+
+      if (error) throw error
+      if (count > 0) return true
+    }
+
+    return false
+  }
+
+  async updateJob(jobId, fields) {
+    const { error } = await supabase
+      .from("key_rotation_jobs")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", jobId)
+
+    if (error) {
+      console.error(`Failed to save key rotation job ${jobId}:`, error)
+    }
+  }
+
+  format(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      targetMasterKeyVersion: job.target_master_key_version,
+      usersTotal: job.users_total,
+      usersProcessed: job.users_processed,
+      progress: job.users_total > 0 ? Math.round((job.users_processed / job.users_total) * 100) : 100,
+      recordsRewrapped: job.records_rewrapped,
+      failures: job.failures,
+      lastError: job.last_error,
+      startedBy: job.started_by,
+      startedAt: job.started_at,
+      updatedAt: job.updated_at,
+      completedAt: job.completed_at,
+    }
+  }
+}
+
+module.exports = new KeyRotation()
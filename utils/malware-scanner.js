@@ -0,0 +1,154 @@
+const { createClient } = require("@supabase/supabase-js")
+const auditLogger = require("./audit-logger")
+const encryptedStorage = require("./encrypted-storage")
+const scanner = require("./scanners")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const RETRY_INTERVAL_MS = parseInt(process.env.MALWARE_SCAN_RETRY_INTERVAL_MS || String(10 * 60 * 1000), 10)
+const RETRY_BATCH_SIZE = 50
+
+// Content with these statuses can't be read until a scan clears it
+const QUARANTINED_STATUSES = ["pending", "infected"]
+
+/**
+ * Malware scan state of files and file versions.
+ *
+ * Uploads are scanned as they stream into storage (see encryptedStorage.store). Infected
+ * uploads never become files; content the scanner could not check is kept but quarantined as
+ * "pending" until a later scan clears it, either on demand or through the retry job, which
+ * only picks up content the server can decrypt on its own. Rows from before scanning existed
+ * have no status and stay readable; "skipped" marks uploads made without a scanner configured.
+ */
+class MalwareScanner {
+  constructor() {
+    // Where the retry job left off in each table
+    this.retryCursors = { files: null, file_versions: null }
+  }
+
+  get enabled() {
+    return Boolean(scanner)
+  }
+
+  isQuarantined(record) {
+    return QUARANTINED_STATUSES.includes(record.scan_status)
+  }
+
+  /**
+   * Columns recording a scan result on a files or file_versions row
+   */
+  toColumns(scan) {
+    if (!scan) return {}
+
+    return {
+      scan_status: scan.status,
+      scan_result: { threats: scan.threats, scanner: scan.scanner, error: scan.error || null },
+      scanned_at: scan.scannedAt,
+    }
+  }
+
+  /**
+   * Scan a stored record again and save the outcome
+   * @param {string} table - "files" or "file_versions"
+   * @returns {Promise<Object>} - The scan result
+   */
+  async rescan(table, record, password) {
+    const scan = await encryptedStorage.scan(record, password)
+    await this.saveResult(table, record, scan)
+    return scan
+  }
+
+  /**
+   * Record a scan of existing content. Infected content stays in place, quarantined,
+   * for the owner to inspect or delete.
+   */
+  async saveResult(table, record, scan) {
+    const { error } = await supabase
+      .from(table)
+      .update({ ...this.toColumns(scan), ...(table === "files" && { updated_at: new Date().toISOString() }) })
+      .eq("id", record.id)
+
+    if (error) throw error
+
+    if (scan.status === "infected") {
+      await auditLogger.log({
+        userId: record.user_id,
+        action: "malware_detected",
+        resource: table === "files" ? `/files/${record.id}` : `/files/${record.file_id}/versions/${record.id}`,
+        success: false,
+        details: { filename: record.original_name, threats: scan.threats, scanner: scan.scanner, rescan: true },
+      })
+    }
+  }
+
+  /**
+   * Retry pending scans the server can decrypt without the owner's password. Each run takes the
+   * next batch after the previous one, by id, and starts over once a table is exhausted.
+   */
+  async rescanPending() {
+    let scanned = 0
+    let failed = 0
+
+    for (const table of ["files", "file_versions"]) {
+      let query = supabase
+        .from(table)
+        .select("*")
+        .eq("scan_status", "pending")
+        .or("encrypted.eq.false,encryption_metadata->>keyWrapping.eq.envelope")
+
+      if (this.retryCursors[table]) {
+        query = query.gt("id", this.retryCursors[table])
+      }
+
+      const { data: records, error } = await query.order("id", { ascending: true }).limit(RETRY_BATCH_SIZE)
+
+      if (error) throw error
+
+      this.retryCursors[table] = records?.length === RETRY_BATCH_SIZE ? records[records.length - 1].id : null
+
+      for (const record of records || []) {
+        try {
+          const scan = await this.rescan(table, record)
+          if (scan.status === "pending") failed++
+          else scanned++
+        } catch (scanError) {
+          console.error(`Failed to rescan ${table} ${record.id}:`, scanError)
+          failed++
+        }
+      }
+    }
+
+    return { scanned, failed }
+  }
+
+  startRetryJob() {
+    if (!this.enabled) return null
+
+    const run = async () => {
+      try {
+        const result = await this.rescanPending()
+        if (result.scanned > 0 || result.failed > 0) {
+          console.log(`🦠 Malware scan retry: ${result.scanned} scanned, ${result.failed} still pending`)
+        }
+      } catch (error) {
+        console.error("Malware scan retry job error:", error)
+      }
+    }
+
+    const timer = setInterval(run, RETRY_INTERVAL_MS)
+    timer.unref()
+    return timer
+  }
+
+  format(record) {
+    return {
+      status: record.scan_status || null,
+      threats: record.scan_result?.threats || [],
+      scanner: record.scan_result?.scanner || null,
+      error: record.scan_result?.error || null,
+      scannedAt: record.scanned_at || null,
+    }
+  }
+}
+
+module.exports = new MalwareScanner()
@@ -1,6 +1,28 @@
+const crypto = require('crypto')
 const speakeasy = require('speakeasy')
 const QRCode = require('qrcode')
 
+const STEP_UP_TTL_SECONDS = parseInt(process.env.MFA_STEP_UP_TTL_SECONDS || '300', 10)
+
+// Actions that require MFA, each authorized by its own step-up token
+const MFA_REQUIRED_ACTIONS = [
+  'file_upload',
+  'file_download',
+  'file_delete',
+  'file_share',
+  'file_encrypt',
+  'file_decrypt',
+  'settings_change',
+  'password_change',
+  'key_rotation'
+]
+
+// Tokens are HMAC-signed; without a configured secret they only survive until restart
+const stepUpSecret = process.env.MFA_STEP_UP_SECRET || process.env.JWT_SECRET || (() => {
+  console.warn('MFA_STEP_UP_SECRET/JWT_SECRET not set, step-up tokens will not survive a restart')
+  return crypto.randomBytes(32).toString('hex')
+})()
+
 /**
  * Generate a new TOTP secret for a user
  * @param {string} userId - User ID
@@ -107,19 +129,57 @@ function isMFARequired(userProfile, action) {
     return false
   }
 
-  // Define which actions require MFA
-  const mfaRequiredActions = [
-    'file_upload',
-    'file_download',
-    'file_delete',
-    'file_share',
-    'file_encrypt',
-    'file_decrypt',
-    'settings_change',
-    'password_change'
-  ]
-
-  return mfaRequiredActions.includes(action)
+  return MFA_REQUIRED_ACTIONS.includes(action)
+}
+
+/**
+ * Issue a short-lived step-up token after a successful MFA check
+ * @param {string} userId - User ID
+ * @param {string} action - The one action the token authorizes
+ * @returns {Object} - Signed token and its expiry
+ */
+function issueStepUpToken(userId, action) {
+  const expiresAt = Date.now() + STEP_UP_TTL_SECONDS * 1000
+  const payload = Buffer.from(JSON.stringify({
+    sub: userId,
+    act: action,
+    exp: expiresAt,
+    jti: crypto.randomBytes(8).toString('hex')
+  })).toString('base64url')
+  const signature = crypto.createHmac('sha256', stepUpSecret).update(payload).digest('base64url')
+
+  return {
+    token: `${payload}.${signature}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  }
+}
+
+/**
+ * Verify a step-up token for a user and action
+ * @param {string} token - Token from issueStepUpToken
+ * @param {string} userId - User ID the token must belong to
+ * @param {string} action - Action the token must have been issued for
+ * @returns {boolean} - True if token is valid and not expired
+ */
+function verifyStepUpToken(token, userId, action) {
+  try {
+    const [payload, signature] = String(token).split('.')
+    if (!payload || !signature) {
+      return false
+    }
+
+    const expected = crypto.createHmac('sha256', stepUpSecret).update(payload).digest()
+    const provided = Buffer.from(signature, 'base64url')
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return false
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    return claims.sub === userId && claims.act === action && claims.exp > Date.now()
+  } catch (error) {
+    console.error('Step-up token verification error:', error)
+    return false
+  }
 }
 
 module.exports = {
@@ -128,5 +188,9 @@ module.exports = {
   verifyMFAToken,
   generateBackupCodes,
   verifyBackupCode,
-  isMFARequired
+  isMFARequired,
+  issueStepUpToken,
+  verifyStepUpToken,
+  MFA_REQUIRED_ACTIONS,
+  STEP_UP_TTL_SECONDS
 } 
\ No newline at end of file
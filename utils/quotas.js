@@ -0,0 +1,271 @@
+const { createClient } = require("@supabase/supabase-js")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const MB = 1024 * 1024
+const GB = 1024 * MB
+const PAGE_SIZE = 1000
+
+// Limits are in bytes and files; null means unlimited. Uploads are still capped at 100MB per file.
+const DEFAULT_PLANS = {
+  free: { maxBytes: 5 * GB, maxFiles: 1000, maxFileSize: 25 * MB },
+  pro: { maxBytes: 100 * GB, maxFiles: 50000, maxFileSize: 100 * MB },
+  business: { maxBytes: 1024 * GB, maxFiles: null, maxFileSize: 100 * MB },
+}
+
+const LIMIT_FIELDS = { maxBytes: "max_bytes", maxFiles: "max_files", maxFileSize: "max_file_size" }
+
+function loadPlans() {
+  const overrides = JSON.parse(process.env.QUOTA_PLANS || "{}")
+  const plans = { ...DEFAULT_PLANS }
+
+  for (const [name, limits] of Object.entries(overrides)) {
+    plans[name] = { ...DEFAULT_PLANS[name], ...limits }
+  }
+
+  return plans
+}
+
+const PLANS = loadPlans()
+const DEFAULT_PLAN = process.env.QUOTA_DEFAULT_PLAN || "free"
+const WARNING_THRESHOLDS = (process.env.QUOTA_WARNING_THRESHOLDS || "80,95")
+  .split(",")
+  .map((threshold) => parseInt(threshold, 10))
+  .filter((threshold) => threshold > 0 && threshold <= 100)
+  .sort((a, b) => a - b)
+
+/**
+ * Per-user storage quotas.
+ *
+ * Every user is on a plan (QUOTA_DEFAULT_PLAN unless a user_quotas row says otherwise) that
+ * limits total bytes, file count and the size of a single file. Admins can override any of the
+ * three per user. Usage counts the plaintext size of every file row, trashed ones included
+ * since they are still stored, plus their archived versions; deduplicated content is counted
+ * once per reference. Space declared by open resumable uploads is reserved until they finish.
+ */
+class Quotas {
+  constructor() {
+    this.plans = PLANS
+    this.warningThresholds = WARNING_THRESHOLDS
+  }
+
+  getPlan(name) {
+    return this.plans[name] || null
+  }
+
+  async getOverride(userId) {
+    const { data: override, error } = await supabase.from("user_quotas").select("*").eq("user_id", userId).single()
+
+    if (error && error.code !== "PGRST116") throw error
+    return override || null
+  }
+
+  /**
+   * Effective limits: the user's plan with any per-user overrides applied
+   */
+  async getLimits(userId) {
+    const override = await this.getOverride(userId)
+    const planName = override?.plan && this.getPlan(override.plan) ? override.plan : DEFAULT_PLAN
+    const limits = { plan: planName, ...this.getPlan(planName), overridden: false }
+
+    for (const [field, column] of Object.entries(LIMIT_FIELDS)) {
+      if (override && override[column] !== null && override[column] !== undefined) {
+        limits[field] = Number(override[column])
+        limits.overridden = true
+      }
+    }
+
+    return limits
+  }
+
+  async sumSizes(table, userId, filter = (query) => query) {
+    let total = 0
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data: rows, error } = await filter(
+        supabase
+          .from(table)
+          .select("size")
+          .eq("user_id", userId)
+          .order("id", { ascending: true })
+          .range(from, from + PAGE_SIZE - 1),
+      )
+
+      if (error) throw error
+
+      total += (rows || []).reduce((sum, row) => sum + Number(row.size || 0), 0)
+      if (!rows || rows.length < PAGE_SIZE) break
+    }
+
+    return total
+  }
+
+  async getUsage(userId) {
+    const { count: files, error } = await supabase
+      .from("files")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", userId)
+
+    if (error) throw error
+
+    const fileBytes = await this.sumSizes("files", userId)
+    const versionBytes = await this.sumSizes("file_versions", userId)
+    const reservedBytes = await this.sumSizes("upload_sessions", userId, (query) =>
+      query.gt("expires_at", new Date().toISOString()),
+    )
+
+    return { bytes: fileBytes + versionBytes, files: files || 0, reservedBytes }
+  }
+
+  /**
+   * Limits, usage and what is left for a user
+   * @returns {Promise<Object>} - { limits, usage, remaining: { bytes, files } }, null remaining means unlimited
+   */
+  async getStatus(userId) {
+    const [limits, usage] = await Promise.all([this.getLimits(userId), this.getUsage(userId)])
+
+    return {
+      limits,
+      usage,
+      remaining: {
+        bytes: limits.maxBytes === null ? null : Math.max(limits.maxBytes - usage.bytes - usage.reservedBytes, 0),
+        files: limits.maxFiles === null ? null : Math.max(limits.maxFiles - usage.files, 0),
+      },
+    }
+  }
+
+  /**
+   * Largest single file the user may upload right now
+   */
+  maxUploadSize(status) {
+    const sizes = [status.limits.maxFileSize, status.remaining.bytes].filter((size) => size !== null)
+    return sizes.length > 0 ? Math.min(...sizes) : null
+  }
+
+  /**
+   * A status with uploads accepted since it was read added to its usage
+   */
+  withUsage(status, { bytes = 0, files = 0 }) {
+    return {
+      ...status,
+      usage: { ...status.usage, bytes: status.usage.bytes + bytes, files: status.usage.files + files },
+    }
+  }
+
+  /**
+   * Check an upload against a status
+   * @param {Object} upload - { size, files }: bytes and new files the upload adds
+   * @param {Object} options - reserved: bytes of the status' reservation that belong to this upload
+   * @returns {Object|null} - { error, code } when a limit would be exceeded
+   */
+  checkUpload(status, { size = 0, files = 1 }, { reserved = 0 } = {}) {
+    const { limits, usage } = status
+
+    if (limits.maxFileSize !== null && size > limits.maxFileSize) {
+      return { error: `File exceeds the ${limits.plan} plan limit of ${limits.maxFileSize} bytes`, code: "FILE_SIZE" }
+    }
+
+    if (files > 0 && limits.maxFiles !== null && usage.files + files > limits.maxFiles) {
+      return { error: "File count quota exceeded", code: "FILE_COUNT" }
+    }
+
+    if (limits.maxBytes !== null && usage.bytes + usage.reservedBytes - reserved + size > limits.maxBytes) {
+      return { error: "Storage quota exceeded", code: "STORAGE" }
+    }
+
+    return null
+  }
+
+  /**
+   * Usage warnings for every configured threshold reached, optionally after adding an upload
+   */
+  getWarnings(status, { bytes = 0, files = 0 } = {}) {
+    const used = {
+      bytes: { used: status.usage.bytes + bytes, limit: status.limits.maxBytes },
+      files: { used: status.usage.files + files, limit: status.limits.maxFiles },
+    }
+
+    const warnings = []
+    for (const [resource, { used: amount, limit }] of Object.entries(used)) {
+      if (!limit) continue
+
+      const percentUsed = Math.round((amount / limit) * 1000) / 10
+      const reached = this.warningThresholds.filter((threshold) => percentUsed >= threshold)
+
+      if (reached.length > 0) {
+        warnings.push({ resource, threshold: reached[reached.length - 1], percentUsed })
+      }
+    }
+
+    return warnings
+  }
+
+  /**
+   * Warnings whose threshold an upload of this size crosses
+   */
+  getCrossedWarnings(status, added) {
+    const before = this.getWarnings(status)
+
+    return this.getWarnings(status, added).filter(
+      (warning) =>
+        !before.some((previous) => previous.resource === warning.resource && previous.threshold >= warning.threshold),
+    )
+  }
+
+  /**
+   * Set a user's plan and limit overrides; a null limit falls back to the plan
+   * @param {Object} changes - Any of plan, maxBytes, maxFiles, maxFileSize, note
+   */
+  async setOverride(userId, changes, adminId) {
+    const current = await this.getOverride(userId)
+    const row = {
+      user_id: userId,
+      plan: current?.plan || null,
+      max_bytes: current?.max_bytes ?? null,
+      max_files: current?.max_files ?? null,
+      max_file_size: current?.max_file_size ?? null,
+      note: current?.note || null,
+    }
+
+    if (changes.plan !== undefined) row.plan = changes.plan
+    if (changes.note !== undefined) row.note = changes.note
+    for (const [field, column] of Object.entries(LIMIT_FIELDS)) {
+      if (changes[field] !== undefined) row[column] = changes[field]
+    }
+
+    const { data: override, error } = await supabase
+      .from("user_quotas")
+      .upsert({ ...row, updated_by: adminId, updated_at: new Date().toISOString() })
+      .select()
+      .single()
+
+    if (error) throw error
+    return override
+  }
+
+  async removeOverride(userId) {
+    const { error } = await supabase.from("user_quotas").delete().eq("user_id", userId)
+    if (error) throw error
+  }
+
+  format(status) {
+    return {
+      plan: status.limits.plan,
+      overridden: status.limits.overridden,
+      limits: {
+        maxBytes: status.limits.maxBytes,
+        maxFiles: status.limits.maxFiles,
+        maxFileSize: status.limits.maxFileSize,
+      },
+      usage: {
+        bytes: status.usage.bytes,
+        files: status.usage.files,
+        reservedBytes: status.usage.reservedBytes,
+      },
+      remaining: status.remaining,
+      warnings: this.getWarnings(status),
+    }
+  }
+}
+
+module.exports = new Quotas()
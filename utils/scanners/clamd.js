@@ -0,0 +1,122 @@
+const net = require("net")
+
+// clamd rejects INSTREAM chunks above its StreamMaxLength; keep each one small
+const CHUNK_SIZE = 64 * 1024
+
+/**
+ * Read a socket until clamd closes it, resolving to the reply without its NUL terminator
+ */
+function readReply(socket) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+
+    socket.on("data", (chunk) => chunks.push(chunk))
+    socket.on("end", () => resolve(Buffer.concat(chunks).toString("utf8").replace(/\0/g, "").trim()))
+    socket.on("error", reject)
+    socket.on("close", (hadError) => {
+      if (!hadError) resolve(Buffer.concat(chunks).toString("utf8").replace(/\0/g, "").trim())
+    })
+  })
+}
+
+/**
+ * One INSTREAM scan: the file's bytes are sent as length-prefixed chunks as they arrive
+ */
+class ClamdSession {
+  constructor(socket) {
+    this.socket = socket
+    this.reply = readReply(socket)
+    // Surfaced through write() and finish()
+    this.reply.catch(() => {})
+
+    socket.write("zINSTREAM\0")
+  }
+
+  send(buffer) {
+    return new Promise((resolve, reject) => {
+      if (this.socket.destroyed || this.socket.writableEnded) {
+        return reject(new Error("clamd closed the connection"))
+      }
+
+      this.socket.write(buffer, (error) => (error ? reject(error) : resolve()))
+    })
+  }
+
+  async write(chunk) {
+    for (let offset = 0; offset < chunk.length; offset += CHUNK_SIZE) {
+      const part = chunk.subarray(offset, offset + CHUNK_SIZE)
+      const length = Buffer.alloc(4)
+      length.writeUInt32BE(part.length)
+
+      await this.send(Buffer.concat([length, part]))
+    }
+  }
+
+  async finish() {
+    // A zero-length chunk ends the stream
+    await this.send(Buffer.alloc(4))
+    const reply = await this.reply
+
+    if (reply === "stream: OK") {
+      return { clean: true, threats: [] }
+    }
+
+    const found = reply.match(/^stream: (.+) FOUND$/)
+    if (found) {
+      return { clean: false, threats: [found[1]] }
+    }
+
+    throw new Error(`clamd: ${reply || "no reply"}`)
+  }
+
+  abort() {
+    this.socket.destroy()
+  }
+}
+
+/**
+ * Scans with a ClamAV daemon over its INSTREAM protocol.
+ * CLAMD_SOCKET (a unix socket path) takes precedence over CLAMD_HOST and CLAMD_PORT
+ * (default 127.0.0.1:3310). Files larger than clamd's StreamMaxLength come back as an
+ * error rather than clean, so raise that limit to match the largest upload.
+ */
+class ClamdScanner {
+  constructor() {
+    this.name = "clamd"
+    this.socketPath = process.env.CLAMD_SOCKET || null
+    this.host = process.env.CLAMD_HOST || "127.0.0.1"
+    this.port = parseInt(process.env.CLAMD_PORT || "3310", 10)
+    this.timeout = parseInt(process.env.CLAMD_TIMEOUT_MS || "60000", 10)
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.socketPath
+        ? net.createConnection(this.socketPath)
+        : net.createConnection(this.port, this.host)
+
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error("clamd timed out")))
+      socket.once("error", reject)
+      socket.once("connect", () => {
+        socket.removeListener("error", reject)
+        resolve(socket)
+      })
+    })
+  }
+
+  async createSession() {
+    return new ClamdSession(await this.connect())
+  }
+
+  async ping() {
+    const socket = await this.connect()
+    const reply = readReply(socket)
+    socket.write("zPING\0")
+
+    if ((await reply) !== "PONG") {
+      throw new Error("clamd did not answer PING")
+    }
+  }
+}
+
+module.exports = ClamdScanner
@@ -0,0 +1,34 @@
+const ClamdScanner = require("./clamd")
+
+/**
+ * Malware scanners check the plaintext of uploads as it streams into storage.
+ * Every scanner implements the same interface:
+ *
+ *   name                 identifies the scanner in scan results
+ *   createSession()      resolves to a session for one file:
+ *     write(chunk)       resolves once the chunk has been handed to the scanner
+ *     finish()           resolves to { clean, threats } after the last chunk
+ *     abort()            gives up on the scan
+ *   ping()               resolves when the scanner is reachable
+ *
+ * MALWARE_SCANNER selects the scanner (default "none", which exports null and leaves files unscanned).
+ */
+const scanners = {
+  clamd: () => new ClamdScanner(),
+}
+
+function createScanner(name = process.env.MALWARE_SCANNER || "none") {
+  if (name === "none") {
+    return null
+  }
+
+  const create = scanners[name]
+
+  if (!create) {
+    throw new Error(`Unknown MALWARE_SCANNER "${name}", expected one of: none, ${Object.keys(scanners).join(", ")}`)
+  }
+
+  return create()
+}
+
+module.exports = createScanner()
@@ -0,0 +1,371 @@
+const crypto = require("crypto")
+const zlib = require("zlib")
+const { createClient } = require("@supabase/supabase-js")
+const encryptedStorage = require("./encrypted-storage")
+const keyManager = require("./key-manager")
+const textExtractor = require("./text-extractor")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const TEXT_ALGORITHM = "aes-256-gcm"
+const TEXT_IV_LENGTH = 12
+const TEXT_TAG_LENGTH = 16
+// 128 bits of each HMAC is plenty to keep terms apart
+const TOKEN_LENGTH = 22
+
+const MIN_TERM_LENGTH = 2
+const MAX_TERM_LENGTH = 64
+const MAX_TOKENS_PER_FILE = 20000
+const TOKEN_BATCH_SIZE = 1000
+const FILE_BATCH_SIZE = 200
+const SNIPPET_CONTEXT = 80
+
+const BACKFILL_INTERVAL_MS = parseInt(process.env.SEARCH_INDEX_BACKFILL_INTERVAL_MS || String(15 * 60 * 1000), 10)
+const BACKFILL_BATCH_SIZE = 20
+
+const WORD = /[\p{L}\p{N}]+/gu
+
+/**
+ * Fold case and accents so "Résumé" and "resume" are the same term
+ */
+function normalizeTerm(word) {
+  return word.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase()
+}
+
+async function readAll(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Encrypted full-text index of document contents.
+ *
+ * Text is extracted from uploads (see TextExtractor) and split into terms. Each term is stored
+ * only as an HMAC under the owner's search key, so the database can match a query's HMACs
+ * against a file's without holding any plaintext. The extracted text itself is kept deflated
+ * and encrypted under a second key derived from the search key, and is decrypted on the server
+ * to cut snippets around matches.
+ *
+ * Each user's search key is a random key wrapped with their user key, stored like a file data
+ * key so key rotation re-wraps it without changing it, and existing tokens stay valid. Files
+ * encrypted with a custom password are never indexed: their contents must stay unreadable
+ * without the password. Files are indexed as they are uploaded; a backfill job catches up on
+ * files stored before the index existed.
+ */
+class SearchIndex {
+  isIndexable(file) {
+    if (file.encrypted && !keyManager.isEnvelopeEncrypted(file)) {
+      return false
+    }
+
+    return textExtractor.canExtract(file.mime_type) && Number(file.size) <= textExtractor.maxFileSize
+  }
+
+  /**
+   * How much plaintext an upload should keep for indexing (see encryptedStorage.store)
+   */
+  getCaptureLimit(mimeType, password) {
+    return password ? 0 : textExtractor.getCaptureLimit(mimeType)
+  }
+
+  /**
+   * Distinct normalized terms of a text
+   */
+  tokenize(text) {
+    const terms = new Set()
+
+    for (const [word] of text.matchAll(WORD)) {
+      const term = normalizeTerm(word)
+
+      if (term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH) {
+        terms.add(term)
+        if (terms.size >= MAX_TOKENS_PER_FILE) break
+      }
+    }
+
+    return [...terms]
+  }
+
+  /**
+   * The user's search keys, creating the underlying key on first use
+   * @returns {Promise<Object|null>} - { id, tokenKey, textKey }, null if the user has none and create is false
+   */
+  async getSearchKeys(userId, { create = true } = {}) {
+    const { data: row, error } = await supabase.from("user_search_keys").select("*").eq("user_id", userId).single()
+
+    if (error && error.code !== "PGRST116") throw error
+    if (row) return this.deriveKeys(row, await keyManager.getDataKey(row))
+    if (!create) return null
+
+    const { dataKey, metadata } = await keyManager.createDataKey(userId)
+    const { data: created, error: insertError } = await supabase
+      .from("user_search_keys")
+      .insert({ user_id: userId, encryption_metadata: metadata, created_at: new Date().toISOString() })
+      .select()
+      .single()
+
+    if (insertError) {
+      // Another request created the key first
+      const existing = await this.getSearchKeys(userId, { create: false })
+      if (existing) return existing
+      throw insertError
+    }
+
+    return this.deriveKeys(created, dataKey)
+  }
+
+  deriveKeys(row, searchKey) {
+    const derive = (purpose) =>
+      Buffer.from(crypto.hkdfSync("sha256", searchKey, Buffer.alloc(0), `${purpose}:${row.user_id}`, 32))
+
+    return { id: row.id, tokenKey: derive("search-tokens"), textKey: derive("search-text") }
+  }
+
+  blind(keys, term) {
+    return crypto.createHmac("sha256", keys.tokenKey).update(term).digest("base64url").slice(0, TOKEN_LENGTH)
+  }
+
+  /**
+   * @returns {string} - base64 of iv | tag | encrypted deflated text
+   */
+  encryptText(keys, fileId, text) {
+    const iv = crypto.randomBytes(TEXT_IV_LENGTH)
+    const cipher = crypto.createCipheriv(TEXT_ALGORITHM, keys.textKey, iv)
+    cipher.setAAD(Buffer.from(`search-text:${fileId}`))
+
+    const encrypted = Buffer.concat([cipher.update(zlib.deflateRawSync(Buffer.from(text, "utf8"))), cipher.final()])
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64")
+  }
+
+  decryptText(keys, fileId, encoded) {
+    const data = Buffer.from(encoded, "base64")
+    const iv = data.subarray(0, TEXT_IV_LENGTH)
+    const tag = data.subarray(TEXT_IV_LENGTH, TEXT_IV_LENGTH + TEXT_TAG_LENGTH)
+
+    const decipher = crypto.createDecipheriv(TEXT_ALGORITHM, keys.textKey, iv)
+    decipher.setAAD(Buffer.from(`search-text:${fileId}`))
+    decipher.setAuthTag(tag)
+
+    const deflated = Buffer.concat([decipher.update(data.subarray(TEXT_IV_LENGTH + TEXT_TAG_LENGTH)), decipher.final()])
+    return zlib.inflateRawSync(deflated).toString("utf8")
+  }
+
+  /**
+   * Bring a file's index entry up to date with its current content
+   * @param {Buffer} plaintext - The file's content when already at hand, otherwise it is read from storage
+   */
+  async update(file, plaintext = null) {
+    if (!this.isIndexable(file)) {
+      return this.removeFile(file.id)
+    }
+
+    const content = plaintext || (await readAll(await encryptedStorage.openPlaintextStream(file)))
+    const text = await textExtractor.extract(content, file.mime_type)
+
+    if (!text || !text.trim()) {
+      return this.removeFile(file.id)
+    }
+
+    const keys = await this.getSearchKeys(file.user_id)
+    const tokens = this.tokenize(text).map((term) => this.blind(keys, term))
+
+    await this.deleteEntries(file.id)
+
+    for (let i = 0; i < tokens.length; i += TOKEN_BATCH_SIZE) {
+      const { error } = await supabase.from("file_search_tokens").insert(
+        tokens.slice(i, i + TOKEN_BATCH_SIZE).map((token) => ({ file_id: file.id, user_id: file.user_id, token })),
+      )
+      if (error) throw error
+    }
+
+    const { error } = await supabase.from("file_search_index").insert({
+      file_id: file.id,
+      user_id: file.user_id,
+      search_key_id: keys.id,
+      encrypted_text: this.encryptText(keys, file.id, text),
+      token_count: tokens.length,
+      indexed_at: new Date().toISOString(),
+    })
+    if (error) throw error
+
+    await this.markIndexed(file.id)
+  }
+
+  /**
+   * Drop a file from the index, e.g. once it is encrypted with a custom password
+   */
+  async removeFile(fileId) {
+    await this.deleteEntries(fileId)
+    await this.markIndexed(fileId)
+  }
+
+  async deleteEntries(fileId) {
+    for (const table of ["file_search_tokens", "file_search_index"]) {
+      const { error } = await supabase.from(table).delete().eq("file_id", fileId)
+      if (error) throw error
+    }
+  }
+
+  async markIndexed(fileId) {
+    const { error } = await supabase
+      .from("files")
+      .update({ search_indexed_at: new Date().toISOString() })
+      .eq("id", fileId)
+
+    if (error) throw error
+  }
+
+  /**
+   * The user's files whose contents hold every term of a query, newest first
+   * @returns {Promise<Object>} - { terms, files }: the normalized query terms and the matching files rows
+   */
+  async search(userId, query) {
+    const terms = this.tokenize(query)
+    const keys = terms.length > 0 ? await this.getSearchKeys(userId, { create: false }) : null
+
+    if (!keys) {
+      return { terms, files: [] }
+    }
+
+    const tokens = terms.map((term) => this.blind(keys, term))
+    const found = new Map()
+
+    for (let from = 0; ; from += TOKEN_BATCH_SIZE) {
+      const { data: rows, error } = await supabase
+        .from("file_search_tokens")
+        .select("file_id, token")
+        .eq("user_id", userId)
+        .in("token", tokens)
+        .order("file_id", { ascending: true })
+        .order("token", { ascending: true })
+        .range(from, from + TOKEN_BATCH_SIZE - 1)
+
+      if (error) throw error
+
+      for (const row of rows || []) {
+        found.set(row.file_id, (found.get(row.file_id) || 0) + 1)
+      }
+
+      if (!rows || rows.length < TOKEN_BATCH_SIZE) break
+    }
+
+    const fileIds = [...found].filter(([, count]) => count === tokens.length).map(([fileId]) => fileId)
+    const files = []
+
+    for (let i = 0; i < fileIds.length; i += FILE_BATCH_SIZE) {
+      const { data: rows, error } = await supabase
+        .from("files")
+        .select("*")
+        .eq("user_id", userId)
+        .eq("deleted", false)
+        .in("id", fileIds.slice(i, i + FILE_BATCH_SIZE))
+
+      if (error) throw error
+      files.push(...(rows || []))
+    }
+
+    files.sort((a, b) => b.created_at.localeCompare(a.created_at) || a.id.localeCompare(b.id))
+    return { terms, files }
+  }
+
+  /**
+   * Snippets of indexed text around the first match of any term, by file id
+   */
+  async getSnippets(userId, fileIds, terms) {
+    const snippets = new Map()
+    const keys = fileIds.length > 0 ? await this.getSearchKeys(userId, { create: false }) : null
+
+    if (!keys) {
+      return snippets
+    }
+
+    for (let i = 0; i < fileIds.length; i += FILE_BATCH_SIZE) {
+      const { data: entries, error } = await supabase
+        .from("file_search_index")
+        .select("file_id, encrypted_text")
+        .eq("user_id", userId)
+        .in("file_id", fileIds.slice(i, i + FILE_BATCH_SIZE))
+
+      if (error) throw error
+
+      for (const entry of entries || []) {
+        const text = this.decryptText(keys, entry.file_id, entry.encrypted_text)
+        snippets.set(entry.file_id, this.buildSnippet(text, terms))
+      }
+    }
+
+    return snippets
+  }
+
+  buildSnippet(text, terms) {
+    const wanted = new Set(terms)
+    let position = 0
+    let length = 0
+
+    for (const match of text.matchAll(WORD)) {
+      if (wanted.has(normalizeTerm(match[0]))) {
+        position = match.index
+        length = match[0].length
+        break
+      }
+    }
+
+    const start = Math.max(position - SNIPPET_CONTEXT, 0)
+    const end = Math.min(position + length + SNIPPET_CONTEXT, text.length)
+    const snippet = text.slice(start, end).replace(/\s+/g, " ").trim()
+
+    return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`
+  }
+
+  /**
+   * Index files stored before the search index existed
+   */
+  async backfill() {
+    const { data: files, error } = await supabase
+      .from("files")
+      .select("*")
+      .is("search_indexed_at", null)
+      .or("encrypted.eq.false,encryption_metadata->>keyWrapping.eq.envelope")
+      .order("created_at", { ascending: true })
+      .limit(BACKFILL_BATCH_SIZE)
+
+    if (error) throw error
+
+    let indexed = 0
+    let failed = 0
+
+    for (const file of files || []) {
+      try {
+        await this.update(file)
+        indexed++
+      } catch (indexError) {
+        console.error(`Failed to index file ${file.id}:`, indexError)
+        failed++
+      }
+    }
+
+    return { indexed, failed }
+  }
+
+  startBackfillJob() {
+    const run = async () => {
+      try {
+        const result = await this.backfill()
+        if (result.indexed > 0 || result.failed > 0) {
+          console.log(`🔎 Search index backfill: ${result.indexed} files indexed, ${result.failed} failed`)
+        }
+      } catch (error) {
+        console.error("Search index backfill job error:", error)
+      }
+    }
+
+    const timer = setInterval(run, BACKFILL_INTERVAL_MS)
+    timer.unref()
+    return timer
+  }
+}
+
+module.exports = new SearchIndex()
@@ -0,0 +1,190 @@
+const { createClient } = require("@supabase/supabase-js")
+const { generateSecureToken, hashPassword, verifyPassword } = require("./crypto")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+class ShareLinks {
+  async create(file, options = {}) {
+    const link = await this.insert({ file_id: file.id, user_id: file.user_id }, options)
+
+    await supabase
+      .from("files")
+      .update({ shared: true, updated_at: new Date().toISOString() })
+      .eq("id", file.id)
+
+    return link
+  }
+
+  async createForFolder(folder, options = {}) {
+    return this.insert({ folder_id: folder.id, user_id: folder.user_id }, options)
+  }
+
+  async insert(target, options) {
+    const token = generateSecureToken()
+    const passwordData = options.password ? hashPassword(options.password) : null
+
+    const { data: link, error } = await supabase
+      .from("share_links")
+      .insert({
+        ...target,
+        token,
+        password_hash: passwordData?.hash || null,
+        password_salt: passwordData?.salt || null,
+        allow_download: options.allowDownload !== false,
+        allow_preview: options.allowPreview !== false,
+        max_downloads: options.maxDownloads || null,
+        expires_at: options.expirationDate ? new Date(options.expirationDate).toISOString() : null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    return link
+  }
+
+  async listForFile(fileId, userId) {
+    return this.list("file_id", fileId, userId)
+  }
+
+  async listForFolder(folderId, userId) {
+    return this.list("folder_id", folderId, userId)
+  }
+
+  async list(column, targetId, userId) {
+    const { data, error } = await supabase
+      .from("share_links")
+      .select("*")
+      .eq(column, targetId)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+
+    if (error) throw error
+    return data || []
+  }
+
+  async revoke(linkId, userId, target) {
+    let query = supabase
+      .from("share_links")
+      .update({
+        revoked: true,
+        revoked_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", linkId)
+      .eq("user_id", userId)
+
+    query = target.folderId ? query.eq("folder_id", target.folderId) : query.eq("file_id", target.fileId)
+
+    const { data: link, error } = await query.select().single()
+
+    if (error) throw error
+
+    // Clear the file's shared flag once no usable link is left
+    if (target.fileId) {
+      const remaining = (await this.listForFile(target.fileId, userId)).filter((l) => this.checkLink(l).usable)
+      if (remaining.length === 0) {
+        await supabase
+          .from("files")
+          .update({ shared: false, updated_at: new Date().toISOString() })
+          .eq("id", target.fileId)
+      }
+    }
+
+    return link
+  }
+
+  async findByToken(token) {
+    const { data: link } = await supabase.from("share_links").select("*").eq("token", token).single()
+    return link || null
+  }
+
+  checkLink(link) {
+    if (link.revoked) {
+      return { usable: false, status: 410, reason: "Shared link has been revoked" }
+    }
+
+    if (link.expires_at && new Date(link.expires_at) < new Date()) {
+      return { usable: false, status: 410, reason: "Shared link has expired" }
+    }
+
+    if (link.max_downloads && link.download_count >= link.max_downloads) {
+      return { usable: false, status: 410, reason: "Shared link download limit reached" }
+    }
+
+    return { usable: true }
+  }
+
+  verifyLinkPassword(link, password) {
+    if (!link.password_hash) {
+      return true
+    }
+
+    if (!password) {
+      return false
+    }
+
+    try {
+      return verifyPassword(password, link.password_hash, link.password_salt)
+    } catch (error) {
+      console.error("Share link password verification error:", error)
+      return false
+    }
+  }
+
+  async recordDownload(link) {
+    // Compare-and-swap on download_count so concurrent downloads cannot exceed max_downloads
+    let current = link
+    for (let attempt = 0; attempt < 3; attempt++) {
+      if (current.max_downloads && current.download_count >= current.max_downloads) {
+        return false
+      }
+
+      const { data: updated } = await supabase
+        .from("share_links")
+        .update({
+          download_count: current.download_count + 1,
+          last_accessed: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", current.id)
+        .eq("download_count", current.download_count)
+        .select()
+
+      if (updated && updated.length > 0) {
+        return true
+      }
+
+      current = await this.findByToken(link.token)
+      if (!current) {
+        return false
+      }
+    }
+
+    return false
+  }
+
+  format(link) {
+    const status = this.checkLink(link)
+
+    return {
+      id: link.id,
+      fileId: link.file_id,
+      folderId: link.folder_id || null,
+      shareUrl: `${process.env.FRONTEND_URL}/shared/${link.token}`,
+      passwordProtected: Boolean(link.password_hash),
+      allowDownload: link.allow_download,
+      allowPreview: link.allow_preview,
+      maxDownloads: link.max_downloads,
+      downloadCount: link.download_count,
+      expiresAt: link.expires_at,
+      revoked: link.revoked,
+      active: status.usable,
+      lastAccessed: link.last_accessed,
+      createdAt: link.created_at,
+    }
+  }
+}
+
+module.exports = new ShareLinks()
@@ -0,0 +1,34 @@
+const SupabaseStorageDriver = require("./supabase")
+const LocalStorageDriver = require("./local")
+const S3StorageDriver = require("./s3")
+
+/**
+ * Storage drivers hold the encrypted blobs behind files and file versions.
+ * Every driver implements the same key-addressed interface:
+ *
+ *   put(key, body, { contentType })  body is a Buffer or a readable stream
+ *   get(key)                         resolves to a Buffer
+ *   stream(key, { start, end })      resolves to a readable stream, optionally of bytes start..end (inclusive)
+ *   delete(keys)                     one key or an array, missing keys are ignored
+ *   exists(key)                      resolves to a boolean
+ *   list(prefix)                     resolves to [{ key, size, updatedAt }] for every object under prefix
+ *
+ * STORAGE_DRIVER selects the driver (default "supabase").
+ */
+const drivers = {
+  supabase: () => new SupabaseStorageDriver(),
+  local: () => new LocalStorageDriver(),
+  s3: () => new S3StorageDriver(),
+}
+
+function createStorageDriver(name = process.env.STORAGE_DRIVER || "supabase") {
+  const create = drivers[name]
+
+  if (!create) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}", expected one of: ${Object.keys(drivers).join(", ")}`)
+  }
+
+  return create()
+}
+
+module.exports = createStorageDriver()
@@ -0,0 +1,100 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const { pipeline } = require("stream/promises")
+
+/**
+ * Stores objects as files under LOCAL_STORAGE_PATH (default ./uploads), keyed by relative path
+ */
+class LocalStorageDriver {
+  constructor() {
+    this.root = path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, "../../uploads"))
+  }
+
+  resolve(key) {
+    const target = path.resolve(this.root, key)
+
+    if (!target.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+
+    return target
+  }
+
+  async put(key, body) {
+    const target = this.resolve(key)
+    const tempPath = `${target}.${crypto.randomBytes(6).toString("hex")}.tmp`
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true })
+
+    // Write to a temporary file first so readers never see a partial object
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(tempPath, body, { flag: "wx" })
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath, { flags: "wx" }))
+      }
+
+      await fs.promises.rename(tempPath, target)
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true })
+      throw error
+    }
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.resolve(key))
+  }
+
+  async stream(key, { start, end } = {}) {
+    const target = this.resolve(key)
+
+    // Fail before handing out the stream so a missing object surfaces like the other drivers
+    await fs.promises.access(target)
+    return fs.createReadStream(target, { start, end })
+  }
+
+  async delete(keys) {
+    for (const key of [].concat(keys)) {
+      await fs.promises.rm(this.resolve(key), { force: true })
+    }
+  }
+
+  async exists(key) {
+    try {
+      return (await fs.promises.stat(this.resolve(key))).isFile()
+    } catch (error) {
+      if (error.code === "ENOENT") return false
+      throw error
+    }
+  }
+
+  async list(prefix = "") {
+    const folder = prefix.replace(/\/+$/, "")
+    const directory = folder ? this.resolve(folder) : this.root
+    const objects = []
+
+    let entries
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true })
+    } catch (error) {
+      if (error.code === "ENOENT") return objects
+      throw error
+    }
+
+    for (const entry of entries) {
+      const key = folder ? `${folder}/${entry.name}` : entry.name
+
+      if (entry.isDirectory()) {
+        objects.push(...(await this.list(key)))
+      } else if (entry.isFile() && !entry.name.endsWith(".tmp")) {
+        const stats = await fs.promises.stat(path.join(directory, entry.name))
+        objects.push({ key, size: stats.size, updatedAt: stats.mtime.toISOString() })
+      }
+    }
+
+    return objects
+  }
+}
+
+module.exports = LocalStorageDriver
@@ -0,0 +1,146 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3")
+const { Upload } = require("@aws-sdk/lib-storage")
+
+const DELETE_BATCH_SIZE = 1000
+const MIN_PART_SIZE_MB = 5
+
+/**
+ * Stores objects in an S3-compatible bucket (AWS S3, MinIO, ...).
+ *
+ * S3_BUCKET (default "secure-files") and an optional S3_PREFIX decide where keys land, so the
+ * usual ${userId}/${token}${ext} names become ${S3_PREFIX}${userId}/${token}${ext}.
+ * For MinIO set S3_ENDPOINT (e.g. http://localhost:9000) and S3_FORCE_PATH_STYLE=true.
+ * Uploads larger than S3_PART_SIZE_MB (default 8) go up as multipart uploads, and every
+ * object carries a SHA-256 checksum that S3 verifies on write and the SDK verifies on read.
+ */
+class S3StorageDriver {
+  constructor() {
+    this.bucket = process.env.S3_BUCKET || "secure-files"
+    this.prefix = process.env.S3_PREFIX || ""
+    this.partSize = Math.max(MIN_PART_SIZE_MB, parseInt(process.env.S3_PART_SIZE_MB || "8", 10)) * 1024 * 1024
+    this.queueSize = parseInt(process.env.S3_UPLOAD_CONCURRENCY || "4", 10)
+
+    this.client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      // Falls back to the SDK's default credential chain (env, profile, instance role) when unset
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    })
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`
+  }
+
+  async put(key, body, { contentType } = {}) {
+    // Buffers below the part size are sent as a single PutObject
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: body,
+        ContentType: contentType,
+        ChecksumAlgorithm: "SHA256",
+      },
+      partSize: this.partSize,
+      queueSize: this.queueSize,
+      leavePartsOnError: false,
+    })
+
+    await upload.done()
+  }
+
+  async getObject(key, { start, end } = {}) {
+    const ranged = start !== undefined || end !== undefined
+
+    // Whole-object checksums can't be checked against part of an object
+    const { Body } = await this.client.send(
+      new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        ...(ranged ? { Range: `bytes=${start || 0}-${end ?? ""}` } : { ChecksumMode: "ENABLED" }),
+      }),
+    )
+
+    return Body
+  }
+
+  async get(key) {
+    return Buffer.from(await (await this.getObject(key)).transformToByteArray())
+  }
+
+  async stream(key, range) {
+    return this.getObject(key, range)
+  }
+
+  async delete(keys) {
+    const allKeys = [].concat(keys)
+
+    for (let i = 0; i < allKeys.length; i += DELETE_BATCH_SIZE) {
+      const { Errors } = await this.client.send(
+        new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: {
+            Objects: allKeys.slice(i, i + DELETE_BATCH_SIZE).map((key) => ({ Key: this.objectKey(key) })),
+            Quiet: true,
+          },
+        }),
+      )
+
+      if (Errors && Errors.length > 0) {
+        throw new Error(`Failed to delete ${Errors[0].Key}: ${Errors[0].Message}`)
+      }
+    }
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }))
+      return true
+    } catch (error) {
+      if (error.name === "NotFound" || error.$metadata?.httpStatusCode === 404) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  async list(prefix = "") {
+    const objects = []
+    let continuationToken
+
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: this.objectKey(prefix),
+          ContinuationToken: continuationToken,
+        }),
+      )
+
+      for (const object of page.Contents || []) {
+        objects.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          updatedAt: object.LastModified?.toISOString(),
+        })
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+    } while (continuationToken)
+
+    return objects
+  }
+}
+
+module.exports = S3StorageDriver
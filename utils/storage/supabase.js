@@ -0,0 +1,95 @@
+const { Readable } = require("stream")
+const { createClient } = require("@supabase/supabase-js")
+
+const SIGNED_URL_TTL_SECONDS = 60
+const LIST_PAGE_SIZE = 1000
+
+/**
+ * Stores objects in a Supabase Storage bucket (SUPABASE_STORAGE_BUCKET, default "secure-files")
+ */
+class SupabaseStorageDriver {
+  constructor() {
+    this.supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+    this.bucket = process.env.SUPABASE_STORAGE_BUCKET || "secure-files"
+  }
+
+  get storage() {
+    return this.supabase.storage.from(this.bucket)
+  }
+
+  async put(key, body, { contentType } = {}) {
+    // Streams are sent as the request body without buffering
+    const { error } = await this.storage.upload(key, body, {
+      contentType,
+      cacheControl: "3600",
+      ...(body instanceof Readable && { duplex: "half" }),
+    })
+
+    if (error) throw error
+  }
+
+  async get(key) {
+    const { data, error } = await this.storage.download(key)
+
+    if (error) throw error
+    return Buffer.from(await data.arrayBuffer())
+  }
+
+  async stream(key, { start, end } = {}) {
+    // download() buffers the whole object, so fetch a signed URL and stream the response instead
+    const { data, error } = await this.storage.createSignedUrl(key, SIGNED_URL_TTL_SECONDS)
+
+    if (error) throw error
+
+    const ranged = start !== undefined || end !== undefined
+    const response = await fetch(data.signedUrl, {
+      headers: ranged ? { Range: `bytes=${start || 0}-${end ?? ""}` } : {},
+    })
+
+    if (!response.ok || !response.body || (ranged && response.status !== 206)) {
+      throw new Error(`Storage download failed with status ${response.status}`)
+    }
+
+    return Readable.fromWeb(response.body)
+  }
+
+  async delete(keys) {
+    const { error } = await this.storage.remove([].concat(keys))
+    if (error) throw error
+  }
+
+  async exists(key) {
+    const { data, error } = await this.storage.exists(key)
+
+    if (error) throw error
+    return data
+  }
+
+  async list(prefix = "") {
+    const objects = []
+    const folder = prefix.replace(/\/+$/, "")
+
+    for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+      const { data: entries, error } = await this.storage.list(folder, { limit: LIST_PAGE_SIZE, offset })
+
+      if (error) throw error
+
+      for (const entry of entries) {
+        const key = folder ? `${folder}/${entry.name}` : entry.name
+
+        // Folders come back without an id and have to be walked separately
+        if (entry.id === null) {
+          objects.push(...(await this.list(key)))
+        } else {
+          objects.push({ key, size: entry.metadata?.size ?? null, updatedAt: entry.updated_at })
+        }
+      }
+
+      if (entries.length < LIST_PAGE_SIZE) break
+    }
+
+    return objects
+  }
+}
+
+module.exports = SupabaseStorageDriver
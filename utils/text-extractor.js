@@ -0,0 +1,154 @@
+const { PDFParse } = require("pdf-parse")
+const yauzl = require("yauzl")
+
+const MAX_FILE_SIZE = parseInt(process.env.SEARCH_INDEX_MAX_FILE_SIZE || String(20 * 1024 * 1024), 10)
+const MAX_TEXT_LENGTH = 1000000
+// Office documents are zip archives; refuse to inflate more than this from one
+const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024
+
+// The parts of each Office Open XML format that hold its text
+const OOXML_PARTS = {
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/,
+  // Cell text lives in the shared strings; the sheets themselves mostly hold numbers and references
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": /^xl\/sharedStrings\.xml$/,
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation":
+    /^ppt\/(slides\/slide|notesSlides\/notesSlide)\d+\.xml$/,
+}
+
+const TEXT_TYPES = ["application/json", "application/xml", "application/javascript", "application/x-sh"]
+
+// XML elements whose end starts a new line of text: paragraphs, table cells and shared strings
+const XML_BREAKS = /<\/(w:p|w:tc|a:p|si)>|<(w:br|w:tab|a:br)\b[^>]*\/?>/g
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }
+
+function decodeXmlText(xml) {
+  return xml
+    .replace(XML_BREAKS, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === "#") {
+        const codePoint = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10)
+        return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : ""
+      }
+      return XML_ENTITIES[name] ?? entity
+    })
+}
+
+function openZip(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => (error ? reject(error) : resolve(zip)))
+  })
+}
+
+function readZipEntry(zip, entry) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (error, stream) => {
+      if (error) return reject(error)
+
+      const chunks = []
+      stream.on("data", (chunk) => chunks.push(chunk))
+      stream.on("end", () => resolve(Buffer.concat(chunks)))
+      stream.on("error", reject)
+    })
+  })
+}
+
+/**
+ * Plain text of uploaded documents, for the search index.
+ *
+ * Handles text types, PDF and the Office Open XML formats (docx, xlsx, pptx). Files larger than
+ * SEARCH_INDEX_MAX_FILE_SIZE are not extracted, and extracted text is cut off at a million characters.
+ */
+class TextExtractor {
+  constructor() {
+    this.maxFileSize = MAX_FILE_SIZE
+  }
+
+  canExtract(mimeType) {
+    const type = (mimeType || "").toLowerCase()
+    return (
+      type.startsWith("text/") || TEXT_TYPES.includes(type) || type === "application/pdf" || Boolean(OOXML_PARTS[type])
+    )
+  }
+
+  /**
+   * How much plaintext to keep from an upload of this type so it can be extracted afterwards
+   */
+  getCaptureLimit(mimeType) {
+    return this.canExtract(mimeType) ? this.maxFileSize : 0
+  }
+
+  /**
+   * Extract the text of a document
+   * @returns {Promise<string|null>} - The text, or null for types that can't be extracted
+   */
+  async extract(buffer, mimeType) {
+    const type = (mimeType || "").toLowerCase()
+    let text
+
+    if (type === "application/pdf") {
+      text = await this.extractPdf(buffer)
+    } else if (OOXML_PARTS[type]) {
+      text = await this.extractOoxml(buffer, OOXML_PARTS[type])
+    } else if (this.canExtract(type)) {
+      text = buffer.toString("utf8")
+    } else {
+      return null
+    }
+
+    return text.slice(0, MAX_TEXT_LENGTH)
+  }
+
+  async extractPdf(buffer) {
+    const parser = new PDFParse({ data: buffer })
+
+    try {
+      // No "-- 1 of 3 --" page markers between pages
+      const result = await parser.getText({ pageJoiner: "" })
+      return result.text
+    } finally {
+      await parser.destroy()
+    }
+  }
+
+  async extractOoxml(buffer, partPattern) {
+    const zip = await openZip(buffer)
+    const parts = []
+    let inflated = 0
+
+    try {
+      await new Promise((resolve, reject) => {
+        zip.on("entry", (entry) => {
+          if (!partPattern.test(entry.fileName)) {
+            return zip.readEntry()
+          }
+
+          inflated += entry.uncompressedSize
+          if (inflated > MAX_UNCOMPRESSED_SIZE) {
+            return reject(new Error("Document expands beyond the extraction limit"))
+          }
+
+          readZipEntry(zip, entry)
+            .then((xml) => {
+              parts.push({ name: entry.fileName, text: decodeXmlText(xml.toString("utf8")) })
+              zip.readEntry()
+            })
+            .catch(reject)
+        })
+        zip.on("end", resolve)
+        zip.on("error", reject)
+        zip.readEntry()
+      })
+    } finally {
+      zip.close()
+    }
+
+    // Slides and sheets in document order rather than archive order
+    parts.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    return parts.map((part) => part.text).join("\n")
+  }
+}
+
+module.exports = new TextExtractor()
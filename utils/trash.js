@@ -0,0 +1,135 @@
+const { createClient } = require("@supabase/supabase-js")
+const auditLogger = require("./audit-logger")
+const blobs = require("./blobs")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10)
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS || String(60 * 60 * 1000), 10)
+const PURGE_BATCH_SIZE = 200
+
+class Trash {
+  getRetentionDays(profile) {
+    return profile?.data_retention || DEFAULT_RETENTION_DAYS
+  }
+
+  getPurgeDate(file, retentionDays) {
+    return new Date(new Date(file.deleted_at).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+  }
+
+  /**
+   * Permanently remove a file's database row and release its storage objects (including prior versions)
+   */
+  async purgeFile(file, reason) {
+    // Prior versions hold their own blob references; their rows go with the file through ON DELETE CASCADE.
+    // Blobs shared with other files through deduplication stay until their last reference goes.
+    const { data: versions, error: versionsError } = await supabase
+      .from("file_versions")
+      .select("stored_name")
+      .eq("file_id", file.id)
+
+    if (versionsError) throw versionsError
+
+    const storedNames = [file.stored_name, ...(versions || []).map((version) => version.stored_name)]
+
+    const { error: dbError } = await supabase.from("files").delete().eq("id", file.id)
+
+    if (dbError) {
+      throw dbError
+    }
+
+    // Only once the rows are gone: a purge retried after a failed delete must not release the same
+    // references twice. A failed release now leaves an orphaned blob rather than a dangling file.
+    await blobs.release(storedNames)
+
+    await auditLogger.log({
+      userId: file.user_id,
+      action: "file_purge",
+      resource: `/files/${file.id}`,
+      success: true,
+      details: {
+        filename: file.original_name,
+        deletedAt: file.deleted_at,
+        reason,
+      },
+    })
+  }
+
+  /**
+   * Purge every trashed file whose owner's retention period has elapsed
+   */
+  async purgeExpired() {
+    const retentionByUser = new Map()
+    let offset = 0
+    let purged = 0
+    let failed = 0
+
+    while (true) {
+      const { data: files, error } = await supabase
+        .from("files")
+        .select("*")
+        .eq("deleted", true)
+        .order("deleted_at", { ascending: true })
+        .range(offset, offset + PURGE_BATCH_SIZE - 1)
+
+      if (error) throw error
+      if (!files || files.length === 0) break
+
+      const unknownUsers = [...new Set(files.map((file) => file.user_id))].filter((id) => !retentionByUser.has(id))
+      if (unknownUsers.length > 0) {
+        const { data: profiles } = await supabase
+          .from("user_profiles")
+          .select("user_id, data_retention")
+          .in("user_id", unknownUsers)
+
+        for (const userId of unknownUsers) {
+          const profile = (profiles || []).find((p) => p.user_id === userId)
+          retentionByUser.set(userId, this.getRetentionDays(profile))
+        }
+      }
+
+      let purgedInBatch = 0
+      for (const file of files) {
+        if (this.getPurgeDate(file, retentionByUser.get(file.user_id)) > new Date()) {
+          continue
+        }
+
+        try {
+          await this.purgeFile(file, "retention_expired")
+          purgedInBatch++
+        } catch (error) {
+          console.error(`Failed to purge file ${file.id}:`, error)
+          failed++
+        }
+      }
+
+      purged += purgedInBatch
+
+      if (files.length < PURGE_BATCH_SIZE) break
+
+      // Purged rows drop out of the result set, so only skip past the ones that remain
+      offset += files.length - purgedInBatch
+    }
+
+    return { purged, failed }
+  }
+
+  startPurgeJob() {
+    const run = async () => {
+      try {
+        const result = await this.purgeExpired()
+        if (result.purged > 0 || result.failed > 0) {
+          console.log(`🗑️  Trash purge: ${result.purged} purged, ${result.failed} failed`)
+        }
+      } catch (error) {
+        console.error("Trash purge job error:", error)
+      }
+    }
+
+    const timer = setInterval(run, PURGE_INTERVAL_MS)
+    timer.unref()
+    return timer
+  }
+}
+
+module.exports = new Trash()
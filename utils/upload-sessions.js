@@ -0,0 +1,198 @@
+const { createClient } = require("@supabase/supabase-js")
+const { Readable } = require("stream")
+const { encryptFileBuffer, decryptFileBuffer, generateSecureToken } = require("./crypto")
+const keyManager = require("./key-manager")
+const storage = require("./storage")
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+
+const SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || "24", 10)
+const MAX_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_MAX_MB || "16", 10) * 1024 * 1024
+const CLEANUP_INTERVAL_MS = parseInt(process.env.UPLOAD_SESSION_CLEANUP_INTERVAL_MS || String(60 * 60 * 1000), 10)
+const CLEANUP_BATCH_SIZE = 100
+
+/**
+ * Resumable upload sessions.
+ *
+ * A session is created with the final size and SHA-256 of the file, then filled by appending
+ * chunks at the current offset. Each chunk is encrypted with a session data key (wrapped with
+ * the owner's user key like any file key) and staged as its own storage object, so nothing is
+ * held in plaintext while the upload is incomplete. Finalizing streams the staged chunks back
+ * in order for the caller to store as a regular file. Sessions expire after
+ * UPLOAD_SESSION_TTL_HOURS without activity and are then removed with their chunks.
+ */
+class UploadSessions {
+  constructor() {
+    this.maxChunkSize = MAX_CHUNK_SIZE
+  }
+
+  getExpiry() {
+    return new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  }
+
+  async create(userId, { originalName, mimeType, size, fileHash, options }) {
+    const { metadata } = await keyManager.createDataKey(userId)
+
+    const { data: session, error } = await supabase
+      .from("upload_sessions")
+      .insert({
+        user_id: userId,
+        original_name: originalName,
+        mime_type: mimeType,
+        size,
+        file_hash: fileHash,
+        upload_offset: 0,
+        parts: [],
+        options: options || {},
+        encryption_metadata: metadata,
+        expires_at: this.getExpiry(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    return session
+  }
+
+  /**
+   * Load a session owned by userId, treating expired sessions as gone
+   */
+  async get(sessionId, userId) {
+    const { data: session } = await supabase
+      .from("upload_sessions")
+      .select("*")
+      .eq("id", sessionId)
+      .eq("user_id", userId)
+      .single()
+
+    if (!session || new Date(session.expires_at) <= new Date()) {
+      return null
+    }
+
+    return session
+  }
+
+  /**
+   * Stage a chunk at the session's current offset.
+   * Resolves to the updated session, or null when another request moved the offset first.
+   */
+  async appendChunk(session, chunk) {
+    const dataKey = await keyManager.getDataKey(session)
+    const { encryptedData } = await encryptFileBuffer(chunk, dataKey)
+    const part = { key: `upload-sessions/${session.id}/${generateSecureToken()}`, size: chunk.length }
+
+    await storage.put(part.key, encryptedData, { contentType: "application/octet-stream" })
+
+    // Only advance from the offset this chunk was written for, so concurrent appends can't interleave
+    const { data: updated, error } = await supabase
+      .from("upload_sessions")
+      .update({
+        upload_offset: session.upload_offset + chunk.length,
+        parts: [...session.parts, part],
+        expires_at: this.getExpiry(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", session.id)
+      .eq("upload_offset", session.upload_offset)
+      .select()
+
+    if (error || !updated || updated.length === 0) {
+      await storage.delete(part.key).catch(() => {})
+      if (error) throw error
+      return null
+    }
+
+    return updated[0]
+  }
+
+  /**
+   * Stream the plaintext of every staged chunk in upload order
+   */
+  async openAssembledStream(session) {
+    const dataKey = await keyManager.getDataKey(session)
+
+    return Readable.from(
+      (async function* () {
+        for (const part of session.parts) {
+          yield await decryptFileBuffer(await storage.get(part.key), dataKey)
+        }
+      })(),
+    )
+  }
+
+  /**
+   * Delete a session row and its staged chunks
+   */
+  async remove(session) {
+    const keys = (session.parts || []).map((part) => part.key)
+    if (keys.length > 0) {
+      await storage.delete(keys)
+    }
+
+    const { error } = await supabase.from("upload_sessions").delete().eq("id", session.id)
+    if (error) throw error
+  }
+
+  async removeExpired() {
+    let removed = 0
+    let failed = 0
+
+    while (true) {
+      const { data: sessions, error } = await supabase
+        .from("upload_sessions")
+        .select("*")
+        .lt("expires_at", new Date().toISOString())
+        .order("expires_at", { ascending: true })
+        .range(failed, failed + CLEANUP_BATCH_SIZE - 1)
+
+      if (error) throw error
+      if (!sessions || sessions.length === 0) break
+
+      for (const session of sessions) {
+        try {
+          await this.remove(session)
+          removed++
+        } catch (removeError) {
+          console.error(`Failed to remove upload session ${session.id}:`, removeError)
+          failed++
+        }
+      }
+
+      if (sessions.length < CLEANUP_BATCH_SIZE) break
+    }
+
+    return { removed, failed }
+  }
+
+  startCleanupJob() {
+    const run = async () => {
+      try {
+        const result = await this.removeExpired()
+        if (result.removed > 0 || result.failed > 0) {
+          console.log(`⏳ Upload session cleanup: ${result.removed} removed, ${result.failed} failed`)
+        }
+      } catch (error) {
+        console.error("Upload session cleanup job error:", error)
+      }
+    }
+
+    const timer = setInterval(run, CLEANUP_INTERVAL_MS)
+    timer.unref()
+    return timer
+  }
+
+  format(session) {
+    return {
+      id: session.id,
+      name: session.original_name,
+      type: session.mime_type,
+      size: session.size,
+      offset: session.upload_offset,
+      expiresAt: session.expires_at,
+    }
+  }
+}
+
+module.exports = new UploadSessions()